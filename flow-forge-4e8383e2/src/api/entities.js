@@ -11,6 +11,12 @@ export const Workflow = base44.entities.Workflow;
 
 export const WorkflowStep = base44.entities.WorkflowStep;
 
+export const WorkflowVersion = base44.entities.WorkflowVersion;
+
+export const SimulationFixture = base44.entities.SimulationFixture;
+
+export const DeadLetter = base44.entities.DeadLetter;
+
 export const Run = base44.entities.Run;
 
 export const RunLog = base44.entities.RunLog;
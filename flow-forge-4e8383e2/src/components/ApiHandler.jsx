@@ -1,6 +1,10 @@
 import React from 'react';
-import { runWorkflow, processNextStep } from './WorkflowRunner';
-import { Approval } from '@/api/entities';
+import { runWorkflow, processNextStep, cancelRun } from './WorkflowRunner';
+import { Approval, WebhookEvent } from '@/api/entities';
+import { deliverEvent } from './EventWaiter';
+import { receiveWebhook } from './WebhookReceiver';
+import { findDueRuns } from './DueRuns';
+import { QUEUED } from './RunQueue';
 
 /**
  * API Handler: Exposes workflow actions as callable functions
@@ -57,25 +61,26 @@ export async function apiProcessNext(request) {
     }
     
     // If run_id provided, process that specific run
-    // Otherwise, find next pending run for tenant
-    let targetRunId = run_id;
+    if (run_id) {
+      return await processNextStep(run_id, tenant_id);
+    }
     
-    if (!targetRunId) {
-      const { Run } = await import('@/api/entities');
-      const pendingRuns = await Run.filter(
-        { tenant_id, status: 'pending' },
-        'started_at',
-        1
-      );
-      
-      if (pendingRuns.length === 0) {
-        return { status: 'no_pending_runs' };
-      }
-      
-      targetRunId = pendingRuns[0].id;
+    // Otherwise, process the tenant's oldest due run (pending, or parked and due again)
+    const { Run } = await import('@/api/entities');
+    const dueRuns = await findDueRuns(Run, { tenant_id });
+    
+    if (dueRuns.length === 0) {
+      return { status: 'no_pending_runs' };
     }
     
-    const result = await processNextStep(targetRunId, tenant_id);
+    // Queued runs come last; one still blocked by its limits lets the next in line try
+    let result;
+    for (const run of dueRuns) {
+      result = await processNextStep(run.id, tenant_id);
+      if (run.status !== QUEUED || result.status !== QUEUED) {
+        break;
+      }
+    }
     return result;
   } catch (error) {
     return { error: error.message };
@@ -92,6 +97,12 @@ export async function apiApprove(request) {
       return { error: 'Missing or invalid fields' };
     }
     
+    // Approvals expired by a run cancellation (or already decided) cannot resume the run
+    const pending = await Approval.get(approval_id);
+    if (!pending || pending.state !== 'pending') {
+      return { error: `Approval is ${pending ? pending.state : 'not found'}` };
+    }
+
     // Update approval
     await Approval.update(approval_id, {
       state,
@@ -117,4 +128,86 @@ export async function apiApprove(request) {
   }
 }
 
-export default { apiEnqueue, apiProcessNext, apiApprove };
\ No newline at end of file
+export async function apiDeliverEvent(request) {
+  try {
+    validateAuth(request.auth_token);
+
+    const { tenant_id, provider, event_type, payload } = request;
+
+    if (!tenant_id || !event_type) {
+      return { error: 'Missing required fields: tenant_id, event_type' };
+    }
+
+    const event = await WebhookEvent.create({
+      tenant_id,
+      provider: provider || 'api',
+      event_type,
+      payload: payload || {},
+      received_at: new Date().toISOString()
+    });
+
+    // Wake runs parked on wait_for_event steps that match this event
+    const resumedRunIds = await deliverEvent(event);
+    for (const runId of resumedRunIds) {
+      await processNextStep(runId, tenant_id);
+    }
+
+    return { event_id: event.id, resumed_runs: resumedRunIds };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Cancel a run: POST /runs/:run_id/cancel
+ * Mirrors the backend route; compensate rolls back completed steps
+ */
+export async function apiCancelRun(request) {
+  try {
+    validateAuth(request.auth_token);
+
+    const { tenant_id, run_id, user_id, reason, compensate } = request;
+
+    if (!tenant_id || !run_id) {
+      return { error: 'Missing required fields: tenant_id, run_id' };
+    }
+
+    return await cancelRun({
+      runId: run_id,
+      tenantId: tenant_id,
+      userId: user_id || 'api_user',
+      reason,
+      compensate: Boolean(compensate)
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Provider webhook receiver: POST /webhooks/:provider/:tenant_id
+ * Authenticated by the provider signature, not an auth token; raw_body must
+ * be the exact bytes received so the signature can be checked
+ */
+export async function apiReceiveWebhook(request) {
+  try {
+    const { provider, tenant_id, headers, raw_body } = request;
+
+    if (!provider || !tenant_id || typeof raw_body !== 'string') {
+      return { status_code: 400, body: { error: 'Missing required fields: provider, tenant_id, raw_body' } };
+    }
+
+    const result = await receiveWebhook({
+      provider,
+      tenantId: tenant_id,
+      headers: headers || {},
+      rawBody: raw_body
+    });
+
+    return { status_code: result.statusCode, body: result.body };
+  } catch (error) {
+    return { status_code: 500, body: { error: error.message } };
+  }
+}
+
+export default { apiEnqueue, apiProcessNext, apiApprove, apiDeliverEvent, apiCancelRun, apiReceiveWebhook };
\ No newline at end of file
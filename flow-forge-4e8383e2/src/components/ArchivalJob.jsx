@@ -5,6 +5,7 @@
 
 import TenantEntity from './TenantEntity';
 import { Run, RunLog, AgentExecutionLog, ComplianceEvent } from '@/api/entities';
+import { purgeExpiredDeadLetters } from './DeadLetterQueue';
 
 // ============================================================================
 // ARCHIVAL CONFIGURATION
@@ -192,6 +193,8 @@ export async function runFullArchival() {
     runs: await archiveOldRuns(),
     logs: await archiveOldLogs(),
     agent_logs: await archiveOldAgentLogs(),
+    // Dead letters carry their own expires_at (see DeadLetterQueue retention)
+    dead_letters: await purgeExpiredDeadLetters(),
     duration_ms: Date.now() - startTime
   };
   
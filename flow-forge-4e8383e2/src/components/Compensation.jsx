@@ -0,0 +1,74 @@
+/**
+ * Compensation: Saga-style rollback definitions for workflow steps
+ * Maps provider actions to the action that undoes them
+ */
+
+import { getAction } from './ConnectorRegistry';
+
+/**
+ * Built-in compensations, keyed by `${tool}:${action}` (the registered action id)
+ * Mappings resolve against run context plus {{result}} (the step's output)
+ */
+export const DEFAULT_COMPENSATIONS = {
+  'stripe:charges.capture': {
+    action: 'refunds.create',
+    mapping_json: { charge: '{{result.id}}', reason: 'requested_by_customer' }
+  },
+  'stripe:payment_links.create': {
+    action: 'payment_links.update',
+    mapping_json: { payment_link: '{{result.id}}', active: false }
+  },
+  'xero:invoices.create': {
+    action: 'invoices.void',
+    mapping_json: { invoice_id: '{{result.invoice_id}}' }
+  }
+};
+
+/**
+ * Compensation for a step: its own `compensation`, else the built-in one
+ * Set `compensation: false` on a step to opt out
+ * @param {object} step - WorkflowStep (or parallel branch)
+ * @returns {object|null} - { action, mapping_json } or null
+ */
+export function getCompensation(step) {
+  if (step.compensation === false) {
+    return null;
+  }
+
+  if (step.compensation && step.compensation.action) {
+    return {
+      action: step.compensation.action,
+      mapping_json: step.compensation.mapping_json || {}
+    };
+  }
+
+  // Legacy alias ids (e.g. stripe_capture_payment) share their action's default
+  const definition = getAction(step.tool, step.action);
+  return DEFAULT_COMPENSATIONS[`${step.tool}:${definition ? definition.action : step.action}`] || null;
+}
+
+/**
+ * Build the entry pushed onto run.compensation_stack after a step succeeds
+ * @returns {object|null} - Stack entry, or null if the step has no compensation
+ */
+export function buildCompensationEntry(step, result) {
+  const compensation = getCompensation(step);
+  if (!compensation) {
+    return null;
+  }
+
+  return {
+    step_name: step.step_name,
+    tool: step.tool,
+    connection_id: step.connection_id,
+    compensation,
+    result,
+    completed_at: new Date().toISOString()
+  };
+}
+
+export default {
+  DEFAULT_COMPENSATIONS,
+  getCompensation,
+  buildCompensationEntry
+};
@@ -157,6 +157,27 @@ class ComplianceLogger {
     });
   }
   
+  /**
+   * Log run cancellation
+   * Who stopped a run and why, with the approvals and child runs it took down
+   */
+  async logRunCancellation(runId, userId, reason, details = {}) {
+    await this._logEvent({
+      category: 'run_control',
+      event_type: 'run_cancelled',
+      ref_type: 'run',
+      ref_id: runId,
+      actor: userId,
+      payload: {
+        run_id: runId,
+        reason,
+        ...details,
+        cancelled_at: new Date().toISOString()
+      },
+      pii_redacted: false
+    });
+  }
+  
   // ==========================================================================
   // CRYPTO-CHAIN IMPLEMENTATION
   // ==========================================================================
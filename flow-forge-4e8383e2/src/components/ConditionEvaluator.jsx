@@ -0,0 +1,119 @@
+/**
+ * ConditionEvaluator: Evaluate branch conditions against run context
+ * Used by condition_check steps to decide which branch a run takes
+ */
+
+import { resolveValue } from './MappingResolver';
+import { evaluateExpression, toExpressionSource, looseEquals, contains } from './ExpressionEngine';
+
+// ============================================================================
+// OPERATORS
+// ============================================================================
+
+// Equality and membership use the expression engine's rules, so
+// { left, operator: 'eq', right } and "left == right" always agree
+const OPERATORS = {
+  eq: (a, b) => looseEquals(a, b),
+  neq: (a, b) => !looseEquals(a, b),
+  gt: (a, b) => toNumber(a) > toNumber(b),
+  gte: (a, b) => toNumber(a) >= toNumber(b),
+  lt: (a, b) => toNumber(a) < toNumber(b),
+  lte: (a, b) => toNumber(a) <= toNumber(b),
+  contains: (a, b) => contains(a, b),
+  in: (a, b) => contains(b, a),
+  exists: (a) => a !== undefined && a !== null,
+  not_exists: (a) => a === undefined || a === null
+};
+
+const OPERATOR_ALIASES = {
+  '==': 'eq',
+  '===': 'eq',
+  '!=': 'neq',
+  '!==': 'neq',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate a condition against run context
+ * Accepts:
+ * - { all: [...] } / { any: [...] } / { not: condition }
+ * - { left, operator, right } where operands may be {{path}} references
+ * - an expression string, with or without braces:
+ *   "{{trigger.amount}} > 10000", "total_price > 500 and currency == 'EUR'"
+ *   (see ExpressionEngine; the result is tested for truthiness)
+ * @param {object|string|boolean} condition - Condition definition
+ * @param {object} context - Run context
+ * @returns {boolean} - Whether the condition matched
+ */
+export function evaluateCondition(condition, context) {
+  if (condition === undefined || condition === null) {
+    throw new Error('Condition is required');
+  }
+
+  if (typeof condition === 'boolean') {
+    return condition;
+  }
+
+  if (typeof condition === 'string') {
+    return evaluateStringCondition(condition.trim(), context);
+  }
+
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(c => evaluateCondition(c, context));
+  }
+
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(c => evaluateCondition(c, context));
+  }
+
+  if ('not' in condition) {
+    return !evaluateCondition(condition.not, context);
+  }
+
+  if ('left' in condition) {
+    const operator = normalizeOperator(condition.operator || 'exists');
+    const left = resolveValue(condition.left, context);
+    const right = resolveValue(condition.right, context);
+    return OPERATORS[operator](left, right);
+  }
+
+  throw new Error(`Unsupported condition: ${JSON.stringify(condition)}`);
+}
+
+function evaluateStringCondition(expression, context) {
+  return isTruthy(evaluateExpression(toExpressionSource(expression), context));
+}
+
+function normalizeOperator(operator) {
+  const name = OPERATOR_ALIASES[operator] || operator;
+
+  if (!OPERATORS[name]) {
+    throw new Error(`Unknown condition operator: ${operator}`);
+  }
+
+  return name;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function toNumber(value) {
+  return typeof value === 'number' ? value : parseFloat(value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+export default {
+  evaluateCondition
+};
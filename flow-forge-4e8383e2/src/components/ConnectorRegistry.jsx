@@ -0,0 +1,888 @@
+/**
+ * ConnectorRegistry: Provider connectors and the actions they declare
+ *
+ * Single source of truth for what a step's `tool` / `action` pair means:
+ * - the composer palette and ActionBlock read names, inputs and outputs
+ * - the runner validates resolved params against input_schema before calling safeExec
+ *   and maps provider errors through error_map
+ * - marketplace installs refuse templates whose actions are not registered
+ * - simulation synthesizes responses from output_schema
+ *
+ * A connector: { id, name, icon, auth, rate_limit, error_map, actions }
+ * - auth: { type: 'oauth2' | 'api_key' | 'basic' | 'connection' | 'none', ... } (none = no Connection needed,
+ *   connection = scheme chosen per Connection); oauth2 adds authorize_url, token_url,
+ *   scopes and scope_separator for OAuthFlow
+ * - rate_limit: { requests, per_ms, burst } as documented by the provider
+ * - error_map: [{ status?, code?, category, retryable, message? }], first match wins;
+ *   categories are the ones RetryPolicy understands
+ * An action: { name, icon, description, input_schema, output_schema, pagination?, aliases? }
+ * - pagination: { type: 'cursor' | 'page' | 'link_header', items_path, ... } for list actions
+ *   (see Pagination); such actions also accept a max_items input
+ * - aliases: action ids older workflows were saved with
+ */
+
+// ============================================================================
+// SHARED SCHEMAS
+// ============================================================================
+
+// Shopify REST ids arrive as numbers, GraphQL ids as strings
+const SHOPIFY_ID = { type: ['string', 'integer'] };
+
+// `example` values are used verbatim when synthesizing simulation responses
+const ORDER_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', example: 'gid://shopify/Order/1001' },
+    name: { type: 'string', example: '#1001' },
+    email: { type: 'string', format: 'email' },
+    total_price: { type: 'number', example: 149.9 },
+    currency: { type: 'string', example: 'EUR' },
+    financial_status: { type: 'string', enum: ['paid', 'pending', 'refunded'] },
+    payment_intent_id: { type: 'string', example: 'pi_simulated' },
+    tags: { type: 'array', items: { type: 'string', example: 'wholesale' } },
+    customer: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        first_name: { type: 'string', example: 'Ada' },
+        last_name: { type: 'string', example: 'Lovelace' },
+        email: { type: 'string', format: 'email' }
+      }
+    },
+    line_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          sku: { type: 'string', example: 'SKU-1' },
+          title: { type: 'string', example: 'Sample product' },
+          quantity: { type: 'integer', example: 1 },
+          price: { type: 'number', example: 149.9 }
+        }
+      }
+    }
+  }
+};
+
+const INVOICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    invoice_id: { type: 'string' },
+    invoice_number: { type: 'string', example: 'INV-0001' },
+    status: { type: 'string', enum: ['AUTHORISED', 'DRAFT', 'PAID'] },
+    total: { type: 'number', example: 149.9 },
+    amount_due: { type: 'number', example: 149.9 },
+    currency_code: { type: 'string', example: 'EUR' }
+  }
+};
+
+const CHARGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', example: 'ch_simulated' },
+    amount: { type: 'integer', example: 14990 },
+    currency: { type: 'string', example: 'eur' },
+    status: { type: 'string', enum: ['succeeded', 'failed', 'pending'] },
+    customer: { type: 'string', example: 'cus_simulated' },
+    receipt_url: { type: 'string', format: 'uri' }
+  }
+};
+
+const MESSAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    message_id: { type: 'string' },
+    status: { type: 'string', enum: ['sent'] }
+  }
+};
+
+const SLACK_MESSAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ts: { type: 'string', example: '1700000000.000100' },
+    channel: { type: 'string', example: 'C0SIMULATED' }
+  }
+};
+
+const ANY = {};
+
+/**
+ * Object schema shorthand: { field: schema }, required field names
+ */
+function objectSchema(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+// ============================================================================
+// CONNECTORS
+// ============================================================================
+
+export const CONNECTORS = {
+  shopify: {
+    id: 'shopify',
+    name: 'Shopify',
+    icon: '🛍️',
+    auth: { type: 'api_key', header: 'X-Shopify-Access-Token' },
+    rate_limit: { requests: 2, per_ms: 1000, burst: 40 },
+    error_map: [
+      { status: 402, category: 'auth', retryable: false, message: 'Shop is frozen or unpaid' },
+      { status: 423, category: 'server_error', retryable: true, message: 'Shop is locked' },
+      { status: 429, category: 'rate_limit', retryable: true }
+    ],
+    actions: {
+      'orders.get': {
+        name: 'Fetch Order from Shopify',
+        icon: '🛍️',
+        description: 'Get order details',
+        input_schema: objectSchema({ order_id: SHOPIFY_ID }, ['order_id']),
+        output_schema: objectSchema({ order: ORDER_SCHEMA }),
+        aliases: ['shopify_fetch_order']
+      },
+      'customers.get': {
+        name: 'Fetch Customer from Shopify',
+        icon: '👤',
+        description: 'Get customer details',
+        input_schema: objectSchema({ customer_id: SHOPIFY_ID }, ['customer_id']),
+        output_schema: objectSchema({ customer: ORDER_SCHEMA.properties.customer })
+      },
+      'customer.get_location': {
+        name: 'Get Customer Location',
+        icon: '📍',
+        description: 'Look up a customer\'s default address',
+        input_schema: objectSchema({ customer_id: SHOPIFY_ID }, ['customer_id']),
+        output_schema: objectSchema({
+          country: { type: 'string', example: 'DE' },
+          province: { type: 'string' },
+          city: { type: 'string', example: 'Berlin' }
+        })
+      },
+      'fulfillments.get': {
+        name: 'Fetch Fulfillments',
+        icon: '📦',
+        description: 'Get shipping and tracking for an order',
+        input_schema: objectSchema({ order_id: SHOPIFY_ID }, ['order_id']),
+        output_schema: objectSchema({
+          fulfillments: {
+            type: 'array',
+            items: objectSchema({
+              tracking_number: { type: 'string', example: '1Z999AA10123456784' },
+              tracking_company: { type: 'string', example: 'UPS' },
+              status: { type: 'string', enum: ['success', 'pending'] }
+            })
+          }
+        })
+      },
+      'inventory.adjust': {
+        name: 'Adjust Inventory',
+        icon: '📦',
+        description: 'Change the available quantity of a product',
+        input_schema: objectSchema({
+          product_id: SHOPIFY_ID,
+          quantity_change: { type: 'integer' }
+        }, ['product_id']),
+        output_schema: objectSchema({ available: { type: 'integer', example: 10 } })
+      },
+      'orders.list': {
+        name: 'List Orders',
+        icon: '🛍️',
+        description: 'List orders matching a status',
+        input_schema: objectSchema({
+          status: { type: 'string', enum: ['open', 'closed', 'cancelled', 'any'] },
+          created_at_min: { type: 'string', format: 'date-time' }
+        }),
+        output_schema: objectSchema({ orders: { type: 'array', items: ORDER_SCHEMA } }),
+        pagination: { type: 'link_header', items_path: 'orders', cursor_param: 'page_info', limit_param: 'limit', page_size: 250 }
+      }
+    }
+  },
+
+  xero: {
+    id: 'xero',
+    name: 'Xero',
+    icon: '📊',
+    auth: {
+      type: 'oauth2',
+      scopes: ['accounting.transactions', 'offline_access'],
+      authorize_url: 'https://login.xero.com/identity/connect/authorize',
+      token_url: 'https://identity.xero.com/connect/token'
+    },
+    rate_limit: { requests: 60, per_ms: 60 * 1000, burst: 5 },
+    error_map: [
+      { code: 'ValidationException', category: 'validation', retryable: false },
+      { status: 404, category: 'validation', retryable: false, message: 'Xero record not found' },
+      { status: 429, category: 'rate_limit', retryable: true }
+    ],
+    actions: {
+      'invoices.create': {
+        name: 'Create Invoice in Xero',
+        icon: '📊',
+        description: 'Generate accounting invoice',
+        input_schema: objectSchema({
+          customer: { type: 'object' },
+          contact: { type: 'object' },
+          line_items: { type: 'array' },
+          reference: { type: 'string' }
+        }, ['line_items']),
+        output_schema: INVOICE_SCHEMA,
+        aliases: ['xero_create_invoice']
+      },
+      'invoices.update': {
+        name: 'Update Invoice in Xero',
+        icon: '📝',
+        description: 'Change an existing invoice',
+        input_schema: objectSchema({
+          invoice_id: { type: 'string' },
+          invoice_data: { type: 'object' },
+          tax_amount: { type: 'number' },
+          reference: { type: 'string' }
+        }),
+        output_schema: INVOICE_SCHEMA
+      },
+      'invoices.void': {
+        name: 'Void Invoice in Xero',
+        icon: '🚫',
+        description: 'Void an invoice (compensates invoices.create)',
+        input_schema: objectSchema({ invoice_id: { type: 'string' } }, ['invoice_id']),
+        output_schema: INVOICE_SCHEMA
+      },
+      'invoices.list': {
+        name: 'Fetch Invoices from Xero',
+        icon: '🧾',
+        description: 'List invoices by status or date range',
+        input_schema: objectSchema({
+          status: { type: 'string' },
+          date_range: { type: 'string' }
+        }),
+        output_schema: objectSchema({ invoices: { type: 'array', items: INVOICE_SCHEMA } }),
+        pagination: { type: 'page', items_path: 'invoices', page_param: 'page', page_size: 100 }
+      }
+    }
+  },
+
+  stripe: {
+    id: 'stripe',
+    name: 'Stripe',
+    icon: '💳',
+    auth: { type: 'api_key', scheme: 'bearer' },
+    rate_limit: { requests: 100, per_ms: 1000, burst: 100 },
+    error_map: [
+      { code: 'card_declined', category: 'validation', retryable: false, message: 'Card was declined' },
+      { code: 'charge_already_captured', category: 'validation', retryable: false },
+      { code: 'charge_already_refunded', category: 'validation', retryable: false },
+      { code: 'lock_timeout', category: 'server_error', retryable: true },
+      { code: 'rate_limit', category: 'rate_limit', retryable: true },
+      { status: 402, category: 'validation', retryable: false }
+    ],
+    actions: {
+      'charges.capture': {
+        name: 'Capture Payment in Stripe',
+        icon: '💳',
+        description: 'Process credit card payment',
+        input_schema: objectSchema({
+          charge: { type: 'string' },
+          amount: { type: 'integer' }
+        }, ['charge']),
+        output_schema: CHARGE_SCHEMA,
+        aliases: ['stripe_capture_payment']
+      },
+      'charges.list': {
+        name: 'Fetch Charges from Stripe',
+        icon: '💳',
+        description: 'List charges by status',
+        input_schema: objectSchema({
+          status: { type: 'string' },
+          type: { type: 'string' }
+        }),
+        output_schema: objectSchema({ charges: { type: 'array', items: CHARGE_SCHEMA } }),
+        pagination: {
+          type: 'cursor',
+          items_path: 'charges',
+          cursor_param: 'starting_after',
+          next_cursor_path: 'last_id',
+          has_more_path: 'has_more',
+          limit_param: 'limit',
+          page_size: 100
+        }
+      },
+      'refunds.create': {
+        name: 'Refund Payment in Stripe',
+        icon: '↩️',
+        description: 'Refund all or part of a charge',
+        input_schema: objectSchema({
+          charge: { type: 'string' },
+          amount: { type: 'integer' },
+          reason: { type: 'string' }
+        }, ['charge']),
+        output_schema: objectSchema({
+          id: { type: 'string', example: 're_simulated' },
+          amount: { type: 'integer', example: 14990 },
+          status: { type: 'string', enum: ['succeeded'] }
+        })
+      },
+      'payment_links.create': {
+        name: 'Create Payment Links',
+        icon: '🔗',
+        description: 'Create a payment link per invoice',
+        input_schema: objectSchema({ invoices: { type: 'array' } }, ['invoices']),
+        output_schema: objectSchema({
+          links: { type: 'array', items: objectSchema({ url: { type: 'string', format: 'uri' } }) }
+        })
+      },
+      'payment_links.update': {
+        name: 'Update Payment Link',
+        icon: '🔗',
+        description: 'Activate or deactivate a payment link (compensates payment_links.create)',
+        input_schema: objectSchema({
+          payment_link: { type: 'string' },
+          active: { type: 'boolean' }
+        }, ['payment_link']),
+        output_schema: objectSchema({
+          id: { type: 'string', example: 'plink_simulated' },
+          active: { type: 'boolean', example: false }
+        })
+      },
+      'disputes.update': {
+        name: 'Submit Dispute Evidence',
+        icon: '⚖️',
+        description: 'Attach evidence to a dispute',
+        input_schema: objectSchema({
+          dispute_id: { type: 'string' },
+          evidence: { type: 'object' }
+        }, ['dispute_id']),
+        output_schema: objectSchema({
+          id: { type: 'string', example: 'dp_simulated' },
+          status: { type: 'string', enum: ['under_review'] }
+        })
+      },
+      'subscriptions.pause': {
+        name: 'Pause Subscriptions',
+        icon: '⏸️',
+        description: 'Pause collection on subscriptions',
+        input_schema: objectSchema({ subscription_ids: ANY }, ['subscription_ids']),
+        output_schema: objectSchema({ paused: { type: 'array', items: { type: 'string' } } })
+      },
+      'payouts.list': {
+        name: 'Fetch Payouts from Stripe',
+        icon: '🏦',
+        description: 'List payouts in a date range',
+        input_schema: objectSchema({
+          status: { type: 'string' },
+          date_range: { type: 'string' }
+        }),
+        output_schema: objectSchema({
+          payouts: {
+            type: 'array',
+            items: objectSchema({
+              id: { type: 'string', example: 'po_simulated' },
+              amount: { type: 'integer', example: 250000 },
+              arrival_date: { type: 'string', format: 'date-time' }
+            })
+          }
+        }),
+        pagination: {
+          type: 'cursor',
+          items_path: 'payouts',
+          cursor_param: 'starting_after',
+          next_cursor_path: 'last_id',
+          has_more_path: 'has_more',
+          limit_param: 'limit',
+          page_size: 100
+        }
+      }
+    }
+  },
+
+  email: {
+    id: 'email',
+    name: 'Email',
+    icon: '📧',
+    auth: { type: 'api_key', scheme: 'bearer' },
+    rate_limit: { requests: 10, per_ms: 1000, burst: 10 },
+    error_map: [
+      { code: 'invalid_recipient', category: 'validation', retryable: false },
+      { status: 429, category: 'rate_limit', retryable: true }
+    ],
+    actions: {
+      'email.send': {
+        name: 'Send Email',
+        icon: '📧',
+        description: 'Send notification email',
+        input_schema: objectSchema({
+          to: { type: 'string' },
+          subject: { type: 'string' },
+          body: { type: 'string' },
+          attachment: ANY
+        }, ['to']),
+        output_schema: MESSAGE_SCHEMA,
+        aliases: ['send_email']
+      },
+      'email.send_template': {
+        name: 'Send Template Email',
+        icon: '✉️',
+        description: 'Send an email from a saved template',
+        input_schema: objectSchema({
+          to: { type: 'string' },
+          template: { type: 'string' },
+          template_name: { type: 'string' },
+          subject: { type: 'string' }
+        }, ['to']),
+        output_schema: MESSAGE_SCHEMA
+      }
+    }
+  },
+
+  slack: {
+    id: 'slack',
+    name: 'Slack',
+    icon: '💬',
+    auth: {
+      type: 'oauth2',
+      scopes: ['chat:write'],
+      scope_separator: ',',
+      authorize_url: 'https://slack.com/oauth/v2/authorize',
+      token_url: 'https://slack.com/api/oauth.v2.access'
+    },
+    rate_limit: { requests: 1, per_ms: 1000, burst: 3 },
+    error_map: [
+      { code: 'ratelimited', category: 'rate_limit', retryable: true },
+      { code: 'channel_not_found', category: 'validation', retryable: false },
+      { code: 'not_in_channel', category: 'validation', retryable: false },
+      { code: 'invalid_auth', category: 'auth', retryable: false },
+      { code: 'token_revoked', category: 'auth', retryable: false }
+    ],
+    actions: {
+      'message.send': {
+        name: 'Send Slack Message',
+        icon: '💬',
+        description: 'Post to Slack channel',
+        input_schema: objectSchema({
+          channel: { type: 'string' },
+          message: { type: 'string' }
+        }, ['channel']),
+        output_schema: SLACK_MESSAGE_SCHEMA,
+        aliases: ['slack_notify']
+      },
+      'message.with_buttons': {
+        name: 'Send Slack Message with Buttons',
+        icon: '🔘',
+        description: 'Post a message with action buttons',
+        input_schema: objectSchema({
+          channel: { type: 'string' },
+          message: { type: 'string' },
+          buttons: { type: 'array' }
+        }),
+        output_schema: SLACK_MESSAGE_SCHEMA
+      }
+    }
+  },
+
+  // Generic requests; the Connection's config.auth_scheme picks how credentials are sent (see HttpAction)
+  http: {
+    id: 'http',
+    name: 'HTTP',
+    icon: '🌐',
+    auth: { type: 'connection', schemes: ['none', 'bearer', 'basic', 'api_key', 'hmac'] },
+    rate_limit: null,
+    error_map: [
+      { status: 408, category: 'timeout', retryable: true },
+      { status: 429, category: 'rate_limit', retryable: true },
+      { status: 401, category: 'auth', retryable: false },
+      { status: 403, category: 'auth', retryable: false }
+    ],
+    actions: {
+      request: {
+        name: 'HTTP Request',
+        icon: '🌐',
+        description: 'Call any HTTP API and extract values with JSONPath',
+        input_schema: objectSchema({
+          method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'] },
+          url: { type: 'string' },
+          headers: { type: 'object' },
+          query: { type: 'object' },
+          body: ANY,
+          extract: { type: 'object' },
+          timeout_ms: { type: 'integer' }
+        }, ['method', 'url']),
+        output_schema: objectSchema({
+          status: { type: 'integer', example: 200 },
+          headers: { type: 'object' },
+          body: ANY
+        })
+      }
+    }
+  },
+
+  logic: {
+    id: 'logic',
+    name: 'Logic',
+    icon: '⚙️',
+    auth: { type: 'none' },
+    rate_limit: null,
+    error_map: [],
+    actions: {
+      condition_check: {
+        name: 'Conditional Branch',
+        icon: '🔀',
+        description: 'Branch based on condition',
+        input_schema: objectSchema({ condition: ANY, on_true: ANY, on_false: ANY }, ['condition']),
+        output_schema: objectSchema({ matched: { type: 'boolean' }, branch: { type: 'string' } })
+      },
+      parallel: {
+        name: 'Parallel Group',
+        icon: '🔱',
+        description: 'Run several actions at the same time',
+        input_schema: objectSchema({ branches: { type: 'array' }, join: { type: 'string' }, min_successes: { type: 'integer' } }, ['branches']),
+        output_schema: objectSchema({ results: { type: 'object' }, errors: { type: 'object' } })
+      },
+      for_each: {
+        name: 'For Each Item',
+        icon: '🔁',
+        description: 'Repeat actions for every item in a list',
+        // Either items, or a paginated list action as source ({ tool, action, connection_id, mapping_json })
+        input_schema: objectSchema({
+          items: ANY,
+          source: { type: 'object' },
+          steps: { type: 'array' },
+          concurrency: { type: 'integer' },
+          max_items: { type: 'integer' },
+          on_item_failure: { type: 'string', enum: ['continue', 'fail'] }
+        }, ['steps']),
+        output_schema: objectSchema({ items: { type: 'array' }, succeeded: { type: 'integer' }, failed: { type: 'integer' }, truncated: { type: 'boolean' } })
+      },
+      data_transform: {
+        name: 'Transform Data',
+        icon: '🔄',
+        description: 'Map and transform data',
+        input_schema: objectSchema({ input_data: ANY }),
+        output_schema: objectSchema({ output_data: ANY })
+      },
+      delay: {
+        name: 'Wait / Delay',
+        icon: '⏰',
+        description: 'Pause workflow execution',
+        input_schema: objectSchema({ duration: ANY }, ['duration']),
+        output_schema: objectSchema({ wake_at: { type: 'string', format: 'date-time' }, woke_at: { type: 'string', format: 'date-time' } })
+      },
+      sub_workflow: {
+        name: 'Run Workflow',
+        icon: '🧩',
+        description: 'Invoke another workflow with a mapped payload',
+        input_schema: objectSchema({
+          workflow_id: { type: 'string' },
+          version: ANY,
+          payload: ANY,
+          mode: { type: 'string', enum: ['sync', 'async'] }
+        }, ['workflow_id']),
+        output_schema: objectSchema({ run_id: { type: 'string' }, status: { type: 'string' }, output: ANY })
+      },
+      wait_for_event: {
+        name: 'Wait for Event',
+        icon: '📨',
+        description: 'Pause until a matching webhook arrives',
+        input_schema: objectSchema({ event_type: { type: 'string' }, match: ANY, timeout: ANY, on_timeout: { type: 'string' } }),
+        output_schema: objectSchema({ event: { type: 'object' }, timed_out: { type: 'boolean' } })
+      },
+      wait_until: {
+        name: 'Wait Until',
+        icon: '📅',
+        description: 'Pause until a date and time',
+        input_schema: objectSchema({ timestamp: { type: 'string' } }, ['timestamp']),
+        output_schema: objectSchema({ wake_at: { type: 'string', format: 'date-time' }, woke_at: { type: 'string', format: 'date-time' } })
+      },
+      tax_calculation: {
+        name: 'Calculate Tax',
+        icon: '🧮',
+        description: 'Compute tax for products shipped to a country',
+        input_schema: objectSchema({ country: ANY, products: ANY }),
+        output_schema: objectSchema({ tax_amount: { type: 'number', example: 28.48 }, rate: { type: 'number', example: 0.19 } })
+      },
+      fraud_analysis: {
+        name: 'Analyze Fraud Risk',
+        icon: '🕵️',
+        description: 'Score an order for fraud risk',
+        input_schema: objectSchema({ order: ANY, customer_history: ANY, device_fingerprint: ANY }),
+        output_schema: objectSchema({ risk_score: { type: 'number', example: 12 }, signals: { type: 'array', items: { type: 'string' } } })
+      },
+      reconciliation: {
+        name: 'Reconcile Payouts',
+        icon: '⚖️',
+        description: 'Match payouts against invoices',
+        input_schema: objectSchema({ payouts: ANY, invoices: ANY }),
+        output_schema: objectSchema({ results: { type: 'array' }, unmatched: { type: 'array' } })
+      },
+      report_generation: {
+        name: 'Generate Report',
+        icon: '📈',
+        description: 'Render a report from earlier step data',
+        input_schema: objectSchema({ reconciliation_data: ANY }),
+        output_schema: objectSchema({ report_url: { type: 'string', format: 'uri' } })
+      }
+    }
+  }
+};
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Connector for a provider, or null if none is registered
+ */
+export function getConnector(provider) {
+  return CONNECTORS[provider] || null;
+}
+
+/**
+ * Action definition for a step's tool / action, resolving aliases
+ * @returns {object|null} - { provider, action (canonical id), ...definition }
+ */
+export function getAction(provider, action) {
+  const connector = getConnector(provider);
+  if (!connector) {
+    return null;
+  }
+
+  for (const [id, definition] of Object.entries(connector.actions)) {
+    if (id === action || (definition.aliases || []).includes(action)) {
+      return { ...withPaginationInput(definition), provider, action: id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Paginated actions take max_items, which the runner consumes instead of the provider
+ */
+function withPaginationInput(definition) {
+  if (!definition.pagination) {
+    return definition;
+  }
+  const schema = definition.input_schema || objectSchema({});
+  return {
+    ...definition,
+    input_schema: {
+      ...schema,
+      properties: { ...schema.properties, max_items: { type: 'integer' } }
+    }
+  };
+}
+
+/**
+ * Whether steps of this provider run against a Connection
+ */
+export function requiresConnection(provider) {
+  const connector = getConnector(provider);
+  return !connector || connector.auth.type !== 'none';
+}
+
+/**
+ * Top-level property names of a schema (composer input and output lists)
+ */
+function schemaFields(schema) {
+  return Object.keys((schema && schema.properties) || {});
+}
+
+/**
+ * Composer palette entry for an action
+ * @returns {{id, name, provider, icon, description, inputs, required, outputs}}
+ */
+export function toActionData(definition) {
+  return {
+    id: definition.action,
+    name: definition.name,
+    provider: definition.provider,
+    icon: definition.icon || getConnector(definition.provider).icon,
+    description: definition.description,
+    inputs: schemaFields(definition.input_schema),
+    required: (definition.input_schema && definition.input_schema.required) || [],
+    outputs: schemaFields(definition.output_schema)
+  };
+}
+
+/**
+ * Every registered action as palette entries, provider actions first
+ */
+export function listActions() {
+  const providers = Object.keys(CONNECTORS).filter(id => id !== 'logic');
+  return [...providers, 'logic'].flatMap(provider =>
+    Object.keys(CONNECTORS[provider].actions).map(action => toActionData(getAction(provider, action)))
+  );
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) {
+    return type.some(t => matchesType(value, t));
+  }
+  const actual = typeOf(value);
+  // Composer inputs are text, so numeric strings satisfy number fields
+  if (actual === 'string' && (type === 'integer' || type === 'number')) {
+    return type === 'integer' ? /^-?\d+$/.test(value.trim()) : value.trim() !== '' && Number.isFinite(Number(value));
+  }
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check resolved params against an action's input schema
+ * Only required fields, declared types and enums are checked; extra fields are allowed
+ * @returns {string[]} - Problems, empty if valid
+ */
+export function validateActionInput(provider, action, params) {
+  const definition = getAction(provider, action);
+  if (!getConnector(provider)) {
+    return [`unknown connector "${provider}"`];
+  }
+  if (!definition) {
+    return [`${provider} has no action "${action}"`];
+  }
+
+  const schema = definition.input_schema || {};
+  const input = params || {};
+  const issues = [];
+
+  for (const field of schema.required || []) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      issues.push(`${field} is required`);
+    }
+  }
+
+  for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (fieldSchema.type && !matchesType(value, fieldSchema.type)) {
+      issues.push(`${field} must be ${[].concat(fieldSchema.type).join(' or ')}, got ${typeOf(value)}`);
+    } else if (fieldSchema.enum && !fieldSchema.enum.includes(value)) {
+      issues.push(`${field} must be one of ${fieldSchema.enum.join(', ')}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Throw a non-retryable validation error if params do not fit the action
+ */
+export function assertActionInput(provider, action, params) {
+  const issues = validateActionInput(provider, action, params);
+  if (issues.length > 0) {
+    const error = new Error(`Invalid input for ${provider}.${action}: ${issues.join('; ')}`);
+    error.status = 400;
+    error.validation = issues;
+    throw error;
+  }
+}
+
+/**
+ * Steps of a manifest (or for_each sub-steps) whose action is not registered
+ * or that leave a required input unset
+ * @param {object} workflowJson - { steps: [{ name, provider, action, inputs }] }
+ * @returns {string[]} - Problems, empty if every action is known
+ */
+export function validateTemplateActions(workflowJson) {
+  const issues = [];
+
+  const check = (provider, action, inputs, where) => {
+    const definition = getAction(provider, action);
+    if (!definition) {
+      issues.push(`${where}: ${getConnector(provider) ? `${provider} has no action "${action}"` : `unknown connector "${provider}"`}`);
+      return;
+    }
+    // Inputs are still {{ }} expressions here, so only their presence is checked
+    const missing = ((definition.input_schema && definition.input_schema.required) || [])
+      .filter(field => !inputs || inputs[field] === undefined || inputs[field] === '');
+    if (missing.length > 0) {
+      issues.push(`${where}: missing ${missing.join(', ')} for ${provider}.${definition.action}`);
+    }
+  };
+
+  ((workflowJson && workflowJson.steps) || []).forEach((step, index) => {
+    const inputs = step.inputs || step.mapping_json;
+    check(step.provider || step.tool, step.action, inputs, `step_${index} ${step.name}`);
+
+    if (step.action === 'for_each' && inputs && inputs.source && typeof inputs.source === 'object') {
+      const { source } = inputs;
+      const listing = getAction(source.tool || source.provider, source.action);
+      if (listing && !listing.pagination) {
+        issues.push(`step_${index} ${step.name}.source: ${listing.provider}.${listing.action} is not a paginated list action`);
+      } else {
+        check(source.tool || source.provider, source.action, source.mapping_json || source.inputs, `step_${index} ${step.name}.source`);
+      }
+    } else if (step.action === 'for_each' && inputs && (inputs.items === undefined || inputs.items === '')) {
+      issues.push(`step_${index} ${step.name}: for_each needs items or a source`);
+    }
+
+    if (step.action === 'for_each' && Array.isArray(inputs && inputs.steps)) {
+      for (const subStep of inputs.steps) {
+        check(subStep.tool || subStep.provider, subStep.action, subStep.mapping_json || subStep.inputs, `step_${index} ${step.name}.${subStep.name}`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+// ============================================================================
+// ERROR MAPPING
+// ============================================================================
+
+function errorCode(error) {
+  const body = error.response && error.response.data;
+  return error.code || error.type || (body && (body.code || body.error || body.Type)) || null;
+}
+
+/**
+ * Annotate a provider error using the connector's error_map
+ * Sets error.category / error.retryable (read by classifyError) and
+ * prefixes the message when the rule has one. Unmapped errors are returned as-is.
+ */
+export function mapProviderError(provider, error) {
+  const connector = getConnector(provider);
+  if (!connector || !error) {
+    return error;
+  }
+
+  const code = errorCode(error);
+  const status = error.status || error.statusCode || (error.response && error.response.status) || null;
+  const rule = connector.error_map.find(entry =>
+    (entry.code === undefined || entry.code === code) &&
+    (entry.status === undefined || Number(entry.status) === Number(status)) &&
+    (entry.code !== undefined || entry.status !== undefined)
+  );
+
+  if (!rule) {
+    return error;
+  }
+
+  error.category = rule.category;
+  error.retryable = rule.retryable;
+  error.provider_code = code;
+  if (rule.message && !error.message.startsWith(rule.message)) {
+    error.message = `${rule.message}: ${error.message}`;
+  }
+  return error;
+}
+
+export default {
+  CONNECTORS,
+  getConnector,
+  getAction,
+  requiresConnection,
+  toActionData,
+  listActions,
+  validateActionInput,
+  assertActionInput,
+  validateTemplateActions,
+  mapProviderError
+};
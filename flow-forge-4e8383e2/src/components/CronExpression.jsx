@@ -0,0 +1,402 @@
+/**
+ * CronExpression: Parse 5-field cron expressions and compute fire times in a timezone
+ *
+ * Fields: minute hour day-of-month month day-of-week
+ * Supports *, lists (1,15), ranges (1-5), steps (*\/15, 0-30/10), month and
+ * weekday names (JAN, MON) and the @hourly/@daily/@weekly/@monthly/@yearly macros.
+ * As in standard cron, when both day-of-month and day-of-week are restricted a
+ * day matching either fires.
+ * Around DST changes, a wall time skipped by a spring-forward fires right after
+ * the jump. In the hour repeated by a fall-back, schedules with a * hour field
+ * fire in both passes; schedules pinned to hours fire once.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day_of_month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day_of_week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Upper bound on search steps so impossible expressions (e.g. "0 0 31 2 *") terminate
+const MAX_SEARCH_STEPS = 200000;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const HALF_DAY_MS = 12 * HOUR_MS;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a cron expression
+ * @returns {{minute, hour, day_of_month, month, day_of_week, domRestricted, dowRestricted}}
+ *   Each field is a Set of allowed values
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${source}": expected 5 fields, got ${parts.length}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field, source);
+  });
+
+  // Sunday may be written as 0 or 7
+  if (parsed.day_of_week.has(7)) {
+    parsed.day_of_week.delete(7);
+    parsed.day_of_week.add(0);
+  }
+
+  parsed.domRestricted = parts[2] !== '*' && parts[2] !== '?';
+  parsed.dowRestricted = parts[4] !== '*' && parts[4] !== '?';
+
+  return parsed;
+}
+
+function parseField(text, field, source) {
+  const values = new Set();
+
+  for (const item of text.split(',')) {
+    const [rangeText, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${item}" in ${field.name} of "${source}"`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*' || rangeText === '?') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [from, to] = rangeText.split('-');
+      start = parseValue(from, field, source);
+      end = parseValue(to, field, source);
+    } else {
+      start = parseValue(rangeText, field, source);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range "${item}" in ${field.name} of "${source}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseValue(text, field, source) {
+  const upper = text.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + field.nameOffset;
+  }
+
+  const value = Number(text);
+  if (!/^\d+$/.test(text) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${text}" in "${source}"`);
+  }
+
+  return value;
+}
+
+/**
+ * Whether a cron expression parses
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// TIMEZONES
+// ============================================================================
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock time of an instant in a timezone, as a UTC-based Date
+ * (getUTCHours() etc. read the local wall clock)
+ */
+function toWallClock(instant, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(instant)) {
+    parts[part.type] = Number(part.value);
+  }
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+/**
+ * Instant at which a timezone's wall clock shows the given time
+ * A time repeated by a DST fall-back resolves to its first occurrence; a time
+ * skipped by a spring-forward resolves to the equivalent instant after the jump
+ */
+function fromWallClock(wall, timeZone) {
+  const offsets = [-HALF_DAY_MS, HALF_DAY_MS].map((shift) => {
+    const probe = new Date(wall.getTime() + shift);
+    return toWallClock(probe, timeZone) - probe;
+  });
+
+  const candidates = offsets
+    .map(offset => new Date(wall.getTime() - offset))
+    .filter(candidate => toWallClock(candidate, timeZone).getTime() === wall.getTime())
+    .sort((a, b) => a - b);
+
+  return candidates.length > 0 ? candidates[0] : new Date(wall.getTime() - offsets[0]);
+}
+
+/**
+ * Whether a timezone name is usable
+ */
+export function isValidTimezone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// FIRE TIMES
+// ============================================================================
+
+function dayMatches(cron, wall) {
+  const domMatch = cron.day_of_month.has(wall.getUTCDate());
+  const dowMatch = cron.day_of_week.has(wall.getUTCDay());
+
+  if (cron.domRestricted && cron.dowRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * First wall-clock time strictly after `wall` that the expression matches
+ */
+function nextWallMatch(cron, wall) {
+  const t = new Date(wall.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * UTC offset of a timezone at an instant, in whole minutes
+ */
+function offsetMinutes(instant, timeZone) {
+  return Math.round((toWallClock(instant, timeZone) - instant) / MINUTE_MS);
+}
+
+/**
+ * Earliest fire in the wall-clock hour a DST fall-back repeats between two
+ * instants, or null if the clock did not fall back in between
+ * The wall-clock search only moves forward, so it never revisits that hour itself
+ */
+function repeatedHourFire(cron, cursor, next, timeZone) {
+  const before = offsetMinutes(cursor, timeZone);
+  const after = offsetMinutes(next, timeZone);
+  if (after >= before) {
+    return null;
+  }
+
+  // Narrow down the instant the clock fell back
+  let low = cursor.getTime();
+  let high = next.getTime();
+  while (high - low > 1000) {
+    const mid = Math.floor((low + high) / 2);
+    if (offsetMinutes(new Date(mid), timeZone) === before) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const repeatedFrom = toWallClock(new Date(high), timeZone);
+  const wall = nextWallMatch(cron, new Date(repeatedFrom.getTime() - MINUTE_MS));
+  if (!wall) {
+    return null;
+  }
+
+  const instant = new Date(wall.getTime() - after * MINUTE_MS);
+  return instant > cursor && instant < next ? instant : null;
+}
+
+/**
+ * Fire instants strictly after `after`, ascending
+ */
+function* iterateFires(cron, after, timezone) {
+  const everyHour = cron.hour.size === 24;
+  let cursor = new Date(after);
+
+  for (;;) {
+    const wall = nextWallMatch(cron, toWallClock(cursor, timezone));
+    if (!wall) {
+      return;
+    }
+
+    let instant = fromWallClock(wall, timezone);
+    // In a DST fall-back hour the wall time repeats; take its later occurrence
+    if (instant <= cursor) {
+      instant = new Date(wall.getTime() - (toWallClock(cursor, timezone) - cursor));
+    }
+    if (everyHour) {
+      instant = repeatedHourFire(cron, cursor, instant, timezone) || instant;
+    }
+
+    yield instant;
+    cursor = instant;
+  }
+}
+
+/**
+ * Next fire times of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {object} options - { after: Date (exclusive), timezone: IANA name, count }
+ * @returns {Date[]} - Up to `count` instants, ascending
+ */
+export function nextFireTimes(expression, { after = new Date(), timezone = 'UTC', count = 1 } = {}) {
+  const fires = [];
+  if (count <= 0) {
+    return fires;
+  }
+
+  for (const instant of iterateFires(parseCron(expression), after, timezone)) {
+    fires.push(instant);
+    if (fires.length >= count) {
+      break;
+    }
+  }
+
+  return fires;
+}
+
+/**
+ * Fire times in (from, to]
+ * @param {number} limit - Stop after this many (oldest first)
+ */
+export function fireTimesBetween(expression, from, to, { timezone = 'UTC', limit = 1000 } = {}) {
+  const fires = [];
+  if (limit <= 0) {
+    return fires;
+  }
+
+  for (const instant of iterateFires(parseCron(expression), from, timezone)) {
+    if (instant > to) {
+      break;
+    }
+    fires.push(instant);
+    if (fires.length >= limit) {
+      break;
+    }
+  }
+
+  return fires;
+}
+
+/**
+ * Number of fire times in (from, to], without collecting them
+ * @param {number} limit - Stop counting here
+ */
+export function countFireTimesBetween(expression, from, to, { timezone = 'UTC', limit = 100000 } = {}) {
+  let count = 0;
+
+  for (const instant of iterateFires(parseCron(expression), from, timezone)) {
+    if (instant > to || count >= limit) {
+      break;
+    }
+    count += 1;
+  }
+
+  return count;
+}
+
+/**
+ * The latest `count` fire times in (from, to], oldest first
+ * Searches a window ending at `to`, doubling it until it holds enough fires or
+ * reaches `from`, so a long gap costs no more than the fires near its end
+ */
+export function latestFireTimes(expression, from, to, { timezone = 'UTC', count = 1 } = {}) {
+  const start = new Date(from);
+  let windowMs = HOUR_MS;
+
+  for (;;) {
+    const windowStart = new Date(Math.max(start.getTime(), to.getTime() - windowMs));
+    const fires = fireTimesBetween(expression, windowStart, to, { timezone, limit: Infinity });
+    if (fires.length >= count || windowStart <= start) {
+      return fires.slice(-count);
+    }
+    windowMs *= 2;
+  }
+}
+
+export default {
+  parseCron,
+  isValidCron,
+  isValidTimezone,
+  nextFireTimes,
+  fireTimesBetween,
+  countFireTimesBetween,
+  latestFireTimes
+};
@@ -0,0 +1,179 @@
+/**
+ * CronScheduler: Fire schedule-triggered workflows
+ *
+ * trigger_config: { cron, timezone?, missed_fires?: 'skip' | 'catch_up', max_catch_up?, filter? }
+ * - timezone defaults to the tenant's TenantConfig.timezone, then UTC
+ * - each fire enqueues runWorkflow with idempotency key schedule:<workflow>:<fire ISO>,
+ *   so overlapping ticks (or two leader tabs) never double-fire
+ * - fires missed while nothing was polling are either replayed oldest first
+ *   (catch_up, keeping the latest max_catch_up), or dropped (skip, the default);
+ *   skip still runs the latest missed fire if it is less than one schedule
+ *   interval (the gap since the fire before it) late
+ * - a filter (see TriggerFilter) over the fire payload can veto individual fires
+ * Progress is kept on the workflow as schedule_state { last_checked_at, last_fire_at, next_fire_at }.
+ */
+
+import { Workflow, TenantConfig } from '@/api/entities';
+import TenantEntity from './TenantEntity';
+import { runWorkflow } from './WorkflowRunner';
+import { nextFireTimes, latestFireTimes, countFireTimesBetween } from './CronExpression';
+import { evaluateTriggerFilter } from './TriggerFilter';
+
+export const DEFAULT_MAX_CATCH_UP = 10;
+
+/**
+ * Timezone a schedule fires in
+ */
+export function resolveScheduleTimezone(workflow, tenantTimezone) {
+  return (workflow.trigger_config && workflow.trigger_config.timezone) || tenantTimezone || 'UTC';
+}
+
+/**
+ * Upcoming fire times for a schedule-triggered workflow
+ * @returns {Date[]} - Empty if the workflow has no valid schedule
+ */
+export function getUpcomingFires(workflow, tenantTimezone, count = 3, now = new Date()) {
+  const cron = workflow.trigger_config && workflow.trigger_config.cron;
+  if (workflow.trigger_type !== 'schedule' || !cron) {
+    return [];
+  }
+
+  try {
+    return nextFireTimes(cron, {
+      after: now,
+      timezone: resolveScheduleTimezone(workflow, tenantTimezone),
+      count
+    });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Whether a fire is more than one schedule interval late, measured as the gap
+ * between it and the fire before it
+ */
+function isStaleFire(cron, fireAt, now, timezone) {
+  const [previous] = latestFireTimes(cron, new Date(0), new Date(fireAt.getTime() - 1), { timezone, count: 1 });
+  return Boolean(previous) && now - fireAt > fireAt - previous;
+}
+
+/**
+ * Decide which fires in (last_checked_at, now] to run
+ * Only the fires kept are computed; the ones dropped before them are just counted
+ * @returns {{fire: Date[], skippedCount: number}}
+ */
+export function planFires(workflow, tenantTimezone, now = new Date()) {
+  const config = workflow.trigger_config || {};
+  const state = workflow.schedule_state || {};
+  const timezone = resolveScheduleTimezone(workflow, tenantTimezone);
+
+  // First sight of a schedule: start counting from now rather than replaying history
+  if (!state.last_checked_at) {
+    return { fire: [], skippedCount: 0 };
+  }
+
+  const from = new Date(state.last_checked_at);
+  // Over the catch-up cap (or in skip mode, beyond the latest), the oldest fires are dropped
+  const keep = config.missed_fires === 'catch_up' ? Number(config.max_catch_up) || DEFAULT_MAX_CATCH_UP : 1;
+  const fire = latestFireTimes(config.cron, from, now, { timezone, count: keep });
+
+  const skippedCount = fire.length < keep
+    ? 0
+    : countFireTimesBetween(config.cron, from, new Date(fire[0].getTime() - 1), { timezone });
+
+  if (config.missed_fires !== 'catch_up' && fire.length > 0 && isStaleFire(config.cron, fire[0], now, timezone)) {
+    return { fire: [], skippedCount: skippedCount + 1 };
+  }
+
+  return { fire, skippedCount };
+}
+
+/**
+ * One scheduler pass over the current tenant's enabled schedule workflows
+ * Called from the leader tab's poll loop
+ * @returns {Promise<Array<{workflowId, firedAt, runId, status}>>}
+ */
+export async function runSchedulerTick(now = new Date()) {
+  const TenantWorkflow = TenantEntity.wrap(Workflow);
+  const TenantTenantConfig = TenantEntity.wrap(TenantConfig);
+
+  const [workflows, configs] = await Promise.all([
+    TenantWorkflow.filter({ trigger_type: 'schedule', enabled: true }),
+    TenantTenantConfig.list()
+  ]);
+  const tenantTimezone = configs.length > 0 ? configs[0].timezone : null;
+  const fired = [];
+
+  for (const workflow of workflows) {
+    const cron = workflow.trigger_config && workflow.trigger_config.cron;
+    if (!cron) {
+      continue;
+    }
+
+    try {
+      const timezone = resolveScheduleTimezone(workflow, tenantTimezone);
+      const { fire, skippedCount } = planFires(workflow, tenantTimezone, now);
+      let lastFiltered = null;
+      let filteredCount = 0;
+
+      for (const fireTime of fire) {
+        const scheduledAt = fireTime.toISOString();
+        const triggerPayload = {
+          scheduled_at: scheduledAt,
+          fired_at: now.toISOString(),
+          cron,
+          timezone,
+          late_ms: now - fireTime
+        };
+
+        const filter = evaluateTriggerFilter(workflow.trigger_config, triggerPayload);
+        if (!filter.passed) {
+          lastFiltered = { scheduled_at: scheduledAt, reason: filter.reason };
+          filteredCount += 1;
+          continue;
+        }
+
+        const result = await runWorkflow({
+          tenantId: workflow.tenant_id,
+          workflowId: workflow.id,
+          triggerType: 'schedule',
+          triggerPayload,
+          idempotencyKey: `schedule:${workflow.id}:${scheduledAt}`,
+          userId: 'scheduler'
+        });
+        fired.push({ workflowId: workflow.id, firedAt: scheduledAt, runId: result.runId, status: result.status });
+      }
+
+      const [nextFire] = nextFireTimes(cron, { after: now, timezone, count: 1 });
+      const previous = workflow.schedule_state || {};
+
+      await TenantWorkflow.update(workflow.id, {
+        schedule_state: {
+          last_checked_at: now.toISOString(),
+          last_fire_at: fire.length > 0 ? fire[fire.length - 1].toISOString() : previous.last_fire_at || null,
+          next_fire_at: nextFire ? nextFire.toISOString() : null,
+          skipped_fires: (previous.skipped_fires || 0) + skippedCount,
+          filtered_fires: (previous.filtered_fires || 0) + filteredCount,
+          last_filtered: lastFiltered || previous.last_filtered || null,
+          last_error: null
+        }
+      });
+    } catch (error) {
+      console.error(`Scheduler failed for workflow ${workflow.id}:`, error);
+      await TenantWorkflow.update(workflow.id, {
+        schedule_state: { ...(workflow.schedule_state || {}), last_error: error.message }
+      });
+    }
+  }
+
+  return fired;
+}
+
+export default {
+  DEFAULT_MAX_CATCH_UP,
+  resolveScheduleTimezone,
+  getUpcomingFires,
+  planFires,
+  runSchedulerTick
+};
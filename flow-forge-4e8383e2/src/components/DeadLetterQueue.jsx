@@ -0,0 +1,256 @@
+/**
+ * DeadLetterQueue: Park permanently failed runs and undeliverable webhook events
+ *
+ * A DeadLetter { kind: 'run' | 'webhook_event', ref_id, reason, category, payload, status }
+ * is written when a run fails with no retry left, or when a stored webhook event
+ * could not be dispatched. It snapshots what is needed to try again (the trigger
+ * payload or event payload, workflow and failing step), so it survives run archival.
+ *
+ * Entries stay `open` until they are re-driven (see DeadLetterRedrive) or
+ * discarded, and are purged once expires_at passes:
+ * - open entries: retention.open_days after they were dead-lettered
+ * - redriven / discarded entries: retention.resolved_days after resolution
+ * Tenants override the defaults with TenantConfig.dead_letter_retention.
+ */
+
+import { DeadLetter, TenantConfig } from '@/api/entities';
+import TenantEntity from './TenantEntity';
+import { classifyError } from './RuntimeSafety';
+import { isAwaitedChildRun } from './SubWorkflow';
+
+export const DEFAULT_RETENTION = {
+  open_days: 30,
+  resolved_days: 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// RETENTION
+// ============================================================================
+
+/**
+ * Effective retention rule for a tenant
+ */
+export async function loadRetention(tenantId) {
+  const [config] = await TenantConfig.filter({ tenant_id: tenantId });
+  return { ...DEFAULT_RETENTION, ...((config && config.dead_letter_retention) || {}) };
+}
+
+function expiresAt(from, days) {
+  return new Date(new Date(from).getTime() + days * DAY_MS).toISOString();
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Create or refresh the open dead letter for a reference
+ * A run that is resumed and fails again updates its entry instead of adding one
+ */
+async function upsertDeadLetter(tenantId, kind, refId, fields) {
+  const retention = await loadRetention(tenantId);
+  const now = new Date().toISOString();
+  const record = {
+    ...fields,
+    status: 'open',
+    dead_lettered_at: now,
+    expires_at: expiresAt(now, retention.open_days)
+  };
+
+  const [existing] = await DeadLetter.filter({ tenant_id: tenantId, kind, ref_id: refId, status: 'open' });
+  if (existing) {
+    await DeadLetter.update(existing.id, { ...record, occurrences: (existing.occurrences || 1) + 1 });
+    return { ...existing, ...record };
+  }
+
+  return await DeadLetter.create({ tenant_id: tenantId, kind, ref_id: refId, occurrences: 1, ...record });
+}
+
+/**
+ * Dead-letter a run that failed with no retry left
+ * Simulation runs are never dead-lettered, nor are sub-workflow runs their parent
+ * waits on: the parent fails with them, and re-driving the parent runs them again
+ * @param {object} run - The failed run
+ * @param {Error} error
+ * @param {object} details - { step, retryReason }
+ */
+export async function deadLetterRun(run, error, { step = null, retryReason = null } = {}) {
+  if (run.is_simulation || isAwaitedChildRun(run)) {
+    return null;
+  }
+
+  const classification = classifyError(error);
+  return await upsertDeadLetter(run.tenant_id, 'run', run.id, {
+    workflow_id: run.workflow_id,
+    workflow_version: run.workflow_version || null,
+    step_name: step ? step.step_name : null,
+    step_order: step ? step.step_order : run.current_step_order,
+    category: classification.category,
+    reason: retryReason ? `${error.message} (${retryReason})` : error.message,
+    attempts: run.attempt || 1,
+    trigger_type: run.trigger_type,
+    payload: run.trigger_payload || {},
+    correlation_id: run.correlation_id || null
+  });
+}
+
+/**
+ * Dead-letter a stored webhook event that could not be dispatched
+ */
+export async function deadLetterWebhookEvent(event, error) {
+  return await upsertDeadLetter(event.tenant_id, 'webhook_event', event.id, {
+    provider: event.provider,
+    event_type: event.event_type,
+    category: classifyError(error).category,
+    reason: error.message,
+    attempts: 1,
+    payload: event.payload || {}
+  });
+}
+
+// ============================================================================
+// INSPECTION
+// ============================================================================
+
+/**
+ * Dead letters of the current tenant, newest first
+ * @param {object} filter - e.g. { status: 'open', kind: 'run' }
+ */
+export async function listDeadLetters(filter = {}, limit = 200) {
+  return await TenantEntity.wrap(DeadLetter).filter(filter, '-dead_lettered_at', limit);
+}
+
+/**
+ * Group dead letters by a field for bulk inspection
+ * @param {'category'|'workflow_id'|'event_type'|'reason'} field
+ * @returns {Array<{key, count, ids: string[]}>} - Largest group first
+ */
+export function groupDeadLetters(entries, field) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = entry[field] || 'unknown';
+    if (!groups.has(key)) {
+      groups.set(key, { key, count: 0, ids: [] });
+    }
+    const group = groups.get(key);
+    group.count++;
+    group.ids.push(entry.id);
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+// ============================================================================
+// PAYLOAD PATCHING
+// ============================================================================
+
+/**
+ * Apply a JSON merge patch (RFC 7396) to a payload
+ * Objects merge recursively, null removes a key, anything else replaces
+ */
+export function applyMergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Mark a dead letter resolved and start its resolved retention clock
+ * @param {'redriven'|'discarded'} status
+ */
+export async function resolveDeadLetter(entry, status, { userId = null, note = null, redriveRefId = null, patch = null } = {}) {
+  const retention = await loadRetention(entry.tenant_id);
+  const now = new Date().toISOString();
+  const updates = {
+    status,
+    resolved_at: now,
+    resolved_by: userId,
+    resolution_note: note,
+    redrive_ref_id: redriveRefId,
+    payload_patch: patch,
+    expires_at: expiresAt(now, retention.resolved_days)
+  };
+  await DeadLetter.update(entry.id, updates);
+  return { ...entry, ...updates };
+}
+
+/**
+ * Resolve the open dead letter of a run or event that was retried elsewhere (e.g. resumed)
+ * or given up on (status 'discarded', e.g. an abandoned run)
+ */
+export async function resolveOpenDeadLetter(tenantId, kind, refId, { status = 'redriven', ...options } = {}) {
+  const [entry] = await DeadLetter.filter({ tenant_id: tenantId, kind, ref_id: refId, status: 'open' });
+  if (!entry) {
+    return null;
+  }
+  return await resolveDeadLetter(entry, status, status === 'redriven' ? { redriveRefId: refId, ...options } : options);
+}
+
+/**
+ * Discard open dead letters without re-driving them
+ * @returns {Promise<number>} - Entries discarded
+ */
+export async function discardDeadLetters(ids, { userId = null, note = null } = {}) {
+  const TenantDeadLetter = TenantEntity.wrap(DeadLetter);
+  let discarded = 0;
+  for (const id of ids) {
+    const entry = await TenantDeadLetter.get(id);
+    if (entry && entry.status === 'open') {
+      await resolveDeadLetter(entry, 'discarded', { userId, note });
+      discarded++;
+    }
+  }
+  return discarded;
+}
+
+/**
+ * Delete dead letters past their expires_at
+ * @returns {Promise<object>} - { purged: number, errors: number }
+ */
+export async function purgeExpiredDeadLetters(now = new Date()) {
+  const TenantDeadLetter = TenantEntity.wrap(DeadLetter);
+  const entries = await TenantDeadLetter.list('expires_at', 1000);
+
+  let purged = 0;
+  let errors = 0;
+  for (const entry of entries.filter(e => e.expires_at && new Date(e.expires_at) <= now)) {
+    try {
+      await TenantDeadLetter.delete(entry.id);
+      purged++;
+    } catch (error) {
+      console.error(`Failed to purge dead letter ${entry.id}:`, error);
+      errors++;
+    }
+  }
+
+  return { purged, errors };
+}
+
+export default {
+  DEFAULT_RETENTION,
+  loadRetention,
+  deadLetterRun,
+  deadLetterWebhookEvent,
+  listDeadLetters,
+  groupDeadLetters,
+  applyMergePatch,
+  resolveDeadLetter,
+  resolveOpenDeadLetter,
+  discardDeadLetters,
+  purgeExpiredDeadLetters
+};
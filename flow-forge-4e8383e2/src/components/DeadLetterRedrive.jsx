@@ -0,0 +1,81 @@
+/**
+ * DeadLetterRedrive: Try dead-lettered runs and webhook events again
+ *
+ * - run: starts a fresh run of the workflow's published version with the
+ *   original trigger payload (merge-patched if a patch is given)
+ * - webhook_event: dispatches the stored event again with the patched payload,
+ *   to the matching workflows its earlier dispatch did not start
+ * The dead letter is marked redriven with the new run / event reference; if the
+ * retry fails too, the new run is dead-lettered on its own.
+ */
+
+import { DeadLetter } from '@/api/entities';
+import TenantEntity from './TenantEntity';
+import { runWorkflow } from './WorkflowRunner';
+import { redispatchEvent } from './WebhookReceiver';
+import { applyMergePatch, resolveDeadLetter } from './DeadLetterQueue';
+
+/**
+ * Re-drive one open dead letter
+ * @param {object} entry - DeadLetter
+ * @param {object} options - { patch: JSON merge patch for the payload, userId }
+ * @returns {Promise<{id, status: 'redriven', ref_id}>}
+ */
+export async function redriveDeadLetter(entry, { patch = null, userId = null } = {}) {
+  if (entry.status !== 'open') {
+    throw new Error(`Dead letter is already ${entry.status}`);
+  }
+
+  const payload = patch ? applyMergePatch(entry.payload || {}, patch) : entry.payload;
+  const redriveKey = `redrive:${entry.id}`;
+
+  let refId;
+  if (entry.kind === 'run') {
+    const result = await runWorkflow({
+      tenantId: entry.tenant_id,
+      workflowId: entry.workflow_id,
+      triggerPayload: payload,
+      triggerType: entry.trigger_type || 'manual',
+      idempotencyKey: redriveKey,
+      userId
+    });
+    refId = result.runId;
+  } else if (entry.kind === 'webhook_event') {
+    const result = await redispatchEvent(entry.ref_id, { payload: patch ? payload : null, redriveKey });
+    refId = entry.ref_id;
+    if (result.status === 'unmatched') {
+      throw new Error('No enabled workflow matches this event any more');
+    }
+  } else {
+    throw new Error(`Unknown dead letter kind: ${entry.kind}`);
+  }
+
+  await resolveDeadLetter(entry, 'redriven', { userId, redriveRefId: refId, patch });
+  return { id: entry.id, status: 'redriven', ref_id: refId };
+}
+
+/**
+ * Re-drive several dead letters with the same optional patch
+ * Failures are reported per entry and leave that entry open
+ * @returns {Promise<Array<{id, status: 'redriven'|'error', ref_id?, error?}>>}
+ */
+export async function redriveDeadLetters(ids, { patch = null, userId = null } = {}) {
+  const TenantDeadLetter = TenantEntity.wrap(DeadLetter);
+  const results = [];
+
+  for (const id of ids) {
+    try {
+      const entry = await TenantDeadLetter.get(id);
+      if (!entry) {
+        throw new Error('Dead letter not found');
+      }
+      results.push(await redriveDeadLetter(entry, { patch, userId }));
+    } catch (error) {
+      results.push({ id, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+export default { redriveDeadLetter, redriveDeadLetters };
@@ -0,0 +1,93 @@
+/**
+ * DueRuns: Runs that are ready for processNextStep
+ *
+ * - pending runs are always due
+ * - retry_scheduled runs are due once next_attempt_at has passed
+ * - sleeping runs (delay / wait-until steps) wake once wake_at has passed
+ * - awaiting_event runs only come back here when their wait times out
+ * - queued runs retry admission on every pass, in queue order (see RunQueue)
+ *
+ * apiProcessNext picks the oldest due run; the poller lists them all.
+ * Runs are ordered by the time they became due, oldest first. Queued runs come
+ * last, in queue order: the runs holding slots must progress to free them, and
+ * planAdmission already keeps new runs from overtaking the queue.
+ */
+
+import { isDue } from './DurableTimer';
+import { AWAITING_EVENT } from './EventWaiter';
+import { QUEUED, compareQueueOrder } from './RunQueue';
+
+// status -> field the run is listed by and becomes due at
+const DUE_AT_FIELDS = {
+  pending: 'started_at',
+  retry_scheduled: 'next_attempt_at',
+  sleeping: 'wake_at',
+  [AWAITING_EVENT]: 'wake_at',
+  [QUEUED]: 'queued_at'
+};
+
+export const DUE_STATUSES = ['pending', 'retry_scheduled', 'sleeping', AWAITING_EVENT, QUEUED];
+
+// Runs per status looked at; event waits without a timeout may list ahead of due ones
+const CANDIDATES_PER_STATUS = 100;
+
+/**
+ * Time a run became (or becomes) processable
+ */
+export function dueAt(run) {
+  const field = DUE_AT_FIELDS[run.status];
+  return new Date((field && run[field]) || run.started_at || run.created_date || 0);
+}
+
+/**
+ * Whether processNextStep would pick the run up now
+ */
+export function isRunDue(run, now = new Date()) {
+  switch (run.status) {
+    case 'pending':
+      return true;
+    case 'retry_scheduled':
+      return new Date(run.next_attempt_at) <= now;
+    case 'sleeping':
+      return isDue(run.wake_at, now);
+    case AWAITING_EVENT:
+      // Matching events set the run back to pending; here only the timeout can wake it
+      return Boolean(run.wake_at) && isDue(run.wake_at, now);
+    case QUEUED:
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Due runs, oldest first
+ * @param {object} runEntity - Run, or a tenant-scoped wrapper of it
+ * @param {object} filter - Extra filter, e.g. { tenant_id }
+ * @param {number} limit - Maximum runs to return
+ */
+export async function findDueRuns(runEntity, filter = {}, limit = 100) {
+  const now = new Date();
+  const runs = [];
+  let queued = [];
+
+  for (const status of DUE_STATUSES) {
+    const candidates = await runEntity.filter({ ...filter, status }, DUE_AT_FIELDS[status], Math.max(limit, CANDIDATES_PER_STATUS));
+    const due = candidates.filter(run => isRunDue(run, now));
+    if (status === QUEUED) {
+      queued = due.sort(compareQueueOrder);
+    } else {
+      runs.push(...due);
+    }
+  }
+
+  runs.sort((a, b) => dueAt(a) - dueAt(b));
+  return [...runs, ...queued].slice(0, limit);
+}
+
+export default {
+  DUE_STATUSES,
+  dueAt,
+  isRunDue,
+  findDueRuns
+};
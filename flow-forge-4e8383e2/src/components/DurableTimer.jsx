@@ -0,0 +1,81 @@
+/**
+ * DurableTimer: Wake times for delay and wait-until steps
+ * The runner parks the run as `sleeping` with wake_at; the poller wakes it when due
+ */
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Longest a single delay may park a run
+export const MAX_SLEEP_MS = 365 * UNIT_MS.d;
+
+/**
+ * Parse a duration into milliseconds
+ * Accepts seconds as a number, or strings like "90s", "15m", "2h", "7d", "1w", "1d 12h"
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value * 1000;
+  }
+
+  const text = String(value ?? '').trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([smhdw])/g)];
+  const consumed = parts.map(part => part[0]).join('');
+  if (parts.length === 0 || consumed.replace(/\s+/g, '') !== text.replace(/\s+/g, '')) {
+    throw new Error(`Invalid duration: ${JSON.stringify(value)} (use e.g. "30m", "2h", "7d")`);
+  }
+
+  return parts.reduce((total, [, amount, unit]) => total + Number(amount) * UNIT_MS[unit], 0);
+}
+
+/**
+ * When a delay or wait-until step should wake
+ * @param {string} action - 'delay' or 'wait_until'
+ * @param {object} params - Resolved step mapping
+ *   delay:      { duration } or { duration_seconds }
+ *   wait_until: { timestamp } (ISO string, epoch ms or Date)
+ * @param {Date} now - Current time
+ * @returns {Date} - Wake time (may be in the past for wait_until)
+ */
+export function computeWakeAt(action, params, now = new Date()) {
+  if (action === 'wait_until') {
+    const wakeAt = new Date(params.timestamp);
+    if (params.timestamp === undefined || params.timestamp === null || Number.isNaN(wakeAt.getTime())) {
+      throw new Error(`wait_until needs a valid timestamp, got ${JSON.stringify(params.timestamp)}`);
+    }
+    if (wakeAt - now > MAX_SLEEP_MS) {
+      throw new Error(`wait_until timestamp ${wakeAt.toISOString()} is more than a year away`);
+    }
+    return wakeAt;
+  }
+
+  const durationMs = parseDuration(params.duration ?? params.duration_seconds);
+  if (durationMs > MAX_SLEEP_MS) {
+    throw new Error('delay cannot exceed one year');
+  }
+
+  return new Date(now.getTime() + durationMs);
+}
+
+/**
+ * Whether a sleeping run is due to wake
+ */
+export function isDue(wakeAt, now = new Date()) {
+  return !wakeAt || new Date(wakeAt) <= now;
+}
+
+export default {
+  MAX_SLEEP_MS,
+  parseDuration,
+  computeWakeAt,
+  isDue
+};
@@ -0,0 +1,105 @@
+/**
+ * EventWaiter: Resume runs parked on wait_for_event steps
+ *
+ * A wait_for_event step parks its run as `awaiting_event` with a wait_state
+ * ({ event_type, match, timeout_at }). When a WebhookEvent is ingested, every
+ * waiting run of the tenant whose event_type and match expression accept it
+ * is handed the event and set back to pending; the runner then continues
+ * past the wait step. Runs nobody wakes time out via wake_at.
+ */
+
+import { Run, RunLog } from '@/api/entities';
+import { evaluateCondition } from './ConditionEvaluator';
+
+export const AWAITING_EVENT = 'awaiting_event';
+
+/**
+ * Whether a waiting run accepts an event
+ * match is evaluated against the run context plus {{event}} (the payload)
+ * and {{event_type}}; an invalid expression never matches
+ */
+export function matchesWait(waitState, run, event) {
+  if (!waitState || waitState.received) {
+    return false;
+  }
+
+  if (waitState.event_type && waitState.event_type !== event.event_type) {
+    return false;
+  }
+
+  if (waitState.match === undefined || waitState.match === null || waitState.match === '') {
+    return true;
+  }
+
+  try {
+    return evaluateCondition(waitState.match, {
+      ...run.context,
+      event: event.payload,
+      event_type: event.event_type
+    });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hand an ingested WebhookEvent to every run waiting for it
+ * @param {object} event - WebhookEvent record ({ id, tenant_id, provider, event_type, payload })
+ * @returns {Promise<string[]>} - IDs of the runs resumed
+ */
+export async function deliverEvent(event) {
+  const waitingRuns = await Run.filter({
+    tenant_id: event.tenant_id,
+    status: AWAITING_EVENT
+  }, 'started_at', 500);
+
+  const resumed = [];
+
+  for (const waiting of waitingRuns) {
+    if (!matchesWait(waiting.wait_state, waiting, event)) {
+      continue;
+    }
+
+    // Another delivery may have woken it since the list was read
+    const run = await Run.get(waiting.id);
+    if (run.status !== AWAITING_EVENT || !matchesWait(run.wait_state, run, event)) {
+      continue;
+    }
+
+    const receivedAt = new Date().toISOString();
+
+    await Run.update(run.id, {
+      status: 'pending',
+      wake_at: null,
+      wait_state: {
+        ...run.wait_state,
+        received: {
+          event_id: event.id,
+          provider: event.provider,
+          event_type: event.event_type,
+          payload: event.payload,
+          received_at: receivedAt
+        }
+      }
+    });
+
+    await RunLog.create({
+      tenant_id: run.tenant_id,
+      run_id: run.id,
+      log_level: 'INFO',
+      message: `Event received: ${event.event_type} for ${run.wait_state.step_name}`,
+      payload_json: { event_id: event.id, provider: event.provider },
+      timestamp: receivedAt
+    });
+
+    resumed.push(run.id);
+  }
+
+  return resumed;
+}
+
+export default {
+  AWAITING_EVENT,
+  matchesWait,
+  deliverEvent
+};
@@ -0,0 +1,609 @@
+/**
+ * ExpressionEngine: Sandboxed expression language for step mappings
+ * Parses and interprets {{ }} expressions without eval or Function, so the
+ * same input and context always give the same result in the runner and the
+ * composer preview.
+ *
+ * Syntax:
+ * - Paths: trigger.order.id, items[0].name, items.0.name, data['key']
+ * - Literals: 42, 1.5, 'text', "text", true, false, null, [1, 2]
+ * - Arithmetic: + - * / %   Comparison: == != > >= < <=
+ * - Logic: && || ! (and / or / not), contains, in, ?? (default), a ? b : c
+ * - Filters: value | upper | round(2) | default('n/a')
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+
+// Property names that could reach outside the data sandbox
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const EXPRESSION_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Evaluate a single expression (without surrounding braces)
+ * @param {string} source - e.g. "step_0.order.total * 1.2 | round(2)"
+ * @param {object} context - Run context
+ * @returns {*} - Expression value (undefined for missing paths)
+ */
+export function evaluateExpression(source, context = {}) {
+  return evaluate(parseExpression(source), context);
+}
+
+/**
+ * Parse an expression into an AST (throws on syntax errors)
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string') {
+    throw new Error('Expression error: expression must be a string');
+  }
+
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression error: expression longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const parser = new Parser(tokenize(source), source);
+  const ast = parser.parsePipeline();
+  parser.expectEnd();
+  return ast;
+}
+
+/**
+ * Resolve a template string
+ * A string that is exactly one {{ }} expression keeps the value's type;
+ * otherwise every {{ }} is replaced by its value as text
+ * @param {string} template - e.g. "Order {{trigger.name}}"
+ * @param {object} context - Run context
+ * @returns {*} - Resolved value
+ */
+export function interpolate(template, context = {}) {
+  const whole = template.match(/^\{\{([\s\S]*?)\}\}$/);
+  if (whole && !whole[1].includes('{{')) {
+    return evaluateExpression(whole[1], context);
+  }
+
+  return template.replace(EXPRESSION_PATTERN, (_, source) => toText(evaluateExpression(source, context)));
+}
+
+/**
+ * Whether a string contains any {{ }} expression
+ */
+export function hasExpression(value) {
+  return typeof value === 'string' && /\{\{[\s\S]*?\}\}/.test(value);
+}
+
+/**
+ * Convert a condition string to an expression: "{{a}} > 1" → "(a) > 1"
+ */
+export function toExpressionSource(value) {
+  return value.replace(EXPRESSION_PATTERN, (_, source) => `(${source})`);
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const PUNCTUATORS = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '??',
+  '>', '<', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', '.', ',', '|', '?', ':'];
+
+const KEYWORD_OPERATORS = new Map([
+  ['and', '&&'],
+  ['or', '||'],
+  ['not', '!']
+]);
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      const match = source.slice(i).match(/^[0-9]+(\.[0-9]+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new Error(`Expression error: unterminated string in "${source}"`);
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+      const word = match[0];
+      if (KEYWORD_OPERATORS.has(word)) {
+        tokens.push({ type: 'op', value: KEYWORD_OPERATORS.get(word) });
+      } else if (word === 'contains' || word === 'in') {
+        tokens.push({ type: 'op', value: word });
+      } else {
+        tokens.push({ type: 'ident', value: word });
+      }
+      i += word.length;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+    if (punctuator) {
+      tokens.push({ type: 'op', value: punctuator === '===' ? '==' : punctuator === '!==' ? '!=' : punctuator });
+      i += punctuator.length;
+      continue;
+    }
+
+    throw new Error(`Expression error: unexpected character "${char}" in "${source}"`);
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+class Parser {
+  constructor(tokens, source) {
+    this.tokens = tokens;
+    this.source = source;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  isOp(...values) {
+    const token = this.peek();
+    return token && token.type === 'op' && values.includes(token.value);
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      this.fail(`expected "${value}"`);
+    }
+    return this.next();
+  }
+
+  expectEnd() {
+    if (this.position < this.tokens.length) {
+      this.fail('unexpected token');
+    }
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const found = token ? ` near "${token.value}"` : ' at end of expression';
+    throw new Error(`Expression error: ${message}${found} in "${this.source}"`);
+  }
+
+  // pipeline := ternary ('|' ident ('(' args ')')?)*
+  parsePipeline() {
+    let node = this.parseTernary();
+
+    while (this.isOp('|')) {
+      this.next();
+      const name = this.next();
+      if (!name || name.type !== 'ident') {
+        this.fail('expected filter name');
+      }
+
+      const args = [];
+      if (this.isOp('(')) {
+        this.next();
+        if (!this.isOp(')')) {
+          args.push(this.parseTernary());
+          while (this.isOp(',')) {
+            this.next();
+            args.push(this.parseTernary());
+          }
+        }
+        this.expectOp(')');
+      }
+
+      node = { type: 'filter', name: name.value, input: node, args };
+    }
+
+    return node;
+  }
+
+  parseTernary() {
+    const test = this.parseBinary(0);
+
+    if (this.isOp('?')) {
+      this.next();
+      const consequent = this.parseTernary();
+      this.expectOp(':');
+      const alternate = this.parseTernary();
+      return { type: 'conditional', test, consequent, alternate };
+    }
+
+    return test;
+  }
+
+  parseBinary(level) {
+    if (level >= BINARY_LEVELS.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+
+    while (this.isOp(...BINARY_LEVELS[level])) {
+      const operator = this.next().value;
+      const right = this.parseBinary(level + 1);
+      left = { type: 'binary', operator, left, right };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp('!', '-')) {
+      const operator = this.next().value;
+      return { type: 'unary', operator, argument: this.parseUnary() };
+    }
+
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.isOp('.')) {
+        this.next();
+        const property = this.next();
+        if (!property || (property.type !== 'ident' && property.type !== 'number')) {
+          this.fail('expected property name');
+        }
+        node = { type: 'member', object: node, property: { type: 'literal', value: String(property.value) } };
+      } else if (this.isOp('[')) {
+        this.next();
+        const property = this.parsePipeline();
+        this.expectOp(']');
+        node = { type: 'member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) {
+      this.position--;
+      this.fail('expected a value');
+    }
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'ident') {
+      if (token.value === 'true') return { type: 'literal', value: true };
+      if (token.value === 'false') return { type: 'literal', value: false };
+      if (token.value === 'null') return { type: 'literal', value: null };
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (token.value === '(') {
+      const node = this.parsePipeline();
+      this.expectOp(')');
+      return node;
+    }
+
+    if (token.value === '[') {
+      const elements = [];
+      if (!this.isOp(']')) {
+        elements.push(this.parseTernary());
+        while (this.isOp(',')) {
+          this.next();
+          elements.push(this.parseTernary());
+        }
+      }
+      this.expectOp(']');
+      return { type: 'array', elements };
+    }
+
+    this.position--;
+    return this.fail('unexpected token');
+  }
+}
+
+// Lowest to highest precedence
+const BINARY_LEVELS = [
+  ['??'],
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['>', '>=', '<', '<=', 'contains', 'in'],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+// ============================================================================
+// INTERPRETER
+// ============================================================================
+
+function evaluate(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'identifier':
+      return getProperty(context, node.name);
+
+    case 'array':
+      return node.elements.map(element => evaluate(element, context));
+
+    case 'member':
+      return getProperty(evaluate(node.object, context), evaluate(node.property, context));
+
+    case 'unary': {
+      const value = evaluate(node.argument, context);
+      return node.operator === '!' ? !isTruthy(value) : -toNumber(value);
+    }
+
+    case 'conditional':
+      return isTruthy(evaluate(node.test, context))
+        ? evaluate(node.consequent, context)
+        : evaluate(node.alternate, context);
+
+    case 'binary':
+      return evaluateBinary(node, context);
+
+    case 'filter': {
+      const filter = Object.prototype.hasOwnProperty.call(FILTERS, node.name) ? FILTERS[node.name] : null;
+      if (!filter) {
+        throw new Error(`Expression error: unknown filter "${node.name}"`);
+      }
+      const args = node.args.map(arg => evaluate(arg, context));
+      return filter(evaluate(node.input, context), ...args);
+    }
+
+    default:
+      throw new Error(`Expression error: unknown node ${node.type}`);
+  }
+}
+
+function evaluateBinary(node, context) {
+  const { operator } = node;
+
+  // Short-circuit operators only evaluate the right side when needed
+  if (operator === '&&') {
+    const left = evaluate(node.left, context);
+    return isTruthy(left) ? evaluate(node.right, context) : left;
+  }
+
+  if (operator === '||') {
+    const left = evaluate(node.left, context);
+    return isTruthy(left) ? left : evaluate(node.right, context);
+  }
+
+  if (operator === '??') {
+    const left = evaluate(node.left, context);
+    return left === undefined || left === null ? evaluate(node.right, context) : left;
+  }
+
+  const left = evaluate(node.left, context);
+  const right = evaluate(node.right, context);
+
+  switch (operator) {
+    case '+':
+      if (typeof left === 'string' || typeof right === 'string') {
+        return toText(left) + toText(right);
+      }
+      return toNumber(left) + toNumber(right);
+    case '-':
+      return toNumber(left) - toNumber(right);
+    case '*':
+      return toNumber(left) * toNumber(right);
+    case '/':
+      if (toNumber(right) === 0) {
+        throw new Error('Expression error: division by zero');
+      }
+      return toNumber(left) / toNumber(right);
+    case '%':
+      return toNumber(left) % toNumber(right);
+    case '==':
+      return looseEquals(left, right);
+    case '!=':
+      return !looseEquals(left, right);
+    case '>':
+      return compare(left, right) > 0;
+    case '>=':
+      return compare(left, right) >= 0;
+    case '<':
+      return compare(left, right) < 0;
+    case '<=':
+      return compare(left, right) <= 0;
+    case 'contains':
+      return contains(left, right);
+    case 'in':
+      return contains(right, left);
+    default:
+      throw new Error(`Expression error: unknown operator ${operator}`);
+  }
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+const FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim(),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  number: (value) => toNumber(value),
+  string: (value) => toText(value),
+  json: (value) => JSON.stringify(value),
+  abs: (value) => Math.abs(toNumber(value)),
+  round: (value, decimals = 0) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(toNumber(value) * factor) / factor;
+  },
+  floor: (value) => Math.floor(toNumber(value)),
+  ceil: (value) => Math.ceil(toNumber(value)),
+  length: (value) => (value === undefined || value === null ? 0 : (value.length ?? Object.keys(value).length)),
+  first: (value) => toArray(value)[0],
+  last: (value) => toArray(value).slice(-1)[0],
+  join: (value, separator = ', ') => toArray(value).map(toText).join(separator),
+  map: (value, field) => toArray(value).map(item => getProperty(item, field)),
+  sum: (value, field) => toArray(value)
+    .map(item => (field === undefined ? item : getProperty(item, field)))
+    .reduce((total, item) => total + toNumber(item), 0),
+  where: (value, field, expected) => toArray(value).filter(item => looseEquals(getProperty(item, field), expected)),
+  date: (value, pattern = 'yyyy-MM-dd') => formatDate(value, pattern),
+  currency: (value, code = 'EUR', locale = 'en-GB') => new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: code
+  }).format(toNumber(value))
+};
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function getProperty(object, key) {
+  if (object === undefined || object === null) {
+    return undefined;
+  }
+
+  const name = String(key);
+  if (BLOCKED_PROPERTIES.has(name)) {
+    throw new Error(`Expression error: access to "${name}" is not allowed`);
+  }
+
+  if (typeof object === 'string' && name === 'length') {
+    return object.length;
+  }
+
+  if (typeof object !== 'object' || !Object.prototype.hasOwnProperty.call(object, name)) {
+    return undefined;
+  }
+
+  return object[name];
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null || value === '') return 0;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Expression error: "${value}" is not a number`);
+  }
+  return number;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null) return [];
+  return [value];
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * == in expressions: numbers compare numerically, undefined equals null and
+ * objects compare by value
+ */
+export function looseEquals(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    if (a === null || a === undefined || b === null || b === undefined) return a === b;
+    return Number(a) === Number(b);
+  }
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  if (a && b && typeof a === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function compare(a, b) {
+  if (typeof a === 'string' && typeof b === 'string' && (isNaN(Number(a)) || isNaN(Number(b)))) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return toNumber(a) - toNumber(b);
+}
+
+/**
+ * contains in expressions: array element, substring, or object key
+ */
+export function contains(haystack, needle) {
+  if (Array.isArray(haystack)) return haystack.some(item => looseEquals(item, needle));
+  if (typeof haystack === 'string') return haystack.includes(toText(needle));
+  if (haystack && typeof haystack === 'object') return Object.prototype.hasOwnProperty.call(haystack, toText(needle));
+  return false;
+}
+
+/**
+ * Format a date in UTC with yyyy, MM, dd, HH, mm, ss tokens
+ * UTC keeps output identical regardless of the browser's timezone
+ */
+function formatDate(value, pattern) {
+  if (value === undefined || value === null || value === '') return '';
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Expression error: "${value}" is not a date`);
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = {
+    yyyy: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    dd: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+
+  return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, token => parts[token]);
+}
+
+export default {
+  evaluateExpression,
+  parseExpression,
+  interpolate,
+  hasExpression,
+  toExpressionSource,
+  looseEquals,
+  contains
+};
@@ -0,0 +1,114 @@
+/**
+ * ForEachIterator: Iterate a context array with bounded concurrency
+ * Runs a sub-sequence per item and aggregates per-item results and failures
+ */
+
+export const DEFAULT_CONCURRENCY = 5;
+export const MAX_CONCURRENCY = 20;
+
+// ============================================================================
+// CONCURRENCY
+// ============================================================================
+
+/**
+ * Map items through an async function with at most `limit` in flight
+ * Never rejects: each entry is { status: 'fulfilled'|'rejected', value|reason }
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => value
+ * @returns {Promise<Array>} - Settled results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return results;
+}
+
+// ============================================================================
+// ITERATION
+// ============================================================================
+
+/**
+ * Run a sub-sequence of steps for every item
+ *
+ * Sub-steps run in order for a single item; each sees the item as
+ * {{item}}, its position as {{index}}, and earlier sub-step outputs by name.
+ * An item stops at its first failing sub-step; other items keep going.
+ *
+ * @param {Array} items - Items to iterate
+ * @param {Array} subSteps - [{ name, ... }] executed per item
+ * @param {object} options - { concurrency, baseContext, executeSubStep(subStep, context), startIndex }
+ *   startIndex numbers the items when they are one page of a longer list
+ * @returns {Promise<{items, succeeded, failed}>}
+ */
+export async function runForEach(items, subSteps, { concurrency = DEFAULT_CONCURRENCY, baseContext = {}, executeSubStep, startIndex = 0 }) {
+  if (!Array.isArray(items)) {
+    throw new Error('for_each items must resolve to an array');
+  }
+
+  if (!Array.isArray(subSteps) || subSteps.length === 0) {
+    throw new Error('for_each needs at least one sub-step');
+  }
+
+  const limit = Math.min(Math.max(1, Number(concurrency) || DEFAULT_CONCURRENCY), MAX_CONCURRENCY);
+
+  const settled = await mapWithConcurrency(items, limit, async (item, position) => {
+    const context = { ...baseContext, item, index: startIndex + position };
+    const results = {};
+
+    for (const subStep of subSteps) {
+      try {
+        const result = await executeSubStep(subStep, context);
+        results[subStep.name] = result;
+        context[subStep.name] = result;
+      } catch (error) {
+        error.partialResults = results;
+        error.failedStep = subStep.name;
+        throw error;
+      }
+    }
+
+    return results;
+  });
+
+  const outcomes = settled.map((entry, position) => {
+    const index = startIndex + position;
+    return entry.status === 'fulfilled'
+      ? { index, status: 'succeeded', results: entry.value }
+      : {
+          index,
+          status: 'failed',
+          failed_step: entry.reason.failedStep,
+          error: entry.reason.message,
+          results: entry.reason.partialResults || {}
+        };
+  });
+
+  return {
+    items: outcomes,
+    succeeded: outcomes.filter(o => o.status === 'succeeded').length,
+    failed: outcomes.filter(o => o.status === 'failed').length
+  };
+}
+
+export default {
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  mapWithConcurrency,
+  runForEach
+};
@@ -0,0 +1,311 @@
+/**
+ * HttpAction: Generic HTTP request step for systems without a connector
+ *
+ * A step with tool 'http' and action 'request' takes
+ * mapping_json: { method, url, headers, query, body, extract, timeout_ms }
+ * - url, headers, query and body resolve {{ }} expressions like any other mapping
+ * - a url starting with "/" is relative to the connection's config.base_url
+ * - extract: { name: JSONPath } copies response values into the step output,
+ *   e.g. { customer_id: '$.data.customer.id', skus: '$.items[*].sku' }
+ *
+ * Credentials are injected from the step's Connection (provider 'http')
+ * according to connection.config.auth_scheme:
+ * - bearer:  Authorization: Bearer <token>
+ * - basic:   Authorization: Basic base64(<username>:<password>)
+ * - api_key: <config.header_name, default X-API-Key>: <api_key>
+ * - hmac:    <config.signature_header, default X-Signature>: hex(HMAC-SHA256("<timestamp>.<body>", secret))
+ *            and <config.timestamp_header, default X-Timestamp>: <unix seconds>
+ * - none:    nothing is added
+ * Every scheme but none requires config.base_url, and requests are refused
+ * outside its origin, so credentials are only ever sent there.
+ *
+ * Non-2xx responses throw with error.status / error.response, so retries,
+ * the circuit breaker and RetryPolicy treat them like any provider error.
+ */
+
+import { computeHMAC } from './EncryptionHelper';
+
+export const HTTP_PROVIDER = 'http';
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+
+export const AUTH_SCHEMES = ['none', 'bearer', 'basic', 'api_key', 'hmac'];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Output keys an extract rule may not overwrite
+const RESERVED_OUTPUT_KEYS = ['status', 'headers', 'body'];
+
+/**
+ * Whether a step is a generic HTTP request
+ */
+export function isHttpStep(step) {
+  return (step.tool || step.provider) === HTTP_PROVIDER;
+}
+
+// ============================================================================
+// JSONPATH
+// ============================================================================
+
+/**
+ * Split a JSONPath into segments
+ * Supports $, .key, ['key'], [n] and [*] / .*
+ */
+function parseJsonPath(path) {
+  const source = String(path).trim();
+  if (!source.startsWith('$')) {
+    throw new Error(`JSONPath must start with $: ${path}`);
+  }
+
+  const segments = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*|\*)|\[(\d+|\*)\]|\[['"]([^'"]+)['"]\]/y;
+  pattern.lastIndex = 1;
+
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match || match.index !== start) {
+      throw new Error(`Unsupported JSONPath syntax at "${source.slice(start)}" in ${path}`);
+    }
+    const segment = match[1] ?? match[2] ?? match[3];
+    segments.push(/^\d+$/.test(segment) && match[2] !== undefined ? Number(segment) : segment);
+  }
+
+  return segments;
+}
+
+/**
+ * Evaluate a JSONPath against a response body
+ * Paths with a wildcard return an array of matches; others return one value or undefined
+ */
+export function extractJsonPath(data, path) {
+  const segments = parseJsonPath(path);
+  let matches = [data];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const value of matches) {
+      if (value === null || typeof value !== 'object') {
+        continue;
+      }
+      if (segment === '*') {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (value[segment] !== undefined) {
+        next.push(value[segment]);
+      }
+    }
+    matches = next;
+  }
+
+  return segments.includes('*') ? matches : matches[0];
+}
+
+/**
+ * Apply a step's extract rules to a response body
+ */
+export function applyExtraction(body, extract = {}) {
+  const extracted = {};
+  for (const [name, path] of Object.entries(extract || {})) {
+    if (RESERVED_OUTPUT_KEYS.includes(name)) {
+      throw new Error(`extract cannot write "${name}": it is part of every HTTP step output`);
+    }
+    extracted[name] = extractJsonPath(body, path);
+  }
+  return extracted;
+}
+
+// ============================================================================
+// REQUEST BUILDING
+// ============================================================================
+
+/**
+ * Absolute request URL with query params appended
+ * Refuses to leave the connection's base_url origin, so a templated url
+ * cannot send the connection's credentials elsewhere
+ */
+export function buildUrl(url, query, baseUrl = null) {
+  if (!url) {
+    throw new Error('url is required');
+  }
+
+  const target = new URL(url, baseUrl || undefined);
+  if (baseUrl && target.origin !== new URL(baseUrl).origin) {
+    throw new Error(`url ${target.origin} is outside the connection's base URL ${new URL(baseUrl).origin}`);
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw new Error(`Unsupported URL protocol: ${target.protocol}`);
+  }
+
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    for (const item of [].concat(value)) {
+      target.searchParams.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item));
+    }
+  }
+
+  return target.toString();
+}
+
+/**
+ * Serialize a request body, defaulting objects to JSON
+ * @returns {{body: string|undefined, contentType: string|null}}
+ */
+function encodeBody(method, body) {
+  if (body === undefined || body === null || method === 'GET' || method === 'HEAD') {
+    return { body: undefined, contentType: null };
+  }
+  if (typeof body === 'string') {
+    return { body, contentType: null };
+  }
+  return { body: JSON.stringify(body), contentType: 'application/json' };
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Headers that authenticate a request for a connection's auth scheme
+ * @param {object} connection - Connection with config.auth_scheme
+ * @param {object} credential - Decrypted credential fields
+ * @param {string} body - Encoded request body (signed by hmac)
+ */
+export async function buildAuthHeaders(connection, credential, body = '', now = Date.now()) {
+  const config = connection.config || {};
+  const scheme = config.auth_scheme || 'none';
+  const secret = credential || {};
+
+  switch (scheme) {
+    case 'none':
+      return {};
+    case 'bearer':
+      requireFields(secret, ['token'], scheme);
+      return { Authorization: `Bearer ${secret.token}` };
+    case 'basic':
+      requireFields(secret, ['username', 'password'], scheme);
+      return { Authorization: `Basic ${btoa(`${secret.username}:${secret.password}`)}` };
+    case 'api_key':
+      requireFields(secret, ['api_key'], scheme);
+      return { [config.header_name || 'X-API-Key']: secret.api_key };
+    case 'hmac': {
+      requireFields(secret, ['secret'], scheme);
+      const timestamp = String(Math.floor(now / 1000));
+      const signature = await computeHMAC(`${timestamp}.${body || ''}`, secret.secret);
+      return {
+        [config.timestamp_header || 'X-Timestamp']: timestamp,
+        [config.signature_header || 'X-Signature']: signature
+      };
+    }
+    default:
+      throw new Error(`Unknown auth scheme: ${scheme}`);
+  }
+}
+
+function requireFields(credential, fields, scheme) {
+  const missing = fields.filter(field => !credential[field]);
+  if (missing.length > 0) {
+    throw new Error(`${scheme} auth needs credential field(s): ${missing.join(', ')}`);
+  }
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Perform an HTTP request step
+ * @param {object} options - { params, connection, credential, fetchImpl }
+ * @returns {Promise<{success: true, result: {status, headers, body, ...extracted}, duration: number}>}
+ */
+export async function executeHttpRequest({ params, connection, credential, fetchImpl = fetch }) {
+  const startedAt = Date.now();
+  const config = connection.config || {};
+  const method = String(params.method || 'GET').toUpperCase();
+  if (!HTTP_METHODS.includes(method)) {
+    throw new Error(`Unsupported HTTP method: ${method}`);
+  }
+
+  const scheme = config.auth_scheme || 'none';
+  if (scheme !== 'none' && !config.base_url) {
+    throw new Error(`${scheme} auth needs the connection's base_url, so its credentials cannot be sent to another host`);
+  }
+
+  const url = buildUrl(params.url, params.query, config.base_url || null);
+  const { body, contentType } = encodeBody(method, params.body);
+
+  const headers = { ...(config.default_headers || {}), ...(params.headers || {}) };
+  if (contentType && !hasHeader(headers, 'Content-Type')) {
+    headers['Content-Type'] = contentType;
+  }
+  Object.assign(headers, await buildAuthHeaders(connection, credential, body));
+
+  const timeoutMs = Number(params.timeout_ms) || config.timeout_ms || DEFAULT_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  // The timeout covers reading the body too, not just the response headers
+  let response;
+  let responseBody;
+  try {
+    response = await fetchImpl(url, { method, headers, body, signal: controller.signal });
+    responseBody = await readBody(response);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`${method} ${url} timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const responseHeaders = Object.fromEntries(response.headers.entries());
+
+  if (!response.ok) {
+    const detail = typeof responseBody === 'string' ? responseBody.slice(0, 200) : JSON.stringify(responseBody || {}).slice(0, 200);
+    const error = new Error(`HTTP ${response.status}: ${method} ${url} ${detail}`);
+    error.status = response.status;
+    error.response = { status: response.status, headers: responseHeaders, data: responseBody };
+    throw error;
+  }
+
+  return {
+    success: true,
+    result: {
+      ...applyExtraction(responseBody, params.extract),
+      status: response.status,
+      headers: responseHeaders,
+      body: responseBody
+    },
+    duration: Date.now() - startedAt
+  };
+}
+
+export default {
+  HTTP_PROVIDER,
+  HTTP_METHODS,
+  AUTH_SCHEMES,
+  isHttpStep,
+  extractJsonPath,
+  applyExtraction,
+  buildUrl,
+  buildAuthHeaders,
+  executeHttpRequest
+};
@@ -0,0 +1,75 @@
+/**
+ * MappingResolver: Resolve step mappings against run context
+ * Shared by WorkflowRunner, the logic steps it evaluates and the composer preview
+ */
+
+import { interpolate, hasExpression } from './ExpressionEngine';
+
+/**
+ * Resolve mapping JSON using context (simple JSONPath-like)
+ * @param {object} mapping - Step mapping_json
+ * @param {object} context - Run context
+ * @returns {object} - Mapping with {{path}} references replaced
+ */
+export function resolveMapping(mapping, context) {
+  if (Array.isArray(mapping)) {
+    return mapping.map(item => resolveValue(item, context));
+  }
+
+  const resolved = {};
+
+  for (const [key, value] of Object.entries(mapping || {})) {
+    resolved[key] = resolveValue(value, context);
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolve a single mapping value
+ * Strings may hold {{ }} expressions (see ExpressionEngine); a string that is
+ * one whole expression keeps the value's type, others are interpolated
+ */
+export function resolveValue(value, context) {
+  if (hasExpression(value)) {
+    return interpolate(value, context);
+  }
+
+  if (value && typeof value === 'object') {
+    return resolveMapping(value, context);
+  }
+
+  return value;
+}
+
+/**
+ * Look up a dotted path (e.g. "step_0.order.id" or "items[0].id") in context
+ */
+export function resolvePath(path, context) {
+  const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+  let current = context;
+
+  for (const part of parts) {
+    if (current && typeof current === 'object' && part in current) {
+      current = current[part];
+    } else {
+      return undefined;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Whether a value is a whole-string {{path}} reference
+ */
+export function isReference(value) {
+  return typeof value === 'string' && value.startsWith('{{') && value.endsWith('}}');
+}
+
+export default {
+  resolveMapping,
+  resolveValue,
+  resolvePath,
+  isReference
+};
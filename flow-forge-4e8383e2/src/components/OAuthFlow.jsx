@@ -0,0 +1,429 @@
+/**
+ * OAuthFlow: OAuth2 authorization-code flow with PKCE and token refresh
+ *
+ * Connecting (OAuthHelper page):
+ * 1. startAuthorization() creates a PKCE code_verifier and a random state,
+ *    keeps them in sessionStorage and returns the provider's authorize URL
+ * 2. the provider redirects back with ?code&state; completeAuthorization()
+ *    accepts each state once and for STATE_TTL_MS, exchanges the code with the
+ *    code_verifier and stores the tokens AES-GCM encrypted (EncryptionVault)
+ *
+ * Running (WorkflowRunner):
+ * - getFreshCredential() refreshes access tokens that expire within REFRESH_MARGIN_MS
+ * - withTokenRefresh() refreshes once and repeats a call that failed with 401
+ * - a rejected refresh sets the connection to reauth_required; steps using it
+ *   then fail with a non-retryable auth error until the user reconnects
+ *
+ * Endpoints and scopes come from the connector's auth block in ConnectorRegistry.
+ */
+
+import { Connection, Credential } from '@/api/entities';
+import TenantEntity from './TenantEntity';
+import { encryptCredential, decryptCredential } from './EncryptionVault';
+import { getConnector } from './ConnectorRegistry';
+
+export const REAUTH_REQUIRED = 'reauth_required';
+
+const PENDING_PREFIX = 'dchor_oauth_';
+const STATE_TTL_MS = 10 * 60 * 1000;
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// One refresh per connection at a time; providers like Xero rotate refresh tokens
+const refreshesInFlight = new Map();
+
+/**
+ * OAuth2 settings of a provider's connector, or null if it does not use OAuth2
+ */
+export function getOAuthConfig(provider) {
+  const connector = getConnector(provider);
+  if (!connector || connector.auth.type !== 'oauth2' || !connector.auth.token_url) {
+    return null;
+  }
+  return connector.auth;
+}
+
+/**
+ * Whether a connection's credential holds OAuth2 tokens
+ */
+export function isOAuthConnection(connection) {
+  return Boolean(connection && connection.config && connection.config.auth_type === 'oauth2');
+}
+
+// ============================================================================
+// PKCE
+// ============================================================================
+
+function base64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function randomToken(byteLength) {
+  return base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * S256 code challenge for a code verifier (RFC 7636)
+ */
+export async function computeCodeChallenge(codeVerifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64Url(digest);
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * POST to the provider's token endpoint
+ * The client secret, when the app has one, is sent as HTTP Basic auth
+ */
+async function requestToken(auth, params, clientSecret) {
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+  if (clientSecret) {
+    headers.Authorization = `Basic ${btoa(`${params.client_id}:${clientSecret}`)}`;
+  }
+
+  const response = await fetch(auth.token_url, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(params).toString()
+  });
+  const data = await response.json().catch(() => ({}));
+
+  // Slack answers 200 with ok: false
+  if (!response.ok || data.ok === false || !data.access_token) {
+    const error = new Error(`Token request failed: ${data.error_description || data.error || `HTTP ${response.status}`}`);
+    error.status = response.ok ? 400 : response.status;
+    error.code = data.error || null;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Credential fields from a token response
+ * Providers that do not rotate refresh tokens omit them on refresh, so the previous one is kept
+ */
+function toCredential(tokens, previous, now) {
+  return {
+    ...previous,
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token || previous.refresh_token || null,
+    token_type: tokens.token_type || 'Bearer',
+    scope: tokens.scope || previous.scope || null,
+    expires_at: tokens.expires_in ? new Date(now + Number(tokens.expires_in) * 1000).toISOString() : null
+  };
+}
+
+function expiresSoon(credential, now = Date.now()) {
+  return Boolean(credential.expires_at) && new Date(credential.expires_at).getTime() - now < REFRESH_MARGIN_MS;
+}
+
+/**
+ * Account details the provider's API needs alongside the token
+ */
+async function loadProviderDetails(provider, tokens) {
+  if (provider === 'xero') {
+    // Xero calls carry a xero-tenant-id header; take the organisation just authorized
+    const response = await fetch('https://api.xero.com/connections', {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+    const tenants = response.ok ? await response.json() : [];
+    return tenants.length > 0 ? { tenant_id: tenants[0].tenantId } : {};
+  }
+  if (provider === 'slack') {
+    return tokens.team ? { team_id: tokens.team.id } : {};
+  }
+  return {};
+}
+
+// ============================================================================
+// AUTHORIZATION
+// ============================================================================
+
+/**
+ * Begin authorization: remember the PKCE verifier under a fresh state
+ * @param {object} options - { provider, clientId, clientSecret, redirectUri, connectionName, reconnectId }
+ *   reconnectId re-authorizes an existing connection instead of creating one
+ * @returns {Promise<string>} - URL to send the browser to
+ */
+export async function startAuthorization({ provider, clientId, clientSecret = '', redirectUri, connectionName = '', reconnectId = null }) {
+  const auth = getOAuthConfig(provider);
+  if (!auth) {
+    throw new Error(`${provider} does not support OAuth2 authorization`);
+  }
+  if (!clientId) {
+    throw new Error('Client ID is required');
+  }
+
+  const codeVerifier = randomToken(32);
+  const state = randomToken(16);
+
+  sessionStorage.setItem(PENDING_PREFIX + state, JSON.stringify({
+    provider,
+    client_id: clientId,
+    client_secret: clientSecret ? await encryptCredential(clientSecret) : null,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    connection_name: connectionName,
+    reconnect_id: reconnectId,
+    created_at: Date.now()
+  }));
+
+  const url = new URL(auth.authorize_url);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: auth.scopes.join(auth.scope_separator || ' '),
+    state,
+    code_challenge: await computeCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+}
+
+/**
+ * Take the pending authorization for a state; each state can be used once
+ */
+function takePendingAuthorization(state) {
+  const key = PENDING_PREFIX + state;
+  const raw = state ? sessionStorage.getItem(key) : null;
+  if (!raw) {
+    throw new Error('Unknown or already used OAuth state - start the connection again');
+  }
+  sessionStorage.removeItem(key);
+
+  const pending = JSON.parse(raw);
+  if (Date.now() - pending.created_at > STATE_TTL_MS) {
+    throw new Error('Authorization expired - start the connection again');
+  }
+  return pending;
+}
+
+/**
+ * Finish authorization from the redirect's query params
+ * Exchanges the code and stores the tokens on a new (or the reconnected) connection
+ * @param {object} callback - { code, state, error, error_description }
+ * @returns {Promise<object>} - The connection
+ */
+export async function completeAuthorization({ code, state, error, error_description }) {
+  // Consume the state first so a declined or replayed redirect cannot be reused
+  const pending = takePendingAuthorization(state);
+  if (error) {
+    throw new Error(`Authorization declined: ${error_description || error}`);
+  }
+  if (!code) {
+    throw new Error('Authorization response has no code');
+  }
+
+  const auth = getOAuthConfig(pending.provider);
+  const clientSecret = pending.client_secret ? await decryptCredential(pending.client_secret) : '';
+  const now = Date.now();
+
+  const tokens = await requestToken(auth, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: pending.redirect_uri,
+    client_id: pending.client_id,
+    code_verifier: pending.code_verifier
+  }, clientSecret);
+
+  const credential = {
+    ...toCredential(tokens, {}, now),
+    client_id: pending.client_id,
+    ...(clientSecret ? { client_secret: clientSecret } : {}),
+    ...(await loadProviderDetails(pending.provider, tokens))
+  };
+  const stored = {
+    encrypted_value: await encryptCredential(JSON.stringify(credential)),
+    credential_type: 'oauth2',
+    expires_at: credential.expires_at
+  };
+
+  const TenantConnection = TenantEntity.wrap(Connection);
+  const TenantCredential = TenantEntity.wrap(Credential);
+  const config = {
+    auth_type: 'oauth2',
+    scopes: auth.scopes,
+    authorized_at: new Date(now).toISOString()
+  };
+
+  if (pending.reconnect_id) {
+    const existing = await TenantConnection.get(pending.reconnect_id);
+    const connection = await TenantConnection.update(existing.id, {
+      status: 'active',
+      error_message: null,
+      config: { ...(existing.config || {}), ...config }
+    });
+    const records = await TenantCredential.filter({ connection_id: existing.id });
+    if (records.length > 0) {
+      await TenantCredential.update(records[0].id, stored);
+    } else {
+      await TenantCredential.create({ connection_id: existing.id, ...stored });
+    }
+    return connection;
+  }
+
+  const connection = await TenantConnection.create({
+    provider: pending.provider,
+    name: pending.connection_name || `${getConnector(pending.provider).name} Connection`,
+    status: 'active',
+    config: { ...config, created_via: 'oauth_flow', created_at: new Date(now).toISOString() }
+  });
+  await TenantCredential.create({ connection_id: connection.id, ...stored });
+  return connection;
+}
+
+// ============================================================================
+// CREDENTIALS AT RUN TIME
+// ============================================================================
+
+// EncryptionVault writes "iv:ciphertext"; older credentials are base64 JSON
+async function readCredentialValue(value) {
+  if (!value.startsWith('{') && value.split(':').length === 2) {
+    return await decryptCredential(value);
+  }
+  try {
+    return atob(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * A connection's stored credential record and its decrypted fields
+ */
+export async function loadCredential(connection) {
+  const records = await Credential.filter({ connection_id: connection.id });
+  if (records.length === 0) {
+    throw new Error('No credentials found for connection');
+  }
+  return { record: records[0], credential: JSON.parse(await readCredentialValue(records[0].encrypted_value)) };
+}
+
+function reauthError(connection, reason) {
+  const error = new Error(`Connection ${connection.name || connection.id} needs to be re-authorized: ${reason}`);
+  error.status = 401;
+  error.category = 'auth';
+  error.retryable = false;
+  error.reauth_required = true;
+  return error;
+}
+
+/**
+ * Flag a connection for the user to reconnect
+ * @returns {Promise<Error>} - Error for the step that needed the connection
+ */
+async function markReauthRequired(connection, reason) {
+  await Connection.update(connection.id, {
+    status: REAUTH_REQUIRED,
+    error_message: `Token refresh failed: ${reason}`,
+    last_health_check: new Date().toISOString()
+  });
+  return reauthError(connection, reason);
+}
+
+async function performRefresh(connection, staleAccessToken) {
+  const { record, credential } = await loadCredential(connection);
+
+  // Another run refreshed since this token was read
+  if (staleAccessToken && credential.access_token !== staleAccessToken && !expiresSoon(credential)) {
+    return credential;
+  }
+
+  if (!credential.refresh_token) {
+    throw await markReauthRequired(connection, 'no refresh token stored');
+  }
+
+  let tokens;
+  try {
+    tokens = await requestToken(getOAuthConfig(connection.provider), {
+      grant_type: 'refresh_token',
+      refresh_token: credential.refresh_token,
+      client_id: credential.client_id
+    }, credential.client_secret);
+  } catch (error) {
+    // Outages and throttling are retried by the step; a rejected refresh token needs the user
+    if (!error.status || error.status === 429 || error.status >= 500) {
+      throw error;
+    }
+    throw await markReauthRequired(connection, error.message);
+  }
+
+  const refreshed = toCredential(tokens, credential, Date.now());
+  await Credential.update(record.id, {
+    encrypted_value: await encryptCredential(JSON.stringify(refreshed)),
+    expires_at: refreshed.expires_at
+  });
+  return refreshed;
+}
+
+/**
+ * Refresh a connection's access token
+ * Concurrent callers share one refresh
+ * @param {string} staleAccessToken - Token that was rejected or expiring; skips the
+ *   refresh if the stored token has already moved on
+ */
+export function refreshCredential(connection, { staleAccessToken = null } = {}) {
+  if (!refreshesInFlight.has(connection.id)) {
+    refreshesInFlight.set(
+      connection.id,
+      performRefresh(connection, staleAccessToken).finally(() => refreshesInFlight.delete(connection.id))
+    );
+  }
+  return refreshesInFlight.get(connection.id);
+}
+
+/**
+ * Decrypted credential for a step, refreshing OAuth2 tokens close to expiry
+ */
+export async function getFreshCredential(connection) {
+  if (connection.status === REAUTH_REQUIRED) {
+    throw reauthError(connection, connection.error_message || 'token refresh failed');
+  }
+
+  const { credential } = await loadCredential(connection);
+  if (isOAuthConnection(connection) && expiresSoon(credential)) {
+    return await refreshCredential(connection, { staleAccessToken: credential.access_token });
+  }
+  return credential;
+}
+
+/**
+ * Run a provider call, refreshing the token and repeating once if it is rejected
+ * @param {Function} call - (credential) => Promise
+ */
+export async function withTokenRefresh(connection, credential, call) {
+  try {
+    return await call(credential);
+  } catch (error) {
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+    const expired = Number(status) === 401 || error.code === 'token_expired';
+    if (!isOAuthConnection(connection) || !expired) {
+      throw error;
+    }
+    const refreshed = await refreshCredential(connection, { staleAccessToken: credential.access_token });
+    return await call(refreshed);
+  }
+}
+
+export default {
+  REAUTH_REQUIRED,
+  getOAuthConfig,
+  isOAuthConnection,
+  computeCodeChallenge,
+  startAuthorization,
+  completeAuthorization,
+  loadCredential,
+  refreshCredential,
+  getFreshCredential,
+  withTokenRefresh
+};
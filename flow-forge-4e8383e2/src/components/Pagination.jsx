@@ -0,0 +1,224 @@
+/**
+ * Pagination: Follow a list action's pages up to a max item count
+ *
+ * List actions declare `pagination` in ConnectorRegistry:
+ * - cursor:      { items_path, cursor_param, next_cursor_path?, has_more_path?, limit_param?, page_size }
+ *                the next cursor is next_cursor_path, else the last item's id
+ * - page:        { items_path, page_param, first_page?, has_more_path?, limit_param?, page_size }
+ * - link_header: { items_path, cursor_param?, limit_param?, page_size }
+ *                follows rel="next" in the Link header; with cursor_param only that
+ *                query param of the link is sent (Shopify page_info), otherwise the
+ *                link is sent as `url`
+ *
+ * Pages stream through onPage before the next one is fetched, so consumers
+ * (for_each sources) work on bounded batches. When max_items or MAX_PAGES stops
+ * the listing while the provider still has more, the output says `truncated: true`.
+ */
+
+export const DEFAULT_MAX_ITEMS = 1000;
+export const MAX_PAGES = 200;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+export function getPath(obj, path) {
+  return String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = String(path).split('.');
+  const copy = { ...obj };
+  let target = copy;
+  for (const key of keys.slice(0, -1)) {
+    target[key] = { ...(target[key] || {}) };
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+  return copy;
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+/**
+ * rel => URL map from an RFC 8288 Link header
+ */
+export function parseLinkHeader(value) {
+  const links = {};
+  for (const part of String(value || '').split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      for (const rel of match[2].split(/\s+/)) {
+        links[rel] = match[1];
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Effective max item count for a paginated call
+ */
+export function resolveMaxItems(pagination, maxItems) {
+  const requested = Number(maxItems);
+  if (Number.isFinite(requested) && requested > 0) {
+    return Math.floor(requested);
+  }
+  return pagination.max_items || DEFAULT_MAX_ITEMS;
+}
+
+// ============================================================================
+// PAGE SEQUENCING
+// ============================================================================
+
+function withLimit(pagination, params, remaining) {
+  if (!pagination.limit_param) {
+    return params;
+  }
+  // Page-number APIs need a constant page size or offsets shift
+  const size = pagination.type === 'page'
+    ? pagination.page_size
+    : Math.min(pagination.page_size || remaining, remaining);
+  return { ...params, [pagination.limit_param]: size };
+}
+
+/**
+ * Params for the page after `page`, or null if the provider has no more
+ */
+function nextPageParams(pagination, params, page, state) {
+  const { result, headers, items } = page;
+  const hasMore = pagination.has_more_path ? getPath(result, pagination.has_more_path) : undefined;
+  if (hasMore === false || items.length === 0) {
+    return null;
+  }
+
+  switch (pagination.type) {
+    case 'cursor': {
+      const lastItem = items[items.length - 1];
+      const cursor = (pagination.next_cursor_path && getPath(result, pagination.next_cursor_path)) ||
+        (lastItem && lastItem.id);
+      // Without has_more, a short page is the last one
+      if (!cursor || (hasMore === undefined && pagination.limit_param && items.length < state.requested)) {
+        return null;
+      }
+      return { ...params, [pagination.cursor_param]: cursor };
+    }
+    case 'page': {
+      if (hasMore === undefined && pagination.page_size && items.length < pagination.page_size) {
+        return null;
+      }
+      state.page += 1;
+      return { ...params, [pagination.page_param]: state.page };
+    }
+    case 'link_header': {
+      const next = parseLinkHeader(headerValue(headers, 'link')).next;
+      if (!next) {
+        return null;
+      }
+      if (pagination.cursor_param) {
+        // The cursor encodes the original filters; Shopify rejects them alongside page_info
+        const cursor = new URL(next).searchParams.get(pagination.cursor_param);
+        return cursor ? { [pagination.cursor_param]: cursor } : null;
+      }
+      // The link already carries the query
+      const linked = { ...params, url: next };
+      delete linked.query;
+      return linked;
+    }
+    default:
+      throw new Error(`Unknown pagination type: ${pagination.type}`);
+  }
+}
+
+/**
+ * Fetch pages one after another, handing each page's items to onPage
+ * @param {object} options
+ *   - pagination: the action's pagination declaration
+ *   - params: params for the first page
+ *   - maxItems: stop after this many items (default pagination.max_items or DEFAULT_MAX_ITEMS)
+ *   - fetchPage: async (params) => ({ result, headers })
+ *   - onPage: async (items, { page, offset, result }) => void, awaited before the next fetch
+ * @returns {Promise<{pages, item_count, max_items, truncated, last_result}>}
+ */
+export async function streamPages({ pagination, params, maxItems, fetchPage, onPage }) {
+  const limit = resolveMaxItems(pagination, maxItems);
+  const state = { page: pagination.type === 'page' ? (pagination.first_page ?? 1) : null, requested: 0 };
+
+  let pageParams = pagination.type === 'page'
+    ? { ...params, [pagination.page_param]: state.page }
+    : params;
+  let itemCount = 0;
+  let pages = 0;
+  let truncated = false;
+  let lastResult = null;
+
+  while (pageParams) {
+    if (pages >= MAX_PAGES) {
+      truncated = true;
+      break;
+    }
+
+    const requestParams = withLimit(pagination, pageParams, limit - itemCount);
+    state.requested = pagination.limit_param ? requestParams[pagination.limit_param] : Infinity;
+
+    const { result, headers } = await fetchPage(requestParams);
+    const pageItems = getPath(result, pagination.items_path) || [];
+    if (!Array.isArray(pageItems)) {
+      throw new Error(`${pagination.items_path} in the response is not a list`);
+    }
+
+    pages += 1;
+    lastResult = result;
+
+    const taken = pageItems.slice(0, limit - itemCount);
+    if (taken.length > 0 && onPage) {
+      await onPage(taken, { page: pages, offset: itemCount, result });
+    }
+    itemCount += taken.length;
+
+    const next = nextPageParams(pagination, pageParams, { result, headers, items: pageItems }, state);
+    if (itemCount >= limit) {
+      truncated = taken.length < pageItems.length || next !== null;
+      break;
+    }
+    pageParams = next;
+  }
+
+  return { pages, item_count: itemCount, max_items: limit, truncated, last_result: lastResult };
+}
+
+/**
+ * Fetch every page (up to max items) into a single step output
+ * The items land at items_path of the last page's result, next to
+ * `truncated` and `pagination: { pages, item_count, max_items }`
+ */
+export async function collectPages(options) {
+  const items = [];
+  const summary = await streamPages({
+    ...options,
+    onPage: async (pageItems) => {
+      items.push(...pageItems);
+    }
+  });
+
+  return {
+    ...setPath(summary.last_result || {}, options.pagination.items_path, items),
+    truncated: summary.truncated,
+    pagination: { pages: summary.pages, item_count: summary.item_count, max_items: summary.max_items }
+  };
+}
+
+export default {
+  DEFAULT_MAX_ITEMS,
+  MAX_PAGES,
+  getPath,
+  parseLinkHeader,
+  resolveMaxItems,
+  streamPages,
+  collectPages
+};
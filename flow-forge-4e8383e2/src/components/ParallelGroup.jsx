@@ -0,0 +1,168 @@
+/**
+ * ParallelGroup: Fan-out / fan-in execution for workflow step groups
+ * Runs branches concurrently and settles them according to a join policy
+ */
+
+// ============================================================================
+// JOIN POLICIES
+// ============================================================================
+
+export const JOIN_POLICIES = ['all', 'any', 'n_of_m'];
+
+/**
+ * Number of successful branches needed to satisfy a join
+ * @param {string} join - 'all' | 'any' | 'n_of_m'
+ * @param {number} branchCount - Number of branches (M)
+ * @param {number} minSuccesses - N for 'n_of_m'
+ * @returns {number} - Required successes
+ */
+export function requiredSuccesses(join, branchCount, minSuccesses) {
+  switch (join) {
+    case 'all':
+      return branchCount;
+    case 'any':
+      return 1;
+    case 'n_of_m': {
+      const n = Number(minSuccesses);
+      if (!Number.isInteger(n) || n < 1 || n > branchCount) {
+        throw new Error(`n_of_m join needs min_successes between 1 and ${branchCount}`);
+      }
+      return n;
+    }
+    default:
+      throw new Error(`Unknown join policy: ${join}`);
+  }
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Run branches concurrently and join their outcomes
+ *
+ * Per-branch failure handling (branch.on_failure):
+ * - 'fail' (default): the failure counts against the join
+ * - 'continue': the failure is recorded but never fails the group; the branch
+ *   leaves the quorum, so e.g. 'any' over two branches where one is tolerated
+ *   and fails waits for the other
+ *
+ * 'all' decides once every branch is done. 'any' and 'n_of_m' decide as soon
+ * as enough branches succeed, or as soon as the quorum can no longer be reached,
+ * and resolve right away with the branches still running left 'pending'.
+ * `settled` resolves once every branch has finished, so late branches' results
+ * (and side effects to compensate) are not lost; their outcomes are marked
+ * after_join and do not change the decision.
+ *
+ * @param {Array} branches - [{ name, on_failure, ... }]
+ * @param {object} options - { join, minSuccesses, execute(branch) }
+ * @returns {Promise<{succeeded, results, errors, outcomes, settled: Promise}>}
+ */
+export function runParallelBranches(branches, { join = 'all', minSuccesses, execute }) {
+  if (!Array.isArray(branches) || branches.length === 0) {
+    return Promise.reject(new Error('Parallel group needs at least one branch'));
+  }
+
+  const names = branches.map(b => b.name);
+  if (names.some(name => !name) || new Set(names).size !== names.length) {
+    return Promise.reject(new Error('Parallel branches need unique names'));
+  }
+
+  const required = requiredSuccesses(join, branches.length, minSuccesses);
+  const outcomes = Object.fromEntries(names.map(name => [name, { status: 'pending' }]));
+
+  return new Promise((resolve) => {
+    let decision = null;
+    let successes = 0;
+    let blockingFailures = 0;
+    let toleratedFailures = 0;
+    let remaining = branches.length;
+    let settle;
+    const settled = new Promise((done) => { settle = done; });
+
+    const decide = () => {
+      if (join === 'all') {
+        return remaining === 0 ? blockingFailures === 0 : null;
+      }
+      const needed = Math.min(required, branches.length - toleratedFailures);
+      if (successes >= needed) {
+        return true;
+      }
+      return successes + remaining < needed ? false : null;
+    };
+
+    const record = (name, outcome) => {
+      outcomes[name] = decision === null ? outcome : { ...outcome, after_join: true };
+    };
+
+    branches.forEach((branch) => {
+      const startedAt = Date.now();
+
+      Promise.resolve()
+        .then(() => execute(branch))
+        .then((result) => {
+          record(branch.name, {
+            status: 'succeeded',
+            result,
+            duration: Date.now() - startedAt
+          });
+          successes++;
+        })
+        .catch((error) => {
+          const tolerated = branch.on_failure === 'continue';
+          record(branch.name, {
+            status: 'failed',
+            error: error.message,
+            tolerated,
+            duration: Date.now() - startedAt
+          });
+          if (tolerated) {
+            toleratedFailures++;
+          } else {
+            blockingFailures++;
+          }
+        })
+        .finally(() => {
+          remaining--;
+          if (decision === null) {
+            decision = decide();
+            if (decision !== null) {
+              resolve({ ...summarize(decision, outcomes), settled });
+            }
+          }
+          if (remaining === 0) {
+            settle(summarize(decision, outcomes));
+          }
+        });
+    });
+  });
+}
+
+/**
+ * Flatten branch outcomes into the shape stored in run.context
+ */
+function summarize(succeeded, outcomes) {
+  const results = {};
+  const errors = {};
+
+  for (const [name, outcome] of Object.entries(outcomes)) {
+    if (outcome.status === 'succeeded') {
+      results[name] = outcome.result;
+    } else if (outcome.status === 'failed') {
+      errors[name] = outcome.error;
+    }
+  }
+
+  return {
+    succeeded,
+    results,
+    errors,
+    outcomes: { ...outcomes }
+  };
+}
+
+export default {
+  JOIN_POLICIES,
+  requiredSuccesses,
+  runParallelBranches
+};
@@ -0,0 +1,309 @@
+/**
+ * ProviderThrottle: Per-connection token buckets for provider API calls
+ *
+ * Every provider call a step makes takes a token from its connection's bucket.
+ * Buckets are keyed by tenant and connection, so all concurrent runs of a tenant
+ * draw from one budget; the state is mirrored to localStorage so other tabs of
+ * the tenant see it too.
+ *
+ * - capacity / refill come from Connection.config.rate_limit, else the
+ *   connector's rate_limit in ConnectorRegistry ({ requests, per_ms, burst })
+ * - responses adjust the bucket from provider headers (Shopify call limit,
+ *   Xero minute/day remaining, X-RateLimit-* / RateLimit-*)
+ * - 429 and 503 responses with Retry-After block the whole connection until then,
+ *   and the error carries retry_after_ms for RetryPolicy
+ * - waits up to MAX_INLINE_WAIT_MS are slept through; longer ones fail the attempt
+ *   as a retryable rate_limit error so the run is parked instead of holding a worker
+ *
+ * Each wait is recorded as a `throttle_wait` MetricEvent and each 429 as
+ * `rate_limited`; Insights charts both.
+ */
+
+import { MetricEvent } from '@/api/entities';
+import { getConnector } from './ConnectorRegistry';
+import { sleep } from './RuntimeSafety';
+
+export const MAX_INLINE_WAIT_MS = 60 * 1000;
+
+const STORAGE_PREFIX = 'dchor_throttle_';
+
+const buckets = new Map(); // `${tenantId}:${connectionId}` -> TokenBucket
+
+// ============================================================================
+// TOKEN BUCKET
+// ============================================================================
+
+export class TokenBucket {
+  /**
+   * @param {object} limit - { requests, per_ms, burst }, or null for no budget
+   *   (Retry-After and provider headers still apply)
+   * @param {string} storageKey - localStorage key shared across tabs, optional
+   */
+  constructor(limit, storageKey = null) {
+    this.capacity = limit ? (limit.burst || limit.requests) : Infinity;
+    this.refillPerMs = limit ? limit.requests / limit.per_ms : Infinity;
+    this.storageKey = storageKey;
+    this.state = { tokens: this.capacity, updated_at: Date.now(), blocked_until: 0 };
+    this.load();
+  }
+
+  load() {
+    if (!this.storageKey) return;
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      if (stored && typeof stored.updated_at === 'number') {
+        this.state = { ...stored, tokens: stored.tokens ?? this.capacity };
+      }
+    } catch {
+      // Unreadable or unavailable storage: keep this tab's own state
+    }
+  }
+
+  save() {
+    if (!this.storageKey) return;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    } catch {
+      // Storage full or unavailable: the budget is still enforced within this tab
+    }
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.state.updated_at);
+    this.state.tokens = this.capacity === Infinity
+      ? Infinity
+      : Math.min(this.capacity, this.state.tokens + elapsed * this.refillPerMs);
+    this.state.updated_at = now;
+  }
+
+  /**
+   * Take a token, reserving one ahead of time if the bucket is empty
+   * Reservations drive tokens negative, so concurrent callers queue in order
+   * @returns {{waitMs: number, reason: 'budget'|'retry_after'|null}}
+   */
+  reserve(now = Date.now()) {
+    this.load();
+    this.refill(now);
+
+    const blockedMs = Math.max(0, this.state.blocked_until - now);
+    const budgetMs = this.state.tokens >= 1 ? 0 : Math.ceil((1 - this.state.tokens) / this.refillPerMs);
+    this.state.tokens -= 1;
+    this.save();
+
+    const waitMs = Math.max(blockedMs, budgetMs);
+    const reason = waitMs === 0 ? null : blockedMs >= budgetMs ? 'retry_after' : 'budget';
+    return { waitMs, reason };
+  }
+
+  /**
+   * Give back a reservation that was not used
+   */
+  release() {
+    this.state.tokens = Math.min(this.capacity, this.state.tokens + 1);
+    this.save();
+  }
+
+  /**
+   * Update the bucket from a provider response
+   * @param {object} headers - Response headers (any case)
+   * @param {number|null} status - HTTP status
+   * @returns {number|null} - Retry-After in ms, if the provider sent one
+   */
+  observe(headers, status, now = Date.now()) {
+    this.load();
+    this.refill(now);
+
+    const info = parseRateLimitHeaders(headers, now);
+    if (info.remaining !== null) {
+      // Trust the provider when it has seen calls we did not make (other apps, other tabs)
+      this.state.tokens = Math.min(this.state.tokens, info.remaining);
+      if (info.remaining <= 0 && info.resetAt) {
+        this.state.blocked_until = Math.max(this.state.blocked_until, info.resetAt);
+      }
+    }
+
+    if (status === 429 || (status === 503 && info.retryAfterMs !== null)) {
+      this.state.tokens = Math.min(this.state.tokens, 0);
+      if (info.retryAfterMs !== null) {
+        this.state.blocked_until = Math.max(this.state.blocked_until, now + info.retryAfterMs);
+      }
+    }
+
+    this.save();
+    return info.retryAfterMs;
+  }
+}
+
+// ============================================================================
+// HEADERS
+// ============================================================================
+
+function normalizeHeaders(headers) {
+  if (!headers) return {};
+  const entries = typeof headers.entries === 'function' ? [...headers.entries()] : Object.entries(headers);
+  return Object.fromEntries(entries.map(([key, value]) => [key.toLowerCase(), String(value)]));
+}
+
+/**
+ * Retry-After as milliseconds; accepts delay-seconds or an HTTP date
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return Math.round(Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Remaining calls and reset time from provider rate-limit headers
+ * @returns {{remaining: number|null, resetAt: number|null, retryAfterMs: number|null}}
+ */
+export function parseRateLimitHeaders(rawHeaders, now = Date.now()) {
+  const headers = normalizeHeaders(rawHeaders);
+  const remainders = [];
+  let resetAt = null;
+
+  // Shopify REST: "32/40" = calls used / bucket size
+  const shopify = headers['x-shopify-shop-api-call-limit'];
+  if (shopify && /^\d+\/\d+$/.test(shopify)) {
+    const [used, size] = shopify.split('/').map(Number);
+    remainders.push(size - used);
+  }
+
+  // Xero: per-minute, per-day and app-wide remaining calls
+  for (const name of ['x-minlimit-remaining', 'x-daylimit-remaining', 'x-appminlimit-remaining']) {
+    if (headers[name] !== undefined) remainders.push(Number(headers[name]));
+  }
+
+  // Common conventions (GitHub, Stripe-style gateways, IETF RateLimit draft)
+  for (const prefix of ['x-ratelimit-', 'ratelimit-']) {
+    if (headers[`${prefix}remaining`] !== undefined) {
+      remainders.push(Number(headers[`${prefix}remaining`]));
+    }
+    const reset = headers[`${prefix}reset`];
+    if (reset !== undefined && /^\d+$/.test(reset)) {
+      // Epoch seconds when large, otherwise seconds from now
+      const seconds = Number(reset);
+      resetAt = seconds > 1e9 ? seconds * 1000 : now + seconds * 1000;
+    }
+  }
+
+  const valid = remainders.filter(Number.isFinite);
+  return {
+    remaining: valid.length > 0 ? Math.max(0, Math.min(...valid)) : null,
+    resetAt,
+    retryAfterMs: parseRetryAfter(headers['retry-after'], now)
+  };
+}
+
+// ============================================================================
+// THROTTLED CALLS
+// ============================================================================
+
+/**
+ * Rate limit a connection's calls run under
+ */
+export function resolveRateLimit(connection) {
+  const configured = connection.config && connection.config.rate_limit;
+  if (configured && configured.requests > 0 && configured.per_ms > 0) {
+    return configured;
+  }
+  const connector = getConnector(connection.provider);
+  return connector ? connector.rate_limit : null;
+}
+
+/**
+ * Shared bucket for a tenant's connection
+ */
+export function getBucket(connection, tenantId) {
+  const key = `${tenantId}:${connection.id}`;
+  if (!buckets.has(key)) {
+    buckets.set(key, new TokenBucket(resolveRateLimit(connection), `${STORAGE_PREFIX}${key}`));
+  }
+  return buckets.get(key);
+}
+
+function errorStatus(error) {
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  return status ? Number(status) : null;
+}
+
+async function recordMetric(context, metricName, value, unit, dimensions = {}) {
+  try {
+    await MetricEvent.create({
+      tenant_id: context.tenantId,
+      metric_name: metricName,
+      metric_value: value,
+      metric_unit: unit,
+      dimensions: {
+        provider: context.connection.provider,
+        connection_id: context.connection.id,
+        workflow_id: context.workflowId || null,
+        run_id: context.runId || null,
+        ...dimensions
+      },
+      tags: ['throttling'],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Failed to record throttle metric:', error);
+  }
+}
+
+/**
+ * Run a provider call within its connection's budget
+ * @param {object} context - { connection, tenantId, runId, workflowId, onWait }
+ *   onWait(waitMs, reason) is awaited after a throttle wait (e.g. to log it)
+ * @param {Function} fn - Provider call; its result or error may carry response headers
+ */
+export async function throttleCall(context, fn) {
+  const bucket = getBucket(context.connection, context.tenantId);
+  const { waitMs, reason } = bucket.reserve();
+
+  if (waitMs > MAX_INLINE_WAIT_MS) {
+    bucket.release();
+    await recordMetric(context, 'throttle_deferred', waitMs, 'ms', { reason });
+    const error = new Error(`Rate limit budget for ${context.connection.name || context.connection.provider} exhausted; next call in ${Math.ceil(waitMs / 1000)}s`);
+    error.status = 429;
+    error.category = 'rate_limit';
+    error.retryable = true;
+    error.retry_after_ms = waitMs;
+    throw error;
+  }
+
+  if (waitMs > 0) {
+    await sleep(waitMs);
+    await recordMetric(context, 'throttle_wait', waitMs, 'ms', { reason });
+    if (context.onWait) {
+      await context.onWait(waitMs, reason);
+    }
+  }
+
+  try {
+    const result = await fn();
+    bucket.observe(result && (result.headers || (result.result && result.result.headers)), 200);
+    return result;
+  } catch (error) {
+    const status = errorStatus(error);
+    const retryAfterMs = bucket.observe(error.response && error.response.headers, status);
+    if (retryAfterMs !== null && error.retry_after_ms === undefined) {
+      error.retry_after_ms = retryAfterMs;
+    }
+    if (status === 429) {
+      await recordMetric(context, 'rate_limited', 1, 'count', { retry_after_ms: retryAfterMs });
+    }
+    throw error;
+  }
+}
+
+export default {
+  MAX_INLINE_WAIT_MS,
+  TokenBucket,
+  parseRetryAfter,
+  parseRateLimitHeaders,
+  resolveRateLimit,
+  getBucket,
+  throttleCall
+};
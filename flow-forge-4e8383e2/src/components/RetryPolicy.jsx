@@ -0,0 +1,111 @@
+/**
+ * RetryPolicy: Per-step retry policies for workflow runs
+ * Decides whether a failed step is retried and when the run should wake up
+ */
+
+import { classifyError, computeBackoffDelay } from './RuntimeSafety';
+
+/**
+ * Policy applied to steps with `retry_on_failure: true` and no retry_policy
+ */
+export const DEFAULT_RETRY_POLICY = {
+  max_attempts: 3,
+  backoff: 'exponential',
+  base_delay_ms: 1000,
+  max_delay_ms: 5 * 60 * 1000,
+  jitter: 0.3,
+  max_elapsed_ms: 60 * 60 * 1000,
+  retry_on: ['rate_limit', 'server_error', 'network', 'timeout', 'circuit_open']
+};
+
+const NO_RETRY_POLICY = { ...DEFAULT_RETRY_POLICY, max_attempts: 1 };
+
+/**
+ * Floor for rate-limited attempts (a provider 429 / Retry-After, or an exhausted
+ * throttle budget), whatever the step's policy: the call was never judged on its merits
+ */
+export const RATE_LIMIT_RETRY_POLICY = { ...DEFAULT_RETRY_POLICY, max_attempts: 5 };
+
+/**
+ * Effective retry policy for a step
+ * @param {object} step - WorkflowStep with optional retry_policy / retry_on_failure
+ * @returns {object} - Complete policy
+ */
+export function resolveRetryPolicy(step) {
+  if (step.retry_policy) {
+    return { ...DEFAULT_RETRY_POLICY, ...step.retry_policy };
+  }
+
+  return step.retry_on_failure ? DEFAULT_RETRY_POLICY : NO_RETRY_POLICY;
+}
+
+/**
+ * Whether an error is retryable under a policy
+ */
+export function isRetryableUnder(policy, error) {
+  const classification = classifyError(error);
+  return classification.retryable && policy.retry_on.includes(classification.category);
+}
+
+/**
+ * Policy a failed attempt is retried under: the step's, raised to
+ * RATE_LIMIT_RETRY_POLICY for rate limits
+ */
+export function policyForError(policy, error) {
+  if (classifyError(error).category !== 'rate_limit') {
+    return policy;
+  }
+
+  return {
+    ...policy,
+    max_attempts: Math.max(policy.max_attempts, RATE_LIMIT_RETRY_POLICY.max_attempts),
+    max_elapsed_ms: Math.max(policy.max_elapsed_ms || 0, RATE_LIMIT_RETRY_POLICY.max_elapsed_ms),
+    retry_on: policy.retry_on.includes('rate_limit') ? policy.retry_on : [...policy.retry_on, 'rate_limit']
+  };
+}
+
+/**
+ * Decide whether to retry a failed attempt
+ * @param {object} stepPolicy - Effective retry policy of the step
+ * @param {object} state - { attempt (1-based, just failed), firstAttemptAt, error }
+ * @returns {{retry, reason, classification, maxAttempts, delayMs, nextAttemptAt}}
+ */
+export function planRetry(stepPolicy, { attempt, firstAttemptAt, error }) {
+  const policy = policyForError(stepPolicy, error);
+  const classification = classifyError(error);
+
+  if (!classification.retryable || !policy.retry_on.includes(classification.category)) {
+    return { retry: false, reason: `${classification.category} errors are not retryable`, classification };
+  }
+
+  if (attempt >= policy.max_attempts) {
+    return { retry: false, reason: `exhausted ${policy.max_attempts} attempts`, classification };
+  }
+
+  // A provider's Retry-After (or an exhausted throttle budget) sets the earliest retry
+  const delayMs = Math.max(computeBackoffDelay(attempt - 1, policy), Number(error && error.retry_after_ms) || 0);
+  const nextAttemptAt = new Date(Date.now() + delayMs);
+  const elapsedMs = nextAttemptAt - new Date(firstAttemptAt);
+
+  if (policy.max_elapsed_ms && elapsedMs > policy.max_elapsed_ms) {
+    return { retry: false, reason: `next attempt would exceed max elapsed ${policy.max_elapsed_ms}ms`, classification };
+  }
+
+  return {
+    retry: true,
+    reason: classification.category,
+    classification,
+    maxAttempts: policy.max_attempts,
+    delayMs,
+    nextAttemptAt: nextAttemptAt.toISOString()
+  };
+}
+
+export default {
+  DEFAULT_RETRY_POLICY,
+  RATE_LIMIT_RETRY_POLICY,
+  resolveRetryPolicy,
+  policyForError,
+  isRetryableUnder,
+  planRetry
+};
@@ -0,0 +1,187 @@
+/**
+ * RunQueue: Concurrency limits and queueing for workflow runs
+ *
+ * Limits (unset or 0 = unlimited):
+ * - Workflow.max_concurrent_runs   - runs of one workflow
+ * - Connection.max_concurrent_runs - runs whose steps use the connection
+ * - TenantConfig.max_concurrent_runs - all runs of the tenant
+ *
+ * A new run is admitted the first time processNextStep picks it up. If any of
+ * its scopes is full it is parked as `queued` and retried on every poll.
+ * Queue order is priority (higher first), then queued_at (FIFO); a queued run
+ * also waits while earlier queued runs of the same scope could take the free
+ * slots, so a busy workflow cannot starve the ones ahead of it.
+ *
+ * A run holds a slot while it is pending, in_progress or retry_scheduled.
+ * Sleeping runs and runs waiting on approvals, events or children give their
+ * slot up and are not re-queued when they wake. Sub-workflow runs execute
+ * under their parent's slot and are never queued.
+ */
+
+import { Workflow, Connection, Run, TenantConfig } from '@/api/entities';
+
+export const QUEUED = 'queued';
+
+const SLOT_STATUSES = ['pending', 'in_progress', 'retry_scheduled'];
+
+/**
+ * Order two queued runs: higher priority first, then first queued
+ */
+export function compareQueueOrder(a, b) {
+  const priority = (b.priority || 0) - (a.priority || 0);
+  if (priority !== 0) {
+    return priority;
+  }
+  return new Date(a.queued_at || a.started_at) - new Date(b.queued_at || b.started_at);
+}
+
+/**
+ * Distinct connections used by a run's steps
+ */
+export function collectConnectionIds(steps) {
+  return [...new Set(steps.map(step => step.connection_id).filter(Boolean))];
+}
+
+/**
+ * Whether a run still has to pass admission before executing
+ * Runs enqueued before queueing existed have no queued_at and are never held back
+ */
+export function needsAdmission(run) {
+  return Boolean(run.queued_at) && !run.admitted_at && !run.parent_run_id;
+}
+
+/**
+ * Limited scopes a run belongs to
+ * @returns {Array<{scope: 'tenant'|'workflow'|'connection', id: string, limit: number, includes: function}>}
+ */
+function scopesFor(run, limits) {
+  const scopes = [];
+
+  if (limits.tenant > 0) {
+    scopes.push({ scope: 'tenant', id: run.tenant_id, limit: limits.tenant, includes: () => true });
+  }
+  if (limits.workflow > 0) {
+    scopes.push({
+      scope: 'workflow',
+      id: run.workflow_id,
+      limit: limits.workflow,
+      includes: other => other.workflow_id === run.workflow_id
+    });
+  }
+  for (const [connectionId, limit] of Object.entries(limits.connections || {})) {
+    if (limit > 0 && (run.connection_ids || []).includes(connectionId)) {
+      scopes.push({
+        scope: 'connection',
+        id: connectionId,
+        limit,
+        includes: other => (other.connection_ids || []).includes(connectionId)
+      });
+    }
+  }
+
+  return scopes;
+}
+
+/**
+ * Decide whether a run may start now
+ * @param {object} run - Run awaiting admission
+ * @param {object} limits - { tenant, workflow, connections: { id: limit } }
+ * @param {object[]} activeRuns - Runs currently holding a slot
+ * @param {object[]} queuedRuns - Runs waiting in the queue
+ * @returns {{admitted: boolean, blockedBy: object[], position: number}}
+ */
+export function planAdmission(run, limits, activeRuns, queuedRuns) {
+  const others = (list) => list.filter(other => other.id !== run.id);
+  const ahead = others(queuedRuns).filter(other => compareQueueOrder(other, run) < 0);
+  const blockedBy = [];
+
+  for (const scope of scopesFor(run, limits)) {
+    const active = others(activeRuns).filter(scope.includes).length;
+    const waitingAhead = ahead.filter(scope.includes).length;
+    if (active + waitingAhead >= scope.limit) {
+      blockedBy.push({ scope: scope.scope, id: scope.id, limit: scope.limit, active, ahead: waitingAhead });
+    }
+  }
+
+  return { admitted: blockedBy.length === 0, blockedBy, position: ahead.length + 1 };
+}
+
+/**
+ * Human readable reason a run is queued
+ */
+export function describeQueueBlock(blockedBy) {
+  return blockedBy
+    .map(block => `${block.scope} limit ${block.limit} reached (${block.active} running, ${block.ahead} queued ahead)`)
+    .join('; ');
+}
+
+/**
+ * Load the limits that apply to a run
+ */
+async function loadLimits(run) {
+  const workflow = await Workflow.get(run.workflow_id);
+  const [tenantConfig] = await TenantConfig.filter({ tenant_id: run.tenant_id });
+
+  const connections = {};
+  for (const connectionId of run.connection_ids || []) {
+    const connection = await Connection.get(connectionId);
+    if (connection && connection.max_concurrent_runs) {
+      connections[connectionId] = Number(connection.max_concurrent_runs);
+    }
+  }
+
+  return {
+    tenant: Number(tenantConfig && tenantConfig.max_concurrent_runs) || 0,
+    workflow: Number(workflow && workflow.max_concurrent_runs) || 0,
+    connections
+  };
+}
+
+/**
+ * Check a run against its concurrency limits
+ * @returns {Promise<{admitted: boolean, blockedBy: object[], position: number}>}
+ */
+export async function admitRun(run) {
+  const limits = await loadLimits(run);
+  if (!limits.tenant && !limits.workflow && Object.keys(limits.connections).length === 0) {
+    return { admitted: true, blockedBy: [], position: 0 };
+  }
+
+  const activeRuns = [];
+  for (const status of SLOT_STATUSES) {
+    const runs = await Run.filter({ tenant_id: run.tenant_id, status });
+    // Pending runs only hold a slot once admitted; the rest are still competing for one
+    activeRuns.push(...runs.filter(other => status !== 'pending' || other.admitted_at));
+  }
+  const queuedRuns = await Run.filter({ tenant_id: run.tenant_id, status: QUEUED });
+
+  return planAdmission(run, limits, activeRuns, queuedRuns);
+}
+
+/**
+ * Queue depth and wait times for the Runs page
+ * @param {object[]} queuedRuns - Runs in status queued
+ * @param {object[]} admittedRuns - Recently admitted runs (with wait_ms)
+ */
+export function getQueueStats(queuedRuns, admittedRuns, now = new Date()) {
+  const waits = admittedRuns.map(run => run.wait_ms).filter(ms => typeof ms === 'number');
+  const oldest = [...queuedRuns].sort((a, b) => new Date(a.queued_at) - new Date(b.queued_at))[0];
+
+  return {
+    depth: queuedRuns.length,
+    oldestWaitMs: oldest ? now - new Date(oldest.queued_at || oldest.started_at) : 0,
+    avgWaitMs: waits.length > 0 ? Math.round(waits.reduce((sum, ms) => sum + ms, 0) / waits.length) : 0,
+    maxWaitMs: waits.length > 0 ? Math.max(...waits) : 0
+  };
+}
+
+export default {
+  QUEUED,
+  compareQueueOrder,
+  collectConnectionIds,
+  needsAdmission,
+  planAdmission,
+  describeQueueBlock,
+  admitRun,
+  getQueueStats
+};
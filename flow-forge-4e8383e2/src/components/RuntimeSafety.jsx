@@ -76,9 +76,7 @@ export async function retryableFetch(url, options = {}, maxRetries = 3, baseDela
     
     // Don't wait after last attempt
     if (attempt < maxRetries - 1) {
-      const delay = baseDelayMs * Math.pow(2, attempt); // Exponential backoff
-      const jitter = Math.random() * 0.3 * delay; // Add 0-30% jitter
-      await sleep(delay + jitter);
+      await sleep(computeBackoffDelay(attempt, { base_delay_ms: baseDelayMs }));
     }
   }
   
@@ -90,9 +88,10 @@ export async function retryableFetch(url, options = {}, maxRetries = 3, baseDela
  * @param {Function} fn - Async function to retry
  * @param {number} maxRetries - Maximum retry attempts
  * @param {number} baseDelayMs - Base delay for exponential backoff
+ * @param {Function} shouldRetry - Optional (error) => boolean, e.g. classifyError
  * @returns {Promise} - Function result
  */
-export async function retryable(fn, maxRetries = 3, baseDelayMs = 1000) {
+export async function retryable(fn, maxRetries = 3, baseDelayMs = 1000, shouldRetry = null) {
   let lastError;
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -105,11 +104,13 @@ export async function retryable(fn, maxRetries = 3, baseDelayMs = 1000) {
       if (error.message.includes('Authentication') || error.message.includes('Unauthorized')) {
         throw error;
       }
+
+      if (shouldRetry && !shouldRetry(error)) {
+        throw error;
+      }
       
       if (attempt < maxRetries - 1) {
-        const delay = baseDelayMs * Math.pow(2, attempt);
-        const jitter = Math.random() * 0.3 * delay;
-        await sleep(delay + jitter);
+        await sleep(computeBackoffDelay(attempt, { base_delay_ms: baseDelayMs }));
       }
     }
   }
@@ -117,6 +118,102 @@ export async function retryable(fn, maxRetries = 3, baseDelayMs = 1000) {
   throw new Error(`Failed after ${maxRetries} retries: ${lastError.message}`);
 }
 
+/**
+ * Backoff delay before the next attempt
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {object} policy - { backoff, base_delay_ms, max_delay_ms, jitter }
+ *   backoff: 'exponential' (default) | 'linear' | 'fixed'
+ *   jitter: fraction of the delay added at random (default 0.3)
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, policy = {}) {
+  const base = policy.base_delay_ms ?? 1000;
+  const jitter = policy.jitter ?? 0.3;
+
+  let delay;
+  switch (policy.backoff) {
+    case 'fixed':
+      delay = base;
+      break;
+    case 'linear':
+      delay = base * (attempt + 1);
+      break;
+    default:
+      delay = base * Math.pow(2, attempt);
+  }
+
+  if (policy.max_delay_ms) {
+    delay = Math.min(delay, policy.max_delay_ms);
+  }
+
+  return Math.round(delay + Math.random() * jitter * delay);
+}
+
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify a provider error as retryable or permanent
+ * - 429 rate limits, 5xx, network failures and timeouts are retryable
+ * - 4xx validation and auth errors are not
+ * Errors mapped by a connector keep the category and retryability it assigned
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {{retryable: boolean, category: string, status: number|null}}
+ */
+export function classifyError(error) {
+  const status = getErrorStatus(error);
+  const message = (error && error.message) || '';
+
+  // Already classified by the connector's error_map (ConnectorRegistry.mapProviderError)
+  if (error && error.category && typeof error.retryable === 'boolean') {
+    return { retryable: error.retryable, category: error.category, status };
+  }
+
+  if (status === 429) {
+    return { retryable: true, category: 'rate_limit', status };
+  }
+
+  if (status >= 500) {
+    return { retryable: true, category: 'server_error', status };
+  }
+
+  if (status === 401 || status === 403) {
+    return { retryable: false, category: 'auth', status };
+  }
+
+  if (status >= 400) {
+    return { retryable: false, category: 'validation', status };
+  }
+
+  if (message.includes('Circuit breaker OPEN')) {
+    return { retryable: true, category: 'circuit_open', status: null };
+  }
+
+  if (/timed out|timeout|ETIMEDOUT/i.test(message)) {
+    return { retryable: true, category: 'timeout', status: null };
+  }
+
+  if (/Failed to fetch|NetworkError|network|ECONNRESET|ECONNREFUSED|EAI_AGAIN/i.test(message)) {
+    return { retryable: true, category: 'network', status: null };
+  }
+
+  return { retryable: false, category: 'unknown', status: null };
+}
+
+/**
+ * Extract an HTTP status from common error shapes ("HTTP 503: ..." included)
+ */
+function getErrorStatus(error) {
+  if (!error) return null;
+
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  if (status) return Number(status);
+
+  const match = (error.message || '').match(/HTTP (\d{3})/);
+  return match ? Number(match[1]) : null;
+}
+
 // ============================================================================
 // CIRCUIT BREAKER
 // ============================================================================
@@ -372,6 +469,8 @@ export default {
   withTimeout,
   retryableFetch,
   retryable,
+  computeBackoffDelay,
+  classifyError,
   CircuitBreaker,
   generateIdempotencyKey,
   ensureIdempotentRun,
@@ -0,0 +1,225 @@
+/**
+ * SimulationFixtures: Record provider responses and replay them in simulation runs
+ *
+ * A SimulationFixture { workflow_id, fixture_set, step_name, provider, action, response, source }
+ * stands in for one provider call. Fixtures are captured from a completed
+ * production run (each step's output is already in run.context under its
+ * step_name) into the set "run:<run id>", including the parallel branches and
+ * for_each sub-steps inside logic steps, and a simulation run started with
+ * fixture_set replays them, so downstream {{ }} mappings and guardrails see
+ * realistic data instead of an echo of the params.
+ *
+ * Lookup order for a simulated step:
+ * 1. fixture for this workflow + step_name in the run's fixture_set
+ * 2. fixture for the same provider.action in the set (shared across workflows)
+ * 3. synthetic response generated from the action's output schema (ConnectorRegistry)
+ * 4. the params echoed back with simulated: true (actions without a schema)
+ */
+
+import { Run, SimulationFixture } from '@/api/entities';
+import { loadRunSteps } from './WorkflowVersioning';
+import { getAction } from './ConnectorRegistry';
+
+// ============================================================================
+// SYNTHETIC RESPONSES
+// ============================================================================
+
+/**
+ * Build a plausible value from a JSON schema
+ * Uses example, then the first enum value, then a placeholder for the type
+ */
+export function synthesizeFromSchema(schema, name = 'value') {
+  if (!schema) {
+    return null;
+  }
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, child]) => [key, synthesizeFromSchema(child, key)])
+      );
+    case 'array':
+      return [synthesizeFromSchema(schema.items, name)];
+    case 'integer':
+      return 1;
+    case 'number':
+      return 100;
+    case 'boolean':
+      return true;
+    default:
+      if (schema.format === 'email') {
+        return 'customer@example.com';
+      }
+      if (schema.format === 'uri') {
+        return `https://example.com/${name}`;
+      }
+      if (schema.format === 'date-time') {
+        return new Date().toISOString();
+      }
+      return `sim_${name}`;
+  }
+}
+
+/**
+ * Output schema of a provider action, as declared in the connector registry
+ */
+export function getOutputSchema(provider, action) {
+  const definition = getAction(provider, action);
+  return (definition && definition.output_schema) || null;
+}
+
+// ============================================================================
+// CAPTURE
+// ============================================================================
+
+/**
+ * Fixture set name for fixtures captured from a run
+ */
+export function fixtureSetForRun(runId) {
+  return `run:${runId}`;
+}
+
+/**
+ * Composer inputs arrive as strings; accept JSON text or structured lists
+ */
+function parseList(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Provider calls a step made, each with the output it returned in the run
+ * Parallel branches and for_each sub-steps get the step_name the runner
+ * simulates them under (<step>.<branch>, <step>.<sub-step>); a sub-step keeps
+ * the output of the first item it succeeded for
+ * @returns {Array<{step_name, provider, action, response}>}
+ */
+function recordedCalls(step, output) {
+  if (output === undefined) {
+    return [];
+  }
+  if (step.tool !== 'logic') {
+    return [{ step_name: step.step_name, provider: step.tool, action: step.action, response: output }];
+  }
+
+  const inputs = step.mapping_json || {};
+  if (step.action === 'parallel') {
+    const results = (output && output.results) || {};
+    return parseList(inputs.branches).flatMap(branch =>
+      recordedCalls({ ...branch, step_name: `${step.step_name}.${branch.name}` }, results[branch.name])
+    );
+  }
+  if (step.action === 'for_each') {
+    const items = (output && output.items) || [];
+    return parseList(inputs.steps).flatMap((subStep) => {
+      const item = items.find(i => i.results && i.results[subStep.name] !== undefined);
+      return item
+        ? recordedCalls({ ...subStep, step_name: `${step.step_name}.${subStep.name}` }, item.results[subStep.name])
+        : [];
+    });
+  }
+
+  // Other logic steps are evaluated, not simulated
+  return [];
+}
+
+/**
+ * Record a completed production run's provider responses as fixtures
+ * Re-capturing replaces the set.
+ * @returns {Promise<{fixtureSet: string, count: number}>}
+ */
+export async function captureFixtures(runId, tenantId) {
+  const run = await Run.get(runId);
+  if (!run || run.tenant_id !== tenantId) {
+    throw new Error('Run not found or unauthorized');
+  }
+  if (run.is_simulation) {
+    throw new Error('Fixtures can only be captured from runs that called real providers');
+  }
+  if (run.status !== 'completed') {
+    throw new Error(`Only completed runs can be captured (status: ${run.status})`);
+  }
+
+  const fixtureSet = fixtureSetForRun(runId);
+  for (const fixture of await SimulationFixture.filter({ tenant_id: tenantId, fixture_set: fixtureSet })) {
+    await SimulationFixture.delete(fixture.id);
+  }
+
+  const context = run.context || {};
+  const records = (await loadRunSteps(run))
+    .flatMap(step => recordedCalls(step, context[step.step_name]))
+    .map(call => ({
+      tenant_id: tenantId,
+      workflow_id: run.workflow_id,
+      fixture_set: fixtureSet,
+      ...call,
+      source: 'recorded',
+      source_run_id: runId,
+      recorded_at: new Date().toISOString()
+    }));
+
+  if (records.length > 0) {
+    await SimulationFixture.bulkCreate(records);
+  }
+
+  return { fixtureSet, count: records.length };
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Response a simulated step returns
+ * @returns {Promise<{result: any, source: 'fixture'|'shared_fixture'|'synthetic'|'echo', fixtureId?: string}>}
+ */
+export async function simulateStep(run, step, params) {
+  if (run.fixture_set) {
+    const [own] = await SimulationFixture.filter({
+      tenant_id: run.tenant_id,
+      fixture_set: run.fixture_set,
+      workflow_id: run.workflow_id,
+      step_name: step.step_name
+    });
+    if (own) {
+      return { result: own.response, source: 'fixture', fixtureId: own.id };
+    }
+
+    const [shared] = await SimulationFixture.filter({
+      tenant_id: run.tenant_id,
+      fixture_set: run.fixture_set,
+      provider: step.tool,
+      action: step.action
+    });
+    if (shared) {
+      return { result: shared.response, source: 'shared_fixture', fixtureId: shared.id };
+    }
+  }
+
+  const schema = getOutputSchema(step.tool, step.action);
+  if (schema) {
+    return { result: synthesizeFromSchema(schema, step.step_name), source: 'synthetic' };
+  }
+
+  return { result: { simulated: true, action: step.action, params }, source: 'echo' };
+}
+
+export default {
+  synthesizeFromSchema,
+  getOutputSchema,
+  fixtureSetForRun,
+  captureFixtures,
+  simulateStep
+};
@@ -0,0 +1,266 @@
+/**
+ * StepAddressing: How step outputs are stored in and referenced from run.context
+ *
+ * Every step's output is reachable two ways:
+ * - positionally: {{step_0.order.id}} (0-based position in the workflow)
+ * - by name:      {{fetch_order_details.order.id}} (the step's step_name)
+ * plus {{trigger.*}} for the trigger payload.
+ */
+
+import { parseExpression } from './ExpressionEngine';
+
+const EXPRESSION_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const POSITIONAL_PATTERN = /^step_(\d+)$/;
+
+// Context keys a step_name may not shadow
+const RESERVED_NAMES = ['trigger', 'item', 'index', 'result'];
+
+// ============================================================================
+// NAMING AND STORAGE
+// ============================================================================
+
+/**
+ * Slug a display name into a step_name usable in {{ }} references
+ * "Suspend Accounts (Final Stage)" → "suspend_accounts_final_stage"
+ */
+export function toStepName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Unique step_names for a list of display names ("send_email", "send_email_2")
+ */
+export function assignStepNames(names) {
+  const seen = {};
+
+  return names.map((name) => {
+    const base = toStepName(name);
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] === 1 ? base : `${base}_${seen[base]}`;
+  });
+}
+
+/**
+ * Positional key for a step: step_N where N is its index in step_order
+ */
+export function positionalKey(steps, step) {
+  const index = steps.findIndex(s => s === step || (s.id && s.id === step.id));
+  return `step_${index === -1 ? step.step_order : index}`;
+}
+
+/**
+ * Context with a step's output stored under both its name and position
+ */
+export function withStepOutput(context, steps, step, output) {
+  return {
+    ...context,
+    [step.step_name]: output,
+    [positionalKey(steps, step)]: output
+  };
+}
+
+// ============================================================================
+// REFERENCE VALIDATION
+// ============================================================================
+
+/**
+ * Find every {{ }} reference that cannot resolve when the workflow runs
+ *
+ * A step may reference the trigger, any earlier step (step_N or by name),
+ * and inside for_each sub-steps also {{item}}, {{index}} and earlier
+ * sub-steps. Compensation mappings may also use {{result}}, and a
+ * wait_for_event match expression {{event}} / {{event_type}}.
+ *
+ * @param {object} workflowJson - { steps: [{ name, inputs, ... }] } (marketplace manifest shape)
+ * @returns {Array<{step_index, step_name, input, reference, reason}>} - Problems, empty if valid
+ */
+export function validateStepReferences(workflowJson) {
+  const steps = (workflowJson && workflowJson.steps) || [];
+  const issues = [];
+  const earlierNames = [];
+
+  steps.forEach((step, index) => {
+    const stepName = toStepName(step.name);
+
+    if (RESERVED_NAMES.includes(stepName) || POSITIONAL_PATTERN.test(stepName)) {
+      issues.push({
+        step_index: index,
+        step_name: stepName,
+        input: null,
+        reference: stepName,
+        reason: `step name "${stepName}" is reserved`
+      });
+    }
+
+    if (earlierNames.includes(stepName)) {
+      issues.push({
+        step_index: index,
+        step_name: stepName,
+        input: null,
+        reference: stepName,
+        reason: `duplicate step name "${stepName}"`
+      });
+    }
+
+    const scope = { index, names: [...earlierNames], extra: [] };
+    const inputs = step.inputs || step.mapping_json || {};
+    const report = (input, reference, reason) => issues.push({
+      step_index: index,
+      step_name: stepName,
+      input,
+      reference,
+      reason
+    });
+
+    validateInputs(inputs, scope, report, step.action);
+
+    if (step.compensation && step.compensation.mapping_json) {
+      checkValue(step.compensation.mapping_json, { ...scope, extra: ['result'] }, report, 'compensation');
+    }
+
+    earlierNames.push(stepName);
+  });
+
+  return issues;
+}
+
+/**
+ * One-line description of a reference problem for error messages
+ */
+export function describeReferenceIssue(issue) {
+  const where = issue.input ? `${issue.step_name}.${issue.input}` : issue.step_name;
+  return `step_${issue.step_index} ${where}: ${issue.reference} — ${issue.reason}`;
+}
+
+/**
+ * Throw if a workflow has unresolved references (used before saving WorkflowSteps)
+ */
+export function assertStepReferences(workflowJson) {
+  const issues = validateStepReferences(workflowJson);
+
+  if (issues.length > 0) {
+    throw new Error(
+      `Unresolved step references:\n${issues.map(describeReferenceIssue).join('\n')}`
+    );
+  }
+}
+
+function validateInputs(inputs, scope, report, action) {
+  for (const [key, value] of Object.entries(inputs)) {
+    // for_each sub-steps get item scope; parallel branches share the group's scope
+    if (action === 'for_each' && key === 'steps' && Array.isArray(value)) {
+      const subNames = [];
+      value.forEach((subStep) => {
+        checkValue(subStep.mapping_json || subStep.inputs || {}, {
+          ...scope,
+          extra: ['item', 'index', ...subNames]
+        }, report, `steps.${subStep.name}`);
+        subNames.push(subStep.name);
+      });
+      continue;
+    }
+
+    if (action === 'wait_for_event' && key === 'match') {
+      checkValue(value, { ...scope, extra: [...scope.extra, 'event', 'event_type'] }, report, key);
+      continue;
+    }
+
+    if (action === 'parallel' && key === 'branches' && Array.isArray(value)) {
+      value.forEach((branch) => {
+        checkValue(branch.mapping_json || branch.inputs || {}, scope, report, `branches.${branch.name}`);
+      });
+      continue;
+    }
+
+    checkValue(value, scope, report, key);
+  }
+}
+
+function checkValue(value, scope, report, input) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(EXPRESSION_PATTERN)) {
+      checkExpression(match[1], scope, report, input);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => checkValue(item, scope, report, `${input}[${i}]`));
+  } else if (value && typeof value === 'object') {
+    for (const [key, nested] of Object.entries(value)) {
+      checkValue(nested, scope, report, `${input}.${key}`);
+    }
+  }
+}
+
+function checkExpression(source, scope, report, input) {
+  let ast;
+  try {
+    ast = parseExpression(source);
+  } catch (error) {
+    report(input, `{{${source}}}`, error.message);
+    return;
+  }
+
+  for (const root of collectRoots(ast)) {
+    const reason = unresolvedReason(root, scope);
+    if (reason) {
+      report(input, `{{${source}}}`, reason);
+    }
+  }
+}
+
+function unresolvedReason(root, scope) {
+  if (root === 'trigger' || scope.extra.includes(root)) {
+    return null;
+  }
+
+  const positional = root.match(POSITIONAL_PATTERN);
+  if (positional) {
+    const target = Number(positional[1]);
+    if (target >= scope.index) {
+      return `${root} is not an earlier step (this is step_${scope.index})`;
+    }
+    return null;
+  }
+
+  if (scope.names.includes(root)) {
+    return null;
+  }
+
+  return `"${root}" is not the trigger or an earlier step`;
+}
+
+/**
+ * Root identifiers referenced by an expression AST
+ */
+function collectRoots(node, roots = new Set()) {
+  if (!node || typeof node !== 'object') {
+    return roots;
+  }
+
+  if (node.type === 'identifier') {
+    roots.add(node.name);
+    return roots;
+  }
+
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(child => collectRoots(child, roots));
+    } else if (value && typeof value === 'object') {
+      collectRoots(value, roots);
+    }
+  }
+
+  return roots;
+}
+
+export default {
+  toStepName,
+  assignStepNames,
+  positionalKey,
+  withStepOutput,
+  validateStepReferences,
+  describeReferenceIssue,
+  assertStepReferences
+};
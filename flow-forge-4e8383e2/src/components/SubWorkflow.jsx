@@ -0,0 +1,99 @@
+/**
+ * SubWorkflow: Call graph helpers for logic.sub_workflow steps
+ * Save-time cycle detection, plus the depth limit the runner enforces
+ */
+
+import { Workflow } from '@/api/entities';
+import { resolveRunVersion } from './WorkflowVersioning';
+
+// Nested invocations deeper than this fail at run time (guards cycles created outside the composer)
+export const MAX_CALL_DEPTH = 5;
+
+/**
+ * Whether a step invokes another workflow
+ */
+export function isSubWorkflowStep(step) {
+  return (step.tool || step.provider) === 'logic' && step.action === 'sub_workflow';
+}
+
+/**
+ * Whether a run is a sub-workflow run its parent waits on
+ * Such a run is retried through its parent, never resumed on its own
+ */
+export function isAwaitedChildRun(run) {
+  return Boolean(run.parent_run_id) && run.parent_mode !== 'async';
+}
+
+/**
+ * Workflow ids a list of steps invokes
+ */
+export function getCalledWorkflowIds(steps) {
+  return steps
+    .filter(isSubWorkflowStep)
+    .map(step => (step.mapping_json || step.inputs || step.config || {}).workflow_id)
+    .filter(Boolean);
+}
+
+/**
+ * Find a call cycle reachable from a workflow about to be saved
+ * @param {string|null} workflowId - Id of the workflow being saved (null if new)
+ * @param {Array} steps - Its steps (WorkflowStep or manifest shape)
+ * @param {Function} loadSteps - async (workflowId) => steps, defaults to the
+ *   published snapshot a run of that workflow would pin
+ * @returns {Promise<string[]|null>} - Workflow ids forming the cycle, or null
+ */
+export async function findCallCycle(workflowId, steps, loadSteps = defaultLoadSteps) {
+  const root = workflowId || '__new__';
+  const cache = new Map([[root, getCalledWorkflowIds(steps)]]);
+  const visiting = [];
+  const done = new Set();
+
+  const visit = async (id) => {
+    if (visiting.includes(id)) {
+      return [...visiting.slice(visiting.indexOf(id)), id];
+    }
+    if (done.has(id)) {
+      return null;
+    }
+
+    if (!cache.has(id)) {
+      cache.set(id, getCalledWorkflowIds(await loadSteps(id)));
+    }
+
+    visiting.push(id);
+    for (const calledId of cache.get(id)) {
+      const cycle = await visit(calledId === workflowId ? root : calledId);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    visiting.pop();
+    done.add(id);
+
+    return null;
+  };
+
+  return await visit(root);
+}
+
+/**
+ * Steps a call to a workflow runs: its published snapshot, not its draft
+ * A workflow that is missing or was never published cannot be called, so it calls nothing
+ */
+async function defaultLoadSteps(workflowId) {
+  const workflow = await Workflow.get(workflowId);
+  if (!workflow || (!workflow.published_version_id && String(workflow.version) === '0')) {
+    return [];
+  }
+
+  const version = await resolveRunVersion(workflow);
+  return version.steps_json || [];
+}
+
+export default {
+  MAX_CALL_DEPTH,
+  isSubWorkflowStep,
+  isAwaitedChildRun,
+  getCalledWorkflowIds,
+  findCallCycle
+};
@@ -0,0 +1,56 @@
+/**
+ * TriggerFilter: Decide whether a trigger event should start a run
+ *
+ * trigger_config.filter is a condition (see ConditionEvaluator) over the
+ * event payload, evaluated before any Run is created. Payload fields are
+ * available bare and under {{trigger}}:
+ *   total_price > 500 and currency == "EUR"
+ *   tags contains "wholesale"
+ *   { "left": "{{trigger.total_price}}", "operator": "gt", "right": 500 }
+ * A filter that fails to evaluate does not start a run.
+ */
+
+import { evaluateCondition } from './ConditionEvaluator';
+
+/**
+ * Whether a trigger config carries a filter
+ */
+export function hasTriggerFilter(config) {
+  const filter = config && config.filter;
+  return filter !== undefined && filter !== null && filter !== '';
+}
+
+/**
+ * Evaluate a trigger's filter against an event payload
+ * @param {object} config - trigger_config ({ filter, ... })
+ * @param {object} payload - Event payload (becomes {{trigger}} in the run)
+ * @returns {{passed: boolean, reason: string|null}}
+ */
+export function evaluateTriggerFilter(config, payload) {
+  if (!hasTriggerFilter(config)) {
+    return { passed: true, reason: null };
+  }
+
+  const filter = config.filter;
+  const context = {
+    ...(payload && typeof payload === 'object' ? payload : {}),
+    trigger: payload
+  };
+
+  try {
+    return evaluateCondition(filter, context)
+      ? { passed: true, reason: null }
+      : { passed: false, reason: `filter did not match: ${describeFilter(filter)}` };
+  } catch (error) {
+    return { passed: false, reason: `filter could not be evaluated: ${error.message}` };
+  }
+}
+
+function describeFilter(filter) {
+  return typeof filter === 'string' ? filter : JSON.stringify(filter);
+}
+
+export default {
+  hasTriggerFilter,
+  evaluateTriggerFilter
+};
@@ -0,0 +1,364 @@
+/**
+ * WebhookReceiver: Verify, store and dispatch provider webhooks
+ *
+ * receiveWebhook() is the ingestion path behind apiReceiveWebhook:
+ * 1. verify the provider signature against the raw body
+ *    - Shopify: X-Shopify-Hmac-Sha256 = base64(HMAC-SHA256(body, webhook_secret | api_secret))
+ *    - Stripe:  Stripe-Signature t=...,v1=... = hex(HMAC-SHA256(`${t}.${body}`, webhook_secret)), 5 min tolerance
+ *    - Xero:    X-Xero-Signature = base64(HMAC-SHA256(body, webhook_key))
+ * 2. store each event in WebhookEvent, skipping provider event ids already seen
+ * 3. start every enabled webhook workflow whose trigger_config.event matches
+ *    and whose trigger_config.filter passes (see TriggerFilter), and wake runs
+ *    parked on wait_for_event steps; workflows filtered out are recorded on
+ *    the WebhookEvent with the reason
+ */
+
+import { Workflow, WebhookEvent, Connection, Credential } from '@/api/entities';
+import { computeHMAC } from './EncryptionHelper';
+import { runWorkflow } from './WorkflowRunner';
+import { deliverEvent } from './EventWaiter';
+import { evaluateTriggerFilter } from './TriggerFilter';
+import { deadLetterWebhookEvent } from './DeadLetterQueue';
+import { loadCredential } from './OAuthFlow';
+
+export const SUPPORTED_PROVIDERS = ['shopify', 'stripe', 'xero'];
+
+// Stripe rejects signatures older than this to limit replay
+const STRIPE_TOLERANCE_SECONDS = 300;
+
+const SHOPIFY_VERBS = { create: 'created', update: 'updated', delete: 'deleted' };
+
+// ============================================================================
+// SIGNATURES
+// ============================================================================
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(h => h.toLowerCase() === name.toLowerCase());
+  return key ? String(headers[key]) : null;
+}
+
+function hexToBase64(hex) {
+  const bytes = hex.match(/.{2}/g).map(byte => parseInt(byte, 16));
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Compare two strings without short-circuiting on the first difference
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Verify a webhook signature
+ * @returns {Promise<{valid: boolean, reason?: string}>}
+ */
+export async function verifySignature(provider, { headers, rawBody, secret, now = Date.now() }) {
+  if (!secret) {
+    return { valid: false, reason: `no webhook secret configured for ${provider}` };
+  }
+
+  if (provider === 'shopify' || provider === 'xero') {
+    const header = provider === 'shopify' ? 'X-Shopify-Hmac-Sha256' : 'X-Xero-Signature';
+    const received = getHeader(headers, header);
+    if (!received) {
+      return { valid: false, reason: `missing ${header} header` };
+    }
+
+    const expected = hexToBase64(await computeHMAC(rawBody, secret));
+    return safeEqual(expected, received) ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+  }
+
+  if (provider === 'stripe') {
+    const header = getHeader(headers, 'Stripe-Signature');
+    if (!header) {
+      return { valid: false, reason: 'missing Stripe-Signature header' };
+    }
+
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) {
+      return { valid: false, reason: 'malformed Stripe-Signature header' };
+    }
+
+    if (Math.abs(now / 1000 - Number(timestamp)) > STRIPE_TOLERANCE_SECONDS) {
+      return { valid: false, reason: 'timestamp outside tolerance' };
+    }
+
+    const expected = await computeHMAC(`${timestamp}.${rawBody}`, secret);
+    return signatures.some(signature => safeEqual(expected, signature))
+      ? { valid: true }
+      : { valid: false, reason: 'signature mismatch' };
+  }
+
+  return { valid: false, reason: `unsupported provider: ${provider}` };
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Split a verified payload into normalized events
+ * event_type follows the trigger vocabulary (order.created, charge.dispute.created, invoice.updated)
+ * @returns {Array<{provider_event_id, event_type, payload}>}
+ */
+export function normalizeEvents(provider, headers, payload) {
+  if (provider === 'shopify') {
+    const topic = getHeader(headers, 'X-Shopify-Topic') || '';
+    const [resource = '', verb = ''] = topic.split('/');
+    return [{
+      provider_event_id: getHeader(headers, 'X-Shopify-Webhook-Id') || getHeader(headers, 'X-Shopify-Event-Id'),
+      event_type: `${resource.replace(/s$/, '')}.${SHOPIFY_VERBS[verb] || verb}`,
+      payload
+    }];
+  }
+
+  if (provider === 'stripe') {
+    return [{
+      provider_event_id: payload.id,
+      event_type: payload.type,
+      payload
+    }];
+  }
+
+  if (provider === 'xero') {
+    // Xero batches events and has no event id; resource + time + type identifies one
+    return (payload.events || []).map(event => ({
+      provider_event_id: `${event.resourceId}:${event.eventDateUtc}:${event.eventType}`,
+      event_type: `${String(event.eventCategory).toLowerCase()}.${event.eventType === 'CREATE' ? 'created' : 'updated'}`,
+      payload: event
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Whether a webhook trigger_config accepts an event
+ * config.event may list alternatives ('invoice.updated|order.updated') and end in '*';
+ * config.source restricts the provider
+ */
+export function matchesTrigger(config, provider, eventType) {
+  if (!config || !config.event) {
+    return false;
+  }
+
+  if (config.source && config.source !== provider) {
+    return false;
+  }
+
+  return String(config.event).split('|').some((pattern) => {
+    const trimmed = pattern.trim();
+    return trimmed.endsWith('*')
+      ? eventType.startsWith(trimmed.slice(0, -1))
+      : trimmed === eventType;
+  });
+}
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+/**
+ * Webhook secret for a provider from the tenant's active connection
+ */
+async function loadWebhookSecret(provider, tenantId) {
+  const connections = await Connection.filter({ tenant_id: tenantId, provider, status: 'active' });
+  if (connections.length === 0) {
+    return null;
+  }
+
+  const credentials = await Credential.filter({ connection_id: connections[0].id });
+  if (credentials.length === 0) {
+    return null;
+  }
+
+  // Vault-encrypted (OAuth, HTTP) and legacy base64 credentials alike
+  const { credential } = await loadCredential(connections[0]);
+  if (provider === 'shopify') {
+    return credential.webhook_secret || credential.api_secret;
+  }
+  if (provider === 'xero') {
+    return credential.webhook_key;
+  }
+  return credential.webhook_secret;
+}
+
+/**
+ * Start matching workflows and wake waiting runs for one stored event
+ * A re-drive passes redriveKey so its runs do not collide with the original delivery's idempotency keys
+ * Each started workflow is recorded on the event as it starts, and a re-drive
+ * skips the workflows an earlier, partly failed dispatch already started
+ */
+async function dispatchEvent(event, { redriveKey = null } = {}) {
+  const workflows = await Workflow.filter({
+    tenant_id: event.tenant_id,
+    trigger_type: 'webhook',
+    enabled: true
+  });
+
+  const runIds = [...(event.dispatched_run_ids || [])];
+  const dispatchedWorkflowIds = [...(event.dispatched_workflow_ids || [])];
+  const filtered = [];
+  for (const workflow of workflows) {
+    if (dispatchedWorkflowIds.includes(workflow.id)) {
+      continue;
+    }
+    if (!matchesTrigger(workflow.trigger_config, event.provider, event.event_type)) {
+      continue;
+    }
+
+    const filter = evaluateTriggerFilter(workflow.trigger_config, event.payload);
+    if (!filter.passed) {
+      filtered.push({ workflow_id: workflow.id, workflow_name: workflow.display_name, reason: filter.reason });
+      continue;
+    }
+
+    const result = await runWorkflow({
+      tenantId: event.tenant_id,
+      workflowId: workflow.id,
+      triggerType: 'webhook',
+      triggerPayload: event.payload,
+      idempotencyKey: `webhook:${event.provider}:${event.provider_event_id}:${workflow.id}${redriveKey ? `:${redriveKey}` : ''}`,
+      userId: 'webhook'
+    });
+    runIds.push(result.runId);
+    dispatchedWorkflowIds.push(workflow.id);
+    await WebhookEvent.update(event.id, { dispatched_run_ids: runIds, dispatched_workflow_ids: dispatchedWorkflowIds });
+  }
+
+  const resumedRunIds = await deliverEvent(event);
+
+  let status = 'unmatched';
+  if (runIds.length > 0 || resumedRunIds.length > 0) {
+    status = 'dispatched';
+  } else if (filtered.length > 0) {
+    status = 'filtered';
+  }
+
+  await WebhookEvent.update(event.id, {
+    status,
+    dispatched_run_ids: runIds,
+    dispatched_workflow_ids: dispatchedWorkflowIds,
+    resumed_run_ids: resumedRunIds,
+    filtered_workflows: filtered,
+    reason: status === 'filtered' ? filtered.map(f => `${f.workflow_name}: ${f.reason}`).join('; ') : null,
+    processed_at: new Date().toISOString()
+  });
+
+  return { status, runIds, resumedRunIds, filtered };
+}
+
+/**
+ * Receive one webhook delivery
+ * @param {object} request - { provider, tenantId, headers, rawBody }
+ * @returns {Promise<{statusCode, body}>} - 401 on a bad signature, 200 otherwise
+ */
+export async function receiveWebhook({ provider, tenantId, headers, rawBody }) {
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    return { statusCode: 404, body: { error: `Unsupported provider: ${provider}` } };
+  }
+
+  const secret = await loadWebhookSecret(provider, tenantId);
+  const verification = await verifySignature(provider, { headers, rawBody, secret });
+
+  if (!verification.valid) {
+    // Unverified bodies are not stored; the attempt is, for debugging
+    await WebhookEvent.create({
+      tenant_id: tenantId,
+      provider,
+      status: 'rejected',
+      reason: verification.reason,
+      received_at: new Date().toISOString()
+    });
+    return { statusCode: 401, body: { error: 'Invalid signature' } };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return { statusCode: 400, body: { error: 'Body is not valid JSON' } };
+  }
+
+  const results = [];
+  for (const normalized of normalizeEvents(provider, headers, payload)) {
+    if (normalized.provider_event_id) {
+      const seen = await WebhookEvent.filter({
+        tenant_id: tenantId,
+        provider,
+        provider_event_id: normalized.provider_event_id
+      });
+      if (seen.length > 0) {
+        results.push({ event_id: seen[0].id, event_type: normalized.event_type, status: 'duplicate' });
+        continue;
+      }
+    }
+
+    const event = await WebhookEvent.create({
+      tenant_id: tenantId,
+      provider,
+      provider_event_id: normalized.provider_event_id,
+      event_type: normalized.event_type,
+      payload: normalized.payload,
+      raw_body: rawBody,
+      signature_verified: true,
+      status: 'received',
+      received_at: new Date().toISOString()
+    });
+
+    try {
+      const { status, runIds, resumedRunIds, filtered } = await dispatchEvent(event);
+      results.push({
+        event_id: event.id,
+        event_type: event.event_type,
+        status,
+        runs: runIds,
+        resumed: resumedRunIds,
+        filtered: filtered.length
+      });
+    } catch (error) {
+      // Stored but not dispatched; acknowledge anyway so the provider does not redeliver a duplicate
+      await WebhookEvent.update(event.id, { status: 'failed', reason: error.message });
+      await deadLetterWebhookEvent(event, error);
+      results.push({ event_id: event.id, event_type: event.event_type, status: 'failed', error: error.message });
+    }
+  }
+
+  return { statusCode: 200, body: { received: results.length, events: results } };
+}
+
+/**
+ * Dispatch a stored event again, optionally with a corrected payload
+ * The stored event keeps its original payload; the patched one is recorded as redriven_payload
+ * @returns {Promise<{status, runIds, resumedRunIds, filtered}>}
+ */
+export async function redispatchEvent(eventId, { payload = null, redriveKey }) {
+  const event = await WebhookEvent.get(eventId);
+  if (!event) {
+    throw new Error(`Webhook event not found: ${eventId}`);
+  }
+
+  const result = await dispatchEvent(payload ? { ...event, payload } : event, { redriveKey });
+  await WebhookEvent.update(event.id, { redriven_payload: payload, redriven_at: new Date().toISOString() });
+  return result;
+}
+
+export default {
+  SUPPORTED_PROVIDERS,
+  verifySignature,
+  normalizeEvents,
+  matchesTrigger,
+  receiveWebhook,
+  redispatchEvent
+};
@@ -1,21 +1,67 @@
 
 import React from 'react';
-import { Workflow, WorkflowStep, Run, RunLog, Approval, Credential, Connection } from '@/api/entities';
+import { Workflow, Run, RunLog, Approval, Connection } from '@/api/entities';
 import { safeExec } from './SafeExec';
+import { resolveMapping, resolveValue } from './MappingResolver';
+import { evaluateCondition } from './ConditionEvaluator';
+import { runParallelBranches } from './ParallelGroup';
+import { runForEach } from './ForEachIterator';
+import { buildCompensationEntry } from './Compensation';
+import { CircuitBreaker, retryable } from './RuntimeSafety';
+import { resolveRetryPolicy, isRetryableUnder, planRetry } from './RetryPolicy';
+import { withStepOutput } from './StepAddressing';
+import { computeWakeAt, isDue, parseDuration } from './DurableTimer';
+import { AWAITING_EVENT } from './EventWaiter';
+import { MAX_CALL_DEPTH, isSubWorkflowStep, isAwaitedChildRun } from './SubWorkflow';
+import { resolveRunVersion, loadRunSteps } from './WorkflowVersioning';
+import { simulateStep } from './SimulationFixtures';
+import { checkGuardrails } from './GuardrailChecker';
+import { QUEUED, collectConnectionIds, needsAdmission, admitRun, describeQueueBlock } from './RunQueue';
+import { deadLetterRun, resolveOpenDeadLetter } from './DeadLetterQueue';
+import { complianceLogger } from './ComplianceLogger';
+import { getAction, assertActionInput, mapProviderError } from './ConnectorRegistry';
+import { isHttpStep, executeHttpRequest } from './HttpAction';
+import { getFreshCredential, withTokenRefresh } from './OAuthFlow';
+import { throttleCall } from './ProviderThrottle';
+import { collectPages, streamPages, resolveMaxItems, getPath } from './Pagination';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
  * WorkflowRunner: Orchestrates workflow execution
- * Handles: step sequencing, approvals, context passing, rollback
+ * Handles: step sequencing, branching, parallel groups, for-each, delays, event waits, sub-workflows, approvals, context passing, rollback
+ */
+
+// Branch target that completes the run instead of jumping to a step
+const END_OF_WORKFLOW = '__end__';
+
+// One circuit breaker per connection, shared by every run in this tab
+const circuitBreakers = new Map();
+
+// Runs in these states can no longer be cancelled
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Enqueue a run of a workflow
+ * Sub-workflow invocations pass `parent` ({ run, step, mode }); the child then
+ * shares the parent's correlation_id and records parent_run_id
+ * `simulate` overrides the workflow's simulation_mode; `fixtureSet` names the
+ * SimulationFixture set a simulated run replays (children inherit both)
+ * `priority` orders the run in the concurrency queue (default: workflow.queue_priority)
  */
 export const runWorkflow = async ({
   tenantId,
   workflowId,
   triggerPayload,
   idempotencyKey,
-  userId
+  userId,
+  triggerType = 'manual',
+  parent = null,
+  version = null,
+  simulate = null,
+  fixtureSet = null,
+  priority = null
 }) => {
-  const correlationId = uuidv4();
+  const correlationId = parent ? parent.run.correlation_id : uuidv4();
   
   try {
     // Check idempotency
@@ -34,23 +80,41 @@ export const runWorkflow = async ({
       throw new Error('Workflow not found or unauthorized');
     }
 
+    // Pin the published (or requested) version so later edits never reach this run
+    const pinned = await resolveRunVersion(workflow, version);
+
+    const isSimulation = parent
+      ? parent.run.is_simulation
+      : (simulate !== null ? simulate : Boolean(workflow.simulation_mode));
+
     // Create run record
     const run = await Run.create({
       tenant_id: tenantId,
       workflow_id: workflowId,
+      workflow_version: pinned.version,
+      workflow_version_id: pinned.id,
       idempotency_key: idempotencyKey,
-      trigger_type: 'manual',
+      trigger_type: parent ? 'sub_workflow' : triggerType,
       trigger_payload: triggerPayload,
       status: 'pending',
       current_step_order: 0,
       started_at: new Date().toISOString(),
+      queued_at: new Date().toISOString(),
+      priority: Number(priority !== null ? priority : workflow.queue_priority) || 0,
+      connection_ids: collectConnectionIds(pinned.steps_json || []),
       correlation_id: correlationId,
-      is_simulation: workflow.simulation_mode,
+      is_simulation: isSimulation,
+      fixture_set: isSimulation ? (fixtureSet || (parent && parent.run.fixture_set) || workflow.fixture_set || null) : null,
       context: { trigger: triggerPayload },
-      actions_count: 0
+      actions_count: 0,
+      attempt: 1,
+      parent_run_id: parent ? parent.run.id : null,
+      parent_step_order: parent ? parent.step.step_order : null,
+      parent_mode: parent ? parent.mode : null,
+      call_depth: parent ? (parent.run.call_depth || 0) + 1 : 0
     });
 
-    await logRun(run.id, tenantId, 'INFO', `Workflow started: ${workflow.display_name}`, { correlationId });
+    await logRun(run.id, tenantId, 'INFO', `Workflow started: ${workflow.display_name} v${pinned.version}`, { correlationId });
 
     return { runId: run.id, status: 'pending', correlationId };
     
@@ -60,31 +124,300 @@ export const runWorkflow = async ({
   }
 };
 
+/**
+ * Load a failed run and the step it failed on
+ */
+async function loadFailedStep(runId, tenantId) {
+  const run = await Run.get(runId);
+  if (!run || run.tenant_id !== tenantId) {
+    throw new Error('Run not found or unauthorized');
+  }
+
+  if (run.status !== 'failed') {
+    throw new Error(`Only failed runs can be resumed (status: ${run.status})`);
+  }
+
+  const steps = await loadRunSteps(run);
+  const step = steps.find(s => s.step_order === run.current_step_order);
+  if (!step) {
+    throw new Error(`Failing step ${run.current_step_order} no longer exists in the workflow`);
+  }
+
+  return { run, step };
+}
+
+/**
+ * Params the failing step will execute with, for review before resuming
+ */
+export const getFailedStepParams = async (runId, tenantId) => {
+  const { run, step } = await loadFailedStep(runId, tenantId);
+  const override = run.param_overrides && run.param_overrides[step.step_order];
+
+  return {
+    step: {
+      step_order: step.step_order,
+      step_name: step.step_name,
+      tool: step.tool,
+      action: step.action
+    },
+    params: override || resolveMapping(step.mapping_json, run.context),
+    edited: Boolean(override)
+  };
+};
+
+/**
+ * Resume a failed run from its failing step using the persisted context
+ * Earlier steps are not re-executed. paramOverrides, if given, replace the
+ * failing step's resolved params for the next attempt.
+ */
+export const resumeRun = async ({ runId, tenantId, userId, paramOverrides }) => {
+  const { run, step } = await loadFailedStep(runId, tenantId);
+
+  // A rolled-back run has nothing to resume onto
+  if (run.compensation_status || run.abandoned_at) {
+    throw new Error('Run was abandoned and rolled back by compensation; start a new run instead');
+  }
+
+  const attempt = (run.attempt || 1) + 1;
+
+  await Run.update(runId, {
+    status: 'pending',
+    attempt,
+    error_message: null,
+    finished_at: null,
+    duration_ms: null,
+    retry_state: null,
+    next_attempt_at: null,
+    param_overrides: paramOverrides
+      ? { ...(run.param_overrides || {}), [step.step_order]: paramOverrides }
+      : run.param_overrides
+  });
+
+  await logRun(runId, tenantId, 'INFO', `Run resumed from step ${step.step_order + 1}: ${step.step_name} (attempt ${attempt})`, {
+    attempt,
+    resumed_by: userId,
+    step_order: step.step_order,
+    previous_error: run.error_message,
+    params_edited: Boolean(paramOverrides)
+  });
+
+  await resolveOpenDeadLetter(tenantId, 'run', runId, {
+    userId,
+    note: `Resumed from ${step.step_name} (attempt ${attempt})`
+  });
+
+  return { runId, status: 'pending', attempt, resumedFrom: step.step_name };
+};
+
+/**
+ * Give up on a failed run: roll back the steps it completed
+ * Failed runs keep their compensation stack so they can be resumed; an
+ * abandoned run is compensated, its dead letter discarded, and it can no
+ * longer be resumed.
+ * @param {object} options - { runId, tenantId, userId, reason }
+ * @returns {Promise<{runId, status: 'abandoned', compensation}>}
+ */
+export const abandonRun = async ({ runId, tenantId, userId, reason = '' }) => {
+  const run = await Run.get(runId);
+  if (!run || run.tenant_id !== tenantId) {
+    throw new Error('Run not found or unauthorized');
+  }
+  if (run.status !== 'failed') {
+    throw new Error(`Only failed runs can be abandoned (run is ${run.status})`);
+  }
+  if (run.abandoned_at || run.compensation_status) {
+    throw new Error('Run was already abandoned');
+  }
+
+  await Run.update(runId, {
+    abandoned_at: new Date().toISOString(),
+    abandoned_by: userId,
+    abandon_reason: reason || null
+  });
+  await logRun(runId, tenantId, 'WARN', `Run abandoned by ${userId}${reason ? `: ${reason}` : ''}`, {
+    abandoned_by: userId,
+    reason
+  });
+
+  const compensation = await compensateRun(run, tenantId);
+
+  await resolveOpenDeadLetter(tenantId, 'run', runId, {
+    status: 'discarded',
+    userId,
+    note: `Abandoned${reason ? `: ${reason}` : ''}`
+  });
+
+  return { runId, status: 'abandoned', compensation };
+};
+
+/**
+ * Cancel a run that has not finished
+ * Stops it before its next step (steps already calling a provider finish, but
+ * their results are dropped), expires its pending approvals, cancels its
+ * sub-workflow runs and optionally compensates the steps it completed.
+ * With compensate, a step still in flight is compensated once its result arrives.
+ * @param {object} options - { runId, tenantId, userId, reason, compensate }
+ * @returns {Promise<{runId, status: 'cancelled', approvalsExpired, childrenCancelled, compensation}>}
+ */
+export const cancelRun = async ({ runId, tenantId, userId, reason = '', compensate = false }) => {
+  const run = await Run.get(runId);
+  if (!run || run.tenant_id !== tenantId) {
+    throw new Error('Run not found or unauthorized');
+  }
+
+  if (FINISHED_STATUSES.includes(run.status)) {
+    throw new Error(`Run already ${run.status}`);
+  }
+
+  const previousStatus = run.status;
+  const cancelledAt = new Date();
+  await Run.update(runId, {
+    status: 'cancelled',
+    cancelled_at: cancelledAt.toISOString(),
+    cancelled_by: userId,
+    cancel_reason: reason || null,
+    // Steps still in flight check this when their result arrives
+    cancel_compensate: compensate,
+    finished_at: cancelledAt.toISOString(),
+    duration_ms: cancelledAt - new Date(run.started_at),
+    next_attempt_at: null,
+    wake_at: null,
+    retry_state: null,
+    sleep_state: null,
+    wait_state: null,
+    child_wait: null,
+    queue_reason: null,
+    queue_position: null
+  });
+
+  await logRun(runId, tenantId, 'WARN', `Run cancelled by ${userId}${reason ? `: ${reason}` : ''}`, {
+    cancelled_by: userId,
+    reason,
+    previous_status: previousStatus,
+    step_order: run.current_step_order
+  });
+
+  const approvals = await Approval.filter({ run_id: runId, state: 'pending' });
+  for (const approval of approvals) {
+    await Approval.update(approval.id, {
+      state: 'expired',
+      responded_at: cancelledAt.toISOString(),
+      comment: `Run cancelled${reason ? `: ${reason}` : ''}`
+    });
+  }
+
+  const children = (await Run.filter({ parent_run_id: runId }))
+    .filter(child => !FINISHED_STATUSES.includes(child.status));
+  for (const child of children) {
+    await cancelRun({ runId: child.id, tenantId, userId, reason: `Parent run ${runId} cancelled`, compensate });
+  }
+
+  let compensation = null;
+  if (compensate) {
+    compensation = await compensateRun(run, tenantId);
+  }
+
+  await complianceLogger.logRunCancellation(runId, userId, reason, {
+    workflow_id: run.workflow_id,
+    previous_status: previousStatus,
+    step_order: run.current_step_order,
+    approvals_expired: approvals.map(a => a.id),
+    children_cancelled: children.map(c => c.id),
+    compensation: compensation ? compensation.status : null
+  });
+
+  await wakeParentRun(run);
+
+  return {
+    runId,
+    status: 'cancelled',
+    approvalsExpired: approvals.length,
+    childrenCancelled: children.length,
+    compensation
+  };
+};
+
+async function isRunCancelled(runId) {
+  const current = await Run.get(runId);
+  return Boolean(current && current.status === 'cancelled');
+}
+
+/**
+ * Throw if a run was cancelled since it was loaded
+ * Checked before every provider call and before a step's result is written
+ */
+async function assertNotCancelled(runId) {
+  if (await isRunCancelled(runId)) {
+    const error = new Error('Run was cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+}
+
 /**
  * Process next step of a run
  */
 export const processNextStep = async (runId, tenantId) => {
+  let run;
+  let currentStep;
+
   try {
     // Load run
-    const run = await Run.get(runId);
+    run = await Run.get(runId);
     if (!run || run.tenant_id !== tenantId) {
       throw new Error('Run not found or unauthorized');
     }
 
-    if (run.status !== 'pending') {
+    if (run.status === 'retry_scheduled') {
+      if (new Date(run.next_attempt_at) > new Date()) {
+        return { status: run.status, message: 'Retry not due yet', nextAttemptAt: run.next_attempt_at };
+      }
+    } else if (run.status === 'sleeping') {
+      if (!isDue(run.wake_at)) {
+        return { status: run.status, message: 'Run is sleeping', wakeAt: run.wake_at };
+      }
+    } else if (run.status === AWAITING_EVENT) {
+      // Matching events set the run back to pending; here only the timeout can wake it
+      if (!run.wake_at || !isDue(run.wake_at)) {
+        return { status: run.status, message: 'Waiting for event', timeoutAt: run.wake_at };
+      }
+    } else if (run.status !== 'pending' && run.status !== QUEUED) {
       return { status: run.status, message: 'Run not in pending state' };
     }
 
-    // Mark in progress
-    await Run.update(runId, { status: 'in_progress' });
+    // New runs wait in the queue until their workflow, connections and tenant have a free slot
+    if (needsAdmission(run)) {
+      const admission = await admitRun(run);
+      if (!admission.admitted) {
+        const reason = describeQueueBlock(admission.blockedBy);
+        await Run.update(runId, { status: QUEUED, queue_reason: reason, queue_position: admission.position });
+        if (run.status !== QUEUED) {
+          await logRun(runId, tenantId, 'INFO', `Run queued: ${reason}`, { blocked_by: admission.blockedBy, position: admission.position });
+        }
+        return { status: QUEUED, message: reason, position: admission.position };
+      }
 
-    // Load workflow steps
-    const steps = await WorkflowStep.filter(
-      { workflow_id: run.workflow_id },
-      'step_order'
-    );
+      const admittedAt = new Date();
+      const waitMs = admittedAt - new Date(run.queued_at || run.started_at);
+      await Run.update(runId, {
+        status: 'in_progress',
+        admitted_at: admittedAt.toISOString(),
+        wait_ms: waitMs,
+        queue_reason: null,
+        queue_position: null
+      });
+      if (run.status === QUEUED) {
+        await logRun(runId, tenantId, 'INFO', `Run admitted after ${Math.round(waitMs / 1000)}s in queue`, { wait_ms: waitMs });
+      }
+    } else {
+      // Mark in progress
+      await Run.update(runId, { status: 'in_progress' });
+    }
 
-    const currentStep = steps.find(s => s.step_order === run.current_step_order);
+    // Load the steps of the version this run is pinned to
+    const steps = await loadRunSteps(run);
+
+    currentStep = steps.find(s => s.step_order === run.current_step_order);
     if (!currentStep) {
       // No more steps - complete
       await Run.update(runId, {
@@ -93,6 +426,7 @@ export const processNextStep = async (runId, tenantId) => {
         duration_ms: new Date() - new Date(run.started_at)
       });
       await logRun(runId, tenantId, 'INFO', 'Workflow completed successfully');
+      await wakeParentRun(run);
       return { status: 'completed' };
     }
 
@@ -118,139 +452,1149 @@ export const processNextStep = async (runId, tenantId) => {
       return { status: 'awaiting_approval', approvalId: approval.id };
     }
 
-    // Execute step
-    const stepResult = await executeStep(run, currentStep, tenantId);
+    // Conditional branch: evaluate and jump without calling a provider
+    if (isBranchStep(currentStep)) {
+      return await processBranchStep(run, steps, currentStep, tenantId);
+    }
 
-    // Update run context
-    const updatedContext = {
-      ...run.context,
-      [currentStep.step_name]: stepResult.result
-    };
+    // Parallel group: fan out branches and join them in a single pass
+    if (isParallelStep(currentStep)) {
+      return await processParallelStep(run, steps, currentStep, tenantId);
+    }
 
-    // Move to next step
-    const isLastStep = run.current_step_order >= steps.length - 1;
-    
-    await Run.update(runId, {
-      status: isLastStep ? 'completed' : 'pending',
-      current_step_order: run.current_step_order + 1,
-      context: updatedContext,
-      actions_count: run.actions_count + 1,
-      finished_at: isLastStep ? new Date().toISOString() : undefined,
-      duration_ms: isLastStep ? (new Date() - new Date(run.started_at)) : undefined
-    });
+    // For-each: run a sub-sequence per item of a context array
+    if (isForEachStep(currentStep)) {
+      return await processForEachStep(run, steps, currentStep, tenantId);
+    }
+
+    // Delay / wait-until: park the run until wake_at, then continue
+    if (isDelayStep(currentStep)) {
+      return await processDelayStep(run, steps, currentStep, tenantId);
+    }
+
+    // Wait-for-event: park until a matching WebhookEvent arrives or the wait times out
+    if (isWaitForEventStep(currentStep)) {
+      return await processWaitForEventStep(run, steps, currentStep, tenantId);
+    }
+
+    // Sub-workflow: enqueue a child run, waiting for it when synchronous
+    if (isSubWorkflowStep(currentStep)) {
+      return await processSubWorkflowStep(run, steps, currentStep, tenantId);
+    }
+
+    // Execute step (retries are parked on the run, not awaited here)
+    const paramOverride = run.param_overrides && run.param_overrides[currentStep.step_order];
+    const stepResult = await executeStep(
+      run,
+      paramOverride ? { ...currentStep, resolved_params: paramOverride } : currentStep,
+      tenantId,
+      { inlineRetries: false }
+    );
+
+    // Update run context (addressable as step_N and by step_name)
+    const updatedContext = withStepOutput(run.context, steps, currentStep, stepResult.result);
 
     await logRun(runId, tenantId, 'INFO', `Step completed: ${currentStep.step_name}`, {
       duration: stepResult.duration,
       result: stepResult.result
     });
 
-    return {
-      status: isLastStep ? 'completed' : 'pending',
-      nextStep: run.current_step_order + 1,
-      stepResult: stepResult.result
-    };
+    const result = await advanceRun(run, steps, getNextStepOrder(steps, currentStep), {
+      context: updatedContext,
+      actions_count: run.actions_count + 1,
+      compensation_stack: pushCompensations(run, [
+        buildCompensationEntry(currentStep, stepResult.result)
+      ])
+    });
+
+    return { ...result, stepResult: stepResult.result };
 
   } catch (error) {
+    // Cancelled while the step ran: the cancellation already settled the run,
+    // except for undoing what the step did in flight
+    if (error.cancelled || await isRunCancelled(runId)) {
+      await logRun(runId, tenantId, 'INFO', `Dropped result of ${currentStep ? currentStep.step_name : 'step'}: run was cancelled`);
+      try {
+        await compensateAfterCancel(runId, tenantId, error.compensations);
+      } catch (compensationError) {
+        console.error('Compensation failed:', compensationError);
+      }
+      return { status: 'cancelled' };
+    }
+
+    let retry = null;
+    if (run && run.tenant_id === tenantId && currentStep && currentStep.tool !== 'logic') {
+      retry = await scheduleRetry(run, currentStep, tenantId, error);
+      if (retry.status === 'retry_scheduled') {
+        return retry;
+      }
+    }
+
     await Run.update(runId, {
       status: 'failed',
       error_message: error.message,
-      finished_at: new Date().toISOString()
+      finished_at: new Date().toISOString(),
+      next_attempt_at: null,
+      wake_at: null,
+      sleep_state: null,
+      wait_state: null,
+      child_wait: null
     });
-    await logRun(runId, tenantId, 'ERROR', `Step failed: ${error.message}`, { error: error.stack });
+    await logRun(runId, tenantId, 'ERROR', `Step failed: ${error.message}`, {
+      error: error.stack,
+      retry: retry ? retry.reason : undefined,
+      attempt: run ? run.attempt || 1 : undefined
+    });
+
+    if (run && run.tenant_id === tenantId) {
+      try {
+        await settleFailedCompensations(run, tenantId, error.compensations);
+      } catch (compensationError) {
+        console.error('Compensation failed:', compensationError);
+      }
+
+      try {
+        await deadLetterRun(run, error, { step: currentStep, retryReason: retry ? retry.reason : null });
+      } catch (deadLetterError) {
+        console.error('Failed to dead-letter run:', deadLetterError);
+      }
+
+      await wakeParentRun(run);
+    }
+
     throw error;
   }
 };
 
+/**
+ * Park a run in retry_scheduled if the step's retry policy allows another attempt
+ * @returns {Promise<object>} - { status: 'retry_scheduled', ... } or { status: 'not_retried', reason }
+ */
+async function scheduleRetry(run, step, tenantId, error) {
+  const policy = resolveRetryPolicy(step);
+  const previous = run.retry_state && run.retry_state.step_order === step.step_order
+    ? run.retry_state
+    : null;
+  const attempt = (previous ? previous.attempt : 0) + 1;
+  const firstAttemptAt = previous ? previous.first_attempt_at : new Date().toISOString();
+
+  const plan = planRetry(policy, { attempt, firstAttemptAt, error });
+  if (!plan.retry) {
+    return { status: 'not_retried', reason: plan.reason, attempt };
+  }
+
+  await Run.update(run.id, {
+    status: 'retry_scheduled',
+    next_attempt_at: plan.nextAttemptAt,
+    error_message: error.message,
+    retry_state: {
+      step_order: step.step_order,
+      step_name: step.step_name,
+      attempt,
+      first_attempt_at: firstAttemptAt,
+      last_error: error.message,
+      category: plan.classification.category
+    }
+  });
+
+  await logRun(run.id, tenantId, 'WARN', `Retry scheduled for ${step.step_name}: attempt ${attempt + 1} of ${plan.maxAttempts} in ${Math.ceil(plan.delayMs / 1000)}s`, {
+    error: error.message,
+    category: plan.classification.category,
+    status_code: plan.classification.status,
+    next_attempt_at: plan.nextAttemptAt
+  });
+
+  return {
+    status: 'retry_scheduled',
+    nextAttemptAt: plan.nextAttemptAt,
+    attempt: attempt + 1
+  };
+}
+
+/**
+ * Simulate a step: evaluate guardrails as a live run would, then return the
+ * recorded fixture, a synthetic response or the params echoed back
+ * Guardrail verdicts are recorded on the run but never block a simulation
+ */
+async function executeSimulatedStep(run, step, tenantId, params) {
+  const verdict = await checkGuardrails(run, step, run.context);
+  if (verdict.guardrails.length > 0) {
+    await logRun(run.id, tenantId, verdict.blocked ? 'WARN' : 'INFO', `[SIMULATION] Guardrails: ${verdict.summary}`, {
+      step_name: step.step_name,
+      blocked: verdict.blocked,
+      requires_approval: verdict.requires_approval,
+      guardrails: verdict.guardrails
+    });
+    run.guardrail_blocks = [...(run.guardrail_blocks || []), `[simulation] ${step.step_name}: ${verdict.summary}`];
+    await Run.update(run.id, { guardrail_blocks: run.guardrail_blocks });
+  }
+
+  const { result, source, fixtureId } = await simulateStep(run, step, params);
+  await logRun(run.id, tenantId, 'INFO', `[SIMULATION] ${step.tool}.${step.action} answered from ${source}`, {
+    params,
+    source,
+    fixture_id: fixtureId || null,
+    fixture_set: run.fixture_set || null
+  });
+
+  return { success: true, result, duration: 0 };
+}
+
+/**
+ * Circuit breaker guarding calls through a connection
+ */
+function getCircuitBreaker(connectionId) {
+  if (!circuitBreakers.has(connectionId)) {
+    circuitBreakers.set(connectionId, new CircuitBreaker({ failureThreshold: 5, resetTimeout: 60000 }));
+  }
+  return circuitBreakers.get(connectionId);
+}
+
 /**
  * Execute a single workflow step
+ * Top-level steps pass inlineRetries: false so failures park the run instead;
+ * parallel branches, for-each sub-steps and compensations retry in place
+ * List actions follow their pages up to max_items (see Pagination)
+ */
+async function executeStep(run, step, tenantId, options = {}) {
+  const prepared = await prepareStep(run, step, tenantId, options);
+  if (prepared.simulated) {
+    return prepared.simulated;
+  }
+
+  const { pagination } = prepared.definition;
+  if (!pagination) {
+    return await prepared.attempt(prepared.params);
+  }
+
+  const startedAt = Date.now();
+  const { max_items, ...firstPage } = prepared.params;
+  const result = await collectPages({
+    pagination,
+    params: firstPage,
+    maxItems: max_items,
+    fetchPage: async (pageParams) => toPage(await prepared.attempt(pageParams))
+  });
+
+  if (result.truncated) {
+    await logRun(run.id, tenantId, 'WARN', `${step.step_name} stopped at ${result.pagination.item_count} items (max_items ${result.pagination.max_items}); more are available`, result.pagination);
+  }
+
+  return { success: true, result, duration: Date.now() - startedAt };
+}
+
+/**
+ * Stream a list action's items page by page, e.g. into a for_each
+ * @param {object} options - { maxItems, onPage(items, { page, offset }) }
+ * @returns {Promise<{pages, item_count, max_items, truncated}>}
  */
-async function executeStep(run, step, tenantId) {
-  // Load connection and credential
+async function streamStepItems(run, step, tenantId, { maxItems, onPage }) {
+  const prepared = await prepareStep(run, step, tenantId);
+  const { pagination } = prepared.definition;
+  if (!pagination) {
+    throw new Error(`${step.tool}.${step.action} is not a list action`);
+  }
+
+  // Simulated responses are a single page
+  if (prepared.simulated) {
+    const items = getPath(prepared.simulated.result, pagination.items_path) || [];
+    const limit = resolveMaxItems(pagination, maxItems);
+    await onPage(items.slice(0, limit), { page: 1, offset: 0 });
+    return { pages: 1, item_count: Math.min(items.length, limit), max_items: limit, truncated: items.length > limit };
+  }
+
+  const { max_items, ...firstPage } = prepared.params;
+  const summary = await streamPages({
+    pagination,
+    params: firstPage,
+    maxItems: maxItems ?? max_items,
+    fetchPage: async (pageParams) => toPage(await prepared.attempt(pageParams)),
+    onPage
+  });
+  return { pages: summary.pages, item_count: summary.item_count, max_items: summary.max_items, truncated: summary.truncated };
+}
+
+/**
+ * Page of a list action for Pagination: its result and response headers
+ */
+function toPage(stepResult) {
+  return {
+    result: stepResult.result,
+    headers: stepResult.headers || (stepResult.result && stepResult.result.headers) || null
+  };
+}
+
+/**
+ * Load, resolve and validate a step, and build the guarded provider call
+ * @returns {Promise<{params, definition, simulated?, attempt(callParams)}>}
+ *   simulated is the step result in simulation mode; attempt makes the call
+ */
+async function prepareStep(run, step, tenantId, { inlineRetries = true, compensating = false } = {}) {
+  // Compensations run on purpose after a cancellation; everything else stops
+  if (!compensating) {
+    await assertNotCancelled(run.id);
+  }
+
+  // Load connection
   const connection = await Connection.get(step.connection_id);
   if (!connection || connection.tenant_id !== tenantId) {
     throw new Error('Connection not found or unauthorized');
   }
 
-  const credentials = await Credential.filter({ connection_id: connection.id });
-  if (credentials.length === 0) {
-    throw new Error('No credentials found for connection');
-  }
-
-  const credential = JSON.parse(decryptCredential(credentials[0].encrypted_value));
+  // Resolve mapping using context, unless params were edited before a resume
+  const params = step.resolved_params || resolveMapping(step.mapping_json, run.context);
 
-  // Resolve mapping using context
-  const params = resolveMapping(step.mapping_json, run.context);
+  // Params must fit the action's declared input schema, in simulation too.
+  // Steps stored before the registry with an action it does not know (e.g. the
+  // library installer's `execute`) still go to safeExec unvalidated, as they did then
+  let definition = getAction(step.tool, step.action);
+  if (definition) {
+    assertActionInput(step.tool, step.action, params);
+  } else {
+    definition = { provider: step.tool, action: step.action, legacy: true };
+    await logRun(run.id, tenantId, 'WARN', `${step.tool}.${step.action} is not a registered action; running it unvalidated`, {
+      step_name: step.step_name
+    });
+  }
 
   // Check simulation mode
   if (run.is_simulation) {
-    await logRun(run.id, tenantId, 'INFO', `[SIMULATION] Would execute: ${step.tool}.${step.action}`, { params });
-    return {
-      success: true,
-      result: { simulated: true, action: step.action, params },
-      duration: 0
-    };
+    return { params, definition, simulated: await executeSimulatedStep(run, step, tenantId, params) };
   }
 
-  // Execute via safeExec
-  return await safeExec({
-    provider: step.tool,
-    action: step.action,
-    params,
+  // Load the credential, refreshing OAuth2 access tokens close to expiry
+  const credential = await getFreshCredential(connection);
+
+  // Execute via safeExec (or directly for generic HTTP) behind the connection's circuit breaker
+  // Legacy action ids are sent as the registered action they alias
+  const action = definition.action;
+  const invoke = (current, callParams) => isHttpStep(step)
+    ? executeHttpRequest({ params: callParams, connection, credential: current })
+    : safeExec({
+      provider: step.tool,
+      action,
+      params: callParams,
+      connection,
+      credential: current,
+      correlationId: run.correlation_id,
+      retries: 1
+    });
+
+  // Calls wait for the connection's rate-limit budget, shared by the tenant's runs
+  const throttle = {
     connection,
-    credential,
-    correlationId: run.correlation_id,
-    retries: step.retry_on_failure ? 3 : 1
+    tenantId,
+    runId: run.id,
+    workflowId: run.workflow_id,
+    onWait: (waitMs, reason) => logRun(run.id, tenantId, 'INFO', `Throttled ${step.step_name} for ${Math.ceil(waitMs / 1000)}s (${reason === 'retry_after' ? 'provider Retry-After' : 'rate-limit budget'})`, {
+      connection_id: connection.id,
+      wait_ms: waitMs,
+      reason
+    })
+  };
+
+  const breaker = getCircuitBreaker(connection.id);
+  // The throttle sits outside the breaker: a call it defers never reached the
+  // provider, so it must not count as a breaker failure.
+  // A 401 refreshes the token and repeats the call once
+  const call = (callParams) => throttleCall(throttle, () => breaker.execute(() => withTokenRefresh(connection, credential, (current) =>
+    callProvider(run, step, tenantId, action, callParams, () => invoke(current, callParams))
+  ))).catch(error => {
+    throw mapProviderError(step.tool, error);
   });
+
+  const policy = resolveRetryPolicy(step);
+  const attempt = (callParams) => inlineRetries
+    ? retryable(() => call(callParams), policy.max_attempts, policy.base_delay_ms, (error) => isRetryableUnder(policy, error))
+    : call(callParams);
+
+  return { params, definition, attempt };
 }
 
 /**
- * Resolve mapping JSON using context (simple JSONPath-like)
+ * Make one provider call and record it in the compliance log
+ * Every attempt is logged, failed ones with their error
  */
-function resolveMapping(mapping, context) {
-  const resolved = {};
-  
-  for (const [key, value] of Object.entries(mapping)) {
-    if (typeof value === 'string' && value.startsWith('{{') && value.endsWith('}}')) {
-      const path = value.slice(2, -2).trim();
-      resolved[key] = resolvePath(path, context);
-    } else if (typeof value === 'object') {
-      resolved[key] = resolveMapping(value, context);
-    } else {
-      resolved[key] = value;
+async function callProvider(run, step, tenantId, action, params, invoke) {
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    outcome = await invoke();
+    return outcome;
+  } catch (error) {
+    outcome = { error: error.message };
+    throw error;
+  } finally {
+    // A compliance write failing must not fail (and re-send) a call that already happened
+    await complianceLogger.logProviderCall(step.tool, action, params, outcome, Date.now() - startedAt)
+      .catch(error => logRun(run.id, tenantId, 'WARN', `Compliance log failed for ${step.tool}.${action}: ${error.message}`));
+  }
+}
+
+/**
+ * Whether a step is a conditional branch (logic.condition_check)
+ */
+function isBranchStep(step) {
+  return step.tool === 'logic' && step.action === 'condition_check';
+}
+
+/**
+ * Evaluate a condition_check step and move the run to the taken branch
+ * mapping_json: { condition, on_true, on_false }
+ * Branch targets: a step_name to jump to, { skip: N } to skip the next N
+ * steps, '__end__' to complete the run, or omitted to continue in order
+ */
+async function processBranchStep(run, steps, step, tenantId) {
+  const { condition, on_true, on_false } = step.mapping_json || {};
+
+  const matched = evaluateCondition(condition, run.context);
+  const branch = matched ? 'true' : 'false';
+  const target = matched ? on_true : on_false;
+  const nextOrder = resolveBranchTarget(steps, step, target);
+  const targetStep = steps.find(s => s.step_order === nextOrder);
+
+  const targetName = targetStep ? targetStep.step_name : END_OF_WORKFLOW;
+
+  await logRun(run.id, tenantId, 'INFO', `Branch taken: ${step.step_name} → ${branch}`, {
+    condition,
+    matched,
+    branch,
+    target: targetName,
+    skipped_steps: steps
+      .filter(s => s.step_order > step.step_order && (nextOrder === null || s.step_order < nextOrder))
+      .map(s => s.step_name)
+  });
+
+  const result = await advanceRun(run, steps, nextOrder, {
+    context: withStepOutput(run.context, steps, step, { matched, branch, target: targetName })
+  });
+
+  return { ...result, branch, matched };
+}
+
+/**
+ * Resolve a branch target to the step_order the run continues at
+ * @returns {number|null} - Next step_order, or null to complete the run
+ */
+function resolveBranchTarget(steps, step, target) {
+  if (target === undefined || target === null || target === '') {
+    return getNextStepOrder(steps, step);
+  }
+
+  if (target === END_OF_WORKFLOW) {
+    return null;
+  }
+
+  if (typeof target === 'object' && target.skip !== undefined) {
+    const following = steps.filter(s => s.step_order > step.step_order);
+    const next = following[Number(target.skip)];
+    return next ? next.step_order : null;
+  }
+
+  const targetStep = steps.find(s => s.step_name === target || s.id === target);
+  if (!targetStep) {
+    throw new Error(`Branch target not found: ${target}`);
+  }
+
+  // Forward-only jumps keep runs from looping forever
+  if (targetStep.step_order <= step.step_order) {
+    throw new Error(`Branch target must come after ${step.step_name}: ${target}`);
+  }
+
+  return targetStep.step_order;
+}
+
+/**
+ * Whether a step is a parallel fan-out group (logic.parallel)
+ */
+function isParallelStep(step) {
+  return step.tool === 'logic' && step.action === 'parallel';
+}
+
+/**
+ * Run a parallel group's branches concurrently and join their results
+ * mapping_json: { branches, join: 'all' | 'any' | 'n_of_m', min_successes }
+ * Each branch: { name, tool, action, connection_id, mapping_json,
+ * retry_on_failure, on_failure: 'fail' | 'continue' }
+ * Results land in context[step_name].results[branch_name]. After an early
+ * 'any' / 'n_of_m' join the run moves on without waiting for the remaining
+ * branches; those are logged when they finish and stay compensable.
+ */
+async function processParallelStep(run, steps, step, tenantId) {
+  const { branches, join = 'all', min_successes } = step.mapping_json || {};
+  const parsedBranches = parseJsonInput(branches);
+
+  const compensationsByBranch = {};
+  const compensationsOf = (outcomes) => Object.keys(outcomes)
+    .map(name => compensationsByBranch[name])
+    .filter(Boolean);
+
+  const group = await runParallelBranches(parsedBranches, {
+    join,
+    minSuccesses: min_successes,
+    execute: async (branch) => {
+      const branchStep = {
+        ...branch,
+        step_name: `${step.step_name}.${branch.name}`,
+        connection_id: branch.connection_id || await findActiveConnectionId(branch.tool, tenantId)
+      };
+      const stepResult = await executeStep(run, branchStep, tenantId);
+      compensationsByBranch[branch.name] = buildCompensationEntry(branchStep, stepResult.result);
+      return stepResult.result;
     }
+  });
+
+  const joined = Object.fromEntries(Object.entries(group.outcomes).filter(([, outcome]) => outcome.status !== 'pending'));
+  const compensations = compensationsOf(joined);
+  await logBranchOutcomes(run, step, tenantId, group.succeeded, joined);
+
+  const pending = Object.keys(group.outcomes).filter(name => !joined[name]);
+  if (pending.length > 0) {
+    await logRun(run.id, tenantId, 'INFO', `Parallel group ${step.step_name} joined; still running: ${pending.join(', ')}`, {
+      join,
+      pending
+    });
+    group.settled
+      .then((settled) => settleLateBranches(run, step, tenantId, settled, pending, compensationsOf))
+      .catch(error => console.error(`Recording late branches of ${step.step_name} failed:`, error));
   }
-  
-  return resolved;
+
+  if (!group.succeeded) {
+    const failures = Object.entries(group.errors).map(([name, message]) => `${name}: ${message}`);
+    const error = new Error(`Parallel group ${step.step_name} did not satisfy '${join}' join (${failures.join('; ')})`);
+    // Branches that did succeed are rolled back with the rest of the run
+    error.compensations = compensations.filter(Boolean);
+    throw error;
+  }
+
+  await logRun(run.id, tenantId, 'INFO', `Step completed: ${step.step_name}`, {
+    join,
+    succeeded: Object.keys(group.results),
+    failed: Object.keys(group.errors)
+  });
+
+  return await advanceRun(run, steps, getNextStepOrder(steps, step), {
+    context: withStepOutput(run.context, steps, step, { results: group.results, errors: group.errors }),
+    actions_count: run.actions_count + Object.keys(group.results).length,
+    compensation_stack: pushCompensations(run, compensations)
+  });
 }
 
-function resolvePath(path, context) {
-  const parts = path.split('.');
-  let current = context;
-  
-  for (const part of parts) {
-    if (current && typeof current === 'object' && part in current) {
-      current = current[part];
-    } else {
-      return undefined;
+/**
+ * Log parallel branch outcomes
+ * A branch failing after the join was satisfied does not fail the group
+ */
+async function logBranchOutcomes(run, step, tenantId, groupSucceeded, outcomes) {
+  for (const [name, outcome] of Object.entries(outcomes)) {
+    const blocking = outcome.status === 'failed' && !outcome.tolerated;
+    const level = blocking ? (outcome.after_join && groupSucceeded ? 'WARN' : 'ERROR') : 'INFO';
+    await logRun(run.id, tenantId, level, `Parallel branch ${outcome.status}: ${step.step_name}.${name}`, outcome);
+  }
+}
+
+/**
+ * Record branches that finished after their group's early join
+ * The run has moved on by now, so their results are only logged; what they
+ * did is rolled back at once if the run already was, otherwise it joins the
+ * run's compensation stack
+ */
+async function settleLateBranches(run, step, tenantId, settled, pending, compensationsOf) {
+  const late = Object.fromEntries(pending.map(name => [name, settled.outcomes[name]]));
+  await logBranchOutcomes(run, step, tenantId, settled.succeeded, late);
+
+  const entries = compensationsOf(late);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const current = await Run.get(run.id);
+  if (!current) {
+    return null;
+  }
+  if (current.cancel_compensate || current.compensation_status) {
+    return await compensateLate(current, tenantId, entries);
+  }
+
+  await Run.update(run.id, { compensation_stack: pushCompensations(current, entries) });
+  return null;
+}
+
+/**
+ * Whether a step iterates over an array (logic.for_each)
+ */
+function isForEachStep(step) {
+  return step.tool === 'logic' && step.action === 'for_each';
+}
+
+/**
+ * Whether a step waits for time to pass (logic.delay / logic.wait_until)
+ */
+function isDelayStep(step) {
+  return step.tool === 'logic' && (step.action === 'delay' || step.action === 'wait_until');
+}
+
+/**
+ * Park the run as `sleeping` until the step's wake time, or continue once woken
+ * mapping_json: delay      { duration: '7d' } or { duration_seconds: 3600 }
+ *               wait_until { timestamp: '{{step_0.due_date}}' }
+ * The wake time lives on the Run (wake_at, sleep_state), so a sleeping run
+ * survives reloads and restarts; the poller hands it back here when due.
+ */
+async function processDelayStep(run, steps, step, tenantId) {
+  const sleep = run.sleep_state && run.sleep_state.step_order === step.step_order
+    ? run.sleep_state
+    : null;
+
+  if (!sleep) {
+    const params = resolveMapping(step.mapping_json, run.context);
+    const wakeAt = computeWakeAt(step.action, params);
+
+    if (!isDue(wakeAt)) {
+      await Run.update(run.id, {
+        status: 'sleeping',
+        wake_at: wakeAt.toISOString(),
+        sleep_state: {
+          step_order: step.step_order,
+          step_name: step.step_name,
+          slept_at: new Date().toISOString(),
+          wake_at: wakeAt.toISOString()
+        }
+      });
+
+      await logRun(run.id, tenantId, 'INFO', `Sleeping until ${wakeAt.toISOString()}: ${step.step_name}`, {
+        action: step.action,
+        wake_at: wakeAt.toISOString()
+      });
+
+      return { status: 'sleeping', wakeAt: wakeAt.toISOString() };
     }
   }
-  
-  return current;
+
+  const output = {
+    slept_at: sleep ? sleep.slept_at : null,
+    wake_at: sleep ? sleep.wake_at : null,
+    woke_at: new Date().toISOString()
+  };
+
+  await logRun(run.id, tenantId, 'INFO', `Step completed: ${step.step_name}`, output);
+
+  return await advanceRun(run, steps, getNextStepOrder(steps, step), {
+    context: withStepOutput(run.context, steps, step, output),
+    wake_at: null,
+    sleep_state: null
+  });
+}
+
+/**
+ * Whether a step suspends until an external event (logic.wait_for_event)
+ */
+function isWaitForEventStep(step) {
+  return step.tool === 'logic' && step.action === 'wait_for_event';
+}
+
+/**
+ * Suspend the run until a matching WebhookEvent is ingested
+ * mapping_json: { event_type, match, timeout, on_timeout }
+ * - event_type: e.g. 'payment.succeeded' (omit to accept any type)
+ * - match: correlation expression over {{event}} and the run context,
+ *   e.g. '{{event.data.object.invoice == step_0.invoice_id}}' (kept unresolved
+ *   until an event arrives; see EventWaiter)
+ * - timeout: duration ('7d'); without one the run waits indefinitely
+ * - on_timeout: 'fail' (default) or a branch target (step_name, {skip: N}, '__end__')
+ * Output: { timed_out, event, event_type, event_id, received_at }
+ */
+async function processWaitForEventStep(run, steps, step, tenantId) {
+  const { event_type, match, timeout, on_timeout = 'fail' } = step.mapping_json || {};
+  const wait = run.wait_state && run.wait_state.step_order === step.step_order
+    ? run.wait_state
+    : null;
+
+  if (!wait) {
+    const eventType = resolveValue(event_type, run.context);
+    const timeoutValue = resolveValue(timeout, run.context);
+    const timeoutAt = timeoutValue
+      ? new Date(Date.now() + parseDuration(timeoutValue)).toISOString()
+      : null;
+
+    await Run.update(run.id, {
+      status: AWAITING_EVENT,
+      wake_at: timeoutAt,
+      wait_state: {
+        step_order: step.step_order,
+        step_name: step.step_name,
+        event_type: eventType || null,
+        match: match ?? null,
+        waiting_since: new Date().toISOString(),
+        timeout_at: timeoutAt
+      }
+    });
+
+    await logRun(run.id, tenantId, 'INFO', `Waiting for ${eventType || 'any'} event: ${step.step_name}`, {
+      event_type: eventType,
+      match,
+      timeout_at: timeoutAt
+    });
+
+    return { status: AWAITING_EVENT, eventType, timeoutAt };
+  }
+
+  if (wait.received) {
+    const output = {
+      timed_out: false,
+      event: wait.received.payload,
+      event_type: wait.received.event_type,
+      event_id: wait.received.event_id,
+      received_at: wait.received.received_at
+    };
+
+    await logRun(run.id, tenantId, 'INFO', `Step completed: ${step.step_name}`, {
+      event_type: output.event_type,
+      event_id: output.event_id
+    });
+
+    return await advanceRun(run, steps, getNextStepOrder(steps, step), {
+      context: withStepOutput(run.context, steps, step, output),
+      wake_at: null,
+      wait_state: null
+    });
+  }
+
+  // Timed out
+  if (on_timeout === 'fail') {
+    throw new Error(`Timed out waiting for ${wait.event_type || 'event'} at ${step.step_name}`);
+  }
+
+  const nextOrder = resolveBranchTarget(steps, step, on_timeout);
+  const output = { timed_out: true, event: null, waited_since: wait.waiting_since };
+
+  await logRun(run.id, tenantId, 'WARN', `Event wait timed out: ${step.step_name} → ${typeof on_timeout === 'string' ? on_timeout : JSON.stringify(on_timeout)}`, {
+    event_type: wait.event_type,
+    timeout_at: wait.timeout_at
+  });
+
+  const result = await advanceRun(run, steps, nextOrder, {
+    context: withStepOutput(run.context, steps, step, output),
+    wake_at: null,
+    wait_state: null
+  });
+
+  return { ...result, timedOut: true };
+}
+
+/**
+ * Invoke another workflow as a child run
+ * mapping_json: { workflow_id, version, payload, mode: 'sync' | 'async' }
+ * - payload is resolved against the context and becomes the child's {{trigger}}
+ * - version, if set, pins the child to that published version instead of the current one
+ * - sync (default) parks the parent as `awaiting_child` until the child
+ *   finishes; the child's context (minus its trigger) becomes this step's
+ *   output and a failed child fails the parent. async continues at once.
+ * Output: { run_id, status, mode, output }
+ */
+async function processSubWorkflowStep(run, steps, step, tenantId) {
+  const { workflow_id, version, payload = {}, mode = 'sync' } = step.mapping_json || {};
+  const childWait = run.child_wait && run.child_wait.step_order === step.step_order
+    ? run.child_wait
+    : null;
+
+  if (!childWait) {
+    if ((run.call_depth || 0) + 1 > MAX_CALL_DEPTH) {
+      throw new Error(`Sub-workflow nesting exceeds ${MAX_CALL_DEPTH} levels at ${step.step_name}`);
+    }
+
+    const workflowId = resolveValue(workflow_id, run.context);
+    const workflow = await Workflow.get(workflowId);
+    if (!workflow || workflow.tenant_id !== tenantId) {
+      throw new Error(`Sub-workflow not found: ${workflowId}`);
+    }
+
+    // Keyed on parent run, step and attempt so reprocessing never spawns a second child
+    const child = await runWorkflow({
+      tenantId,
+      workflowId,
+      triggerPayload: resolveMapping(payload, run.context),
+      idempotencyKey: `${run.id}:${step.step_order}:${run.attempt || 1}`,
+      userId: run.created_by,
+      parent: { run, step, mode },
+      version: resolveValue(version, run.context)
+    });
+
+    await logRun(run.id, tenantId, 'INFO', `Sub-workflow started: ${workflow.display_name}`, {
+      child_run_id: child.runId,
+      mode,
+      correlationId: run.correlation_id
+    });
+
+    if (mode === 'async') {
+      const output = { run_id: child.runId, status: child.status, mode, output: null };
+      return await advanceRun(run, steps, getNextStepOrder(steps, step), {
+        context: withStepOutput(run.context, steps, step, output)
+      });
+    }
+
+    await Run.update(run.id, {
+      status: 'awaiting_child',
+      child_wait: {
+        step_order: step.step_order,
+        step_name: step.step_name,
+        child_run_id: child.runId,
+        workflow_id: workflowId
+      }
+    });
+
+    return { status: 'awaiting_child', childRunId: child.runId };
+  }
+
+  const child = await Run.get(childWait.child_run_id);
+
+  if (child.status === 'failed' || child.status === 'cancelled') {
+    throw new Error(`Sub-workflow run ${child.id} ${child.status}: ${child.error_message || 'no error message'}`);
+  }
+
+  if (child.status !== 'completed') {
+    // Woken before the child finished; keep waiting
+    await Run.update(run.id, { status: 'awaiting_child' });
+    return { status: 'awaiting_child', childRunId: child.id };
+  }
+
+  const childOutput = { ...child.context };
+  delete childOutput.trigger;
+  const output = { run_id: child.id, status: child.status, mode, output: childOutput };
+
+  await logRun(run.id, tenantId, 'INFO', `Step completed: ${step.step_name}`, {
+    child_run_id: child.id,
+    duration_ms: child.duration_ms
+  });
+
+  return await advanceRun(run, steps, getNextStepOrder(steps, step), {
+    context: withStepOutput(run.context, steps, step, output),
+    actions_count: run.actions_count + (child.actions_count || 0),
+    child_wait: null
+  });
+}
+
+/**
+ * Hand control back to a parent run waiting synchronously on this child
+ */
+async function wakeParentRun(childRun) {
+  if (!childRun.parent_run_id || childRun.parent_mode === 'async') {
+    return;
+  }
+
+  const parent = await Run.get(childRun.parent_run_id);
+  if (!parent || parent.status !== 'awaiting_child' ||
+      !parent.child_wait || parent.child_wait.child_run_id !== childRun.id) {
+    return;
+  }
+
+  await Run.update(parent.id, { status: 'pending' });
+  await logRun(parent.id, parent.tenant_id, 'INFO', `Sub-workflow run ${childRun.id} finished, resuming`, {
+    child_run_id: childRun.id
+  });
+}
+
+/**
+ * Run a sub-sequence for every item of a context array
+ * mapping_json: { items, steps, concurrency, max_items,
+ * on_item_failure: 'continue' | 'fail' }
+ * Sub-steps share the branch shape ({ name, tool, action, connection_id,
+ * mapping_json }) and can reference {{item}}, {{index}} and earlier
+ * sub-step outputs by name
+ * Instead of items, `source` (same shape, a paginated list action) streams the
+ * listing page by page; each page is processed before the next is fetched
+ * Completed sub-steps join the compensation stack per item, like top-level steps
+ */
+async function processForEachStep(run, steps, step, tenantId) {
+  const {
+    items,
+    source,
+    steps: subSteps,
+    concurrency,
+    max_items,
+    on_item_failure = 'continue'
+  } = step.mapping_json || {};
+
+  const sequence = parseJsonInput(subSteps);
+  const outcome = { items: [], succeeded: 0, failed: 0 };
+  const compensations = [];
+  const iterate = async (pageItems, startIndex) => {
+    const page = await runForEach(pageItems, sequence, {
+      concurrency,
+      startIndex,
+      baseContext: run.context,
+      executeSubStep: async (subStep, itemContext) => {
+        const itemStep = {
+          ...subStep,
+          step_name: `${step.step_name}.${subStep.name}`,
+          connection_id: subStep.connection_id || await findActiveConnectionId(subStep.tool, tenantId)
+        };
+        const stepResult = await executeStep({ ...run, context: itemContext }, itemStep, tenantId);
+        compensations.push(buildCompensationEntry({
+          ...itemStep,
+          step_name: `${step.step_name}[${itemContext.index}].${subStep.name}`
+        }, stepResult.result));
+        return stepResult.result;
+      }
+    });
+    outcome.items.push(...page.items);
+    outcome.succeeded += page.succeeded;
+    outcome.failed += page.failed;
+  };
+
+  let total;
+  let truncated;
+  let listCalls = 0;
+  if (source) {
+    const listing = parseJsonInput(source);
+    const streamed = await streamStepItems(run, {
+      ...listing,
+      step_name: `${step.step_name}.source`,
+      connection_id: listing.connection_id || await findActiveConnectionId(listing.tool, tenantId)
+    }, tenantId, {
+      maxItems: max_items,
+      onPage: (pageItems, { offset }) => iterate(pageItems, offset)
+    });
+    total = streamed.item_count;
+    truncated = streamed.truncated;
+    listCalls = streamed.pages;
+  } else {
+    const allItems = resolveValue(items, run.context);
+    if (!Array.isArray(allItems)) {
+      throw new Error(`for_each items did not resolve to an array: ${items}`);
+    }
+
+    const limit = max_items ? Number(max_items) : allItems.length;
+    const iterated = allItems.slice(0, limit);
+    await iterate(iterated, 0);
+    total = allItems.length;
+    truncated = allItems.length > iterated.length;
+  }
+
+  for (const item of outcome.items.filter(i => i.status === 'failed')) {
+    await logRun(run.id, tenantId, 'WARN', `for_each item ${item.index} failed at ${item.failed_step}: ${item.error}`, item);
+  }
+
+  const summary = {
+    total,
+    processed: outcome.items.length,
+    succeeded: outcome.succeeded,
+    failed: outcome.failed,
+    truncated
+  };
+
+  if (outcome.failed > 0 && on_item_failure === 'fail') {
+    const error = new Error(`for_each ${step.step_name}: ${outcome.failed} of ${outcome.items.length} items failed`);
+    // What the loop did for the other items is rolled back with the rest of the run
+    error.compensations = compensations.filter(Boolean);
+    throw error;
+  }
+
+  if (truncated) {
+    await logRun(run.id, tenantId, 'WARN', `for_each ${step.step_name} stopped at ${outcome.items.length} items (max_items); more are available`, summary);
+  }
+
+  await logRun(run.id, tenantId, 'INFO', `Step completed: ${step.step_name}`, summary);
+
+  const subActions = outcome.items.reduce((sum, item) => sum + Object.keys(item.results).length, 0);
+
+  return await advanceRun(run, steps, getNextStepOrder(steps, step), {
+    context: withStepOutput(run.context, steps, step, { ...summary, items: outcome.items }),
+    actions_count: run.actions_count + subActions + listCalls,
+    compensation_stack: pushCompensations(run, compensations)
+  });
 }
 
 /**
- * Decrypt credential (placeholder - implement AES-GCM)
+ * First active connection for a provider, used when a branch names none
  */
-function decryptCredential(encryptedValue) {
-  // TODO: Implement proper AES-256-GCM decryption
-  // For now, assume it's base64 encoded
+async function findActiveConnectionId(provider, tenantId) {
+  const connections = await Connection.filter({ tenant_id: tenantId, provider, status: 'active' });
+  return connections.length > 0 ? connections[0].id : null;
+}
+
+/**
+ * Composer inputs arrive as strings; accept JSON text or structured values
+ */
+function parseJsonInput(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
   try {
-    return atob(encryptedValue);
+    return JSON.parse(value);
   } catch {
-    return encryptedValue;
+    throw new Error(`Invalid JSON input: ${value}`);
   }
 }
 
+/**
+ * step_order of the step following `step`, or null if it is the last one
+ */
+function getNextStepOrder(steps, step) {
+  const next = steps.find(s => s.step_order > step.step_order);
+  return next ? next.step_order : null;
+}
+
+/**
+ * Persist run progress and move it to `nextOrder` (null completes the run)
+ */
+async function advanceRun(run, steps, nextOrder, updates) {
+  try {
+    await assertNotCancelled(run.id);
+  } catch (error) {
+    // The step's side effects are not on the stack the cancellation compensated
+    error.compensations = (updates.compensation_stack || []).slice((run.compensation_stack || []).length);
+    throw error;
+  }
+
+  const isComplete = nextOrder === null;
+  const finishedAt = new Date();
+
+  await Run.update(run.id, {
+    retry_state: null,
+    next_attempt_at: null,
+    ...updates,
+    status: isComplete ? 'completed' : 'pending',
+    current_step_order: isComplete ? steps.length : nextOrder,
+    finished_at: isComplete ? finishedAt.toISOString() : undefined,
+    duration_ms: isComplete ? (finishedAt - new Date(run.started_at)) : undefined
+  });
+
+  if (isComplete) {
+    await logRun(run.id, run.tenant_id, 'INFO', 'Workflow completed successfully');
+    await wakeParentRun(run);
+  }
+
+  return {
+    status: isComplete ? 'completed' : 'pending',
+    nextStep: nextOrder
+  };
+}
+
+/**
+ * Undo completed steps in reverse order once a failed run is abandoned (or
+ * cancelled with compensate)
+ * Every compensation is attempted and logged, even if an earlier one fails
+ * @param {object} run - Run record (its compensation_stack is replayed)
+ * @param {string} tenantId - Tenant ID
+ * @param {Array} extraEntries - Entries not yet persisted on the run
+ * @returns {Promise<{status, results}>}
+ */
+export async function compensateRun(run, tenantId, extraEntries = []) {
+  const stack = [...(run.compensation_stack || []), ...extraEntries];
+  if (stack.length === 0) {
+    return { status: 'none', results: [] };
+  }
+
+  await logRun(run.id, tenantId, 'WARN', `Compensating ${stack.length} completed step(s)`, {
+    compensation: true,
+    steps: stack.map(entry => entry.step_name)
+  });
+
+  const results = [];
+
+  for (const entry of [...stack].reverse()) {
+    const action = `${entry.tool}.${entry.compensation.action}`;
+
+    try {
+      const stepResult = await executeStep({ ...run, context: { ...run.context, result: entry.result } }, {
+        step_name: `compensate.${entry.step_name}`,
+        tool: entry.tool,
+        action: entry.compensation.action,
+        connection_id: entry.connection_id,
+        mapping_json: entry.compensation.mapping_json
+      }, tenantId, { compensating: true });
+
+      results.push({ step_name: entry.step_name, action, status: 'compensated' });
+      await logRun(run.id, tenantId, 'INFO', `Compensation completed: ${entry.step_name} (${action})`, {
+        compensation: true,
+        step_name: entry.step_name,
+        action,
+        result: stepResult.result
+      });
+    } catch (error) {
+      results.push({ step_name: entry.step_name, action, status: 'failed', error: error.message });
+      await logRun(run.id, tenantId, 'ERROR', `Compensation failed: ${entry.step_name} (${action}): ${error.message}`, {
+        compensation: true,
+        step_name: entry.step_name,
+        action,
+        error: error.message
+      });
+    }
+  }
+
+  const status = results.every(r => r.status === 'compensated') ? 'completed' : 'partial';
+
+  await Run.update(run.id, {
+    compensation_status: status,
+    compensation_results: results,
+    compensation_stack: []
+  });
+
+  return { status, results };
+}
+
+/**
+ * Hold a failed run's compensations until it is abandoned
+ * The run stays resumable from its failing step, so what it completed is kept;
+ * abandonRun rolls it back. A sub-workflow run its parent waits on is retried
+ * through the parent instead, so it is rolled back right away.
+ * @param {Array} entries - Entries not yet persisted on the run
+ */
+async function settleFailedCompensations(run, tenantId, entries = []) {
+  if (isAwaitedChildRun(run)) {
+    return await compensateRun(run, tenantId, entries);
+  }
+
+  const stack = pushCompensations(run, entries || []);
+  if (stack.length === 0) {
+    return null;
+  }
+
+  await Run.update(run.id, { compensation_stack: stack });
+  await logRun(run.id, tenantId, 'WARN', `${stack.length} completed step(s) will be rolled back if the run is abandoned instead of resumed`, {
+    compensation: true,
+    steps: stack.map(entry => entry.step_name)
+  });
+  return null;
+}
+
+/**
+ * Undo steps that completed after their run was cancelled with compensate
+ * cancelRun compensated the stack as it stood; these entries came in later
+ */
+async function compensateAfterCancel(runId, tenantId, entries = []) {
+  const run = await Run.get(runId);
+  if (!run || !run.cancel_compensate || entries.length === 0) {
+    return null;
+  }
+
+  return await compensateLate(run, tenantId, entries);
+}
+
+/**
+ * Undo entries that arrived after their run was already rolled back, adding
+ * their results to the earlier ones
+ */
+async function compensateLate(run, tenantId, entries) {
+  const earlier = run.compensation_results || [];
+  const late = await compensateRun({ ...run, compensation_stack: [] }, tenantId, entries);
+  const results = [...earlier, ...late.results];
+  await Run.update(run.id, {
+    compensation_status: results.every(r => r.status === 'compensated') ? 'completed' : 'partial',
+    compensation_results: results
+  });
+
+  return late;
+}
+
+/**
+ * Append new compensation entries to the run's stack
+ */
+function pushCompensations(run, entries) {
+  return [...(run.compensation_stack || []), ...entries.filter(Boolean)];
+}
+
 /**
  * Log to RunLog
  */
@@ -265,4 +1609,4 @@ async function logRun(runId, tenantId, level, message, payload = {}) {
   });
 }
 
-export default { runWorkflow, processNextStep };
+export default { runWorkflow, processNextStep, resumeRun, abandonRun, cancelRun, getFailedStepParams, compensateRun };
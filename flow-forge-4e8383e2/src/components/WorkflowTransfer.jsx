@@ -0,0 +1,428 @@
+/**
+ * WorkflowTransfer: Export workflows to a portable file and import them into another tenant
+ *
+ * File format (JSON or YAML), format_version 1:
+ * {
+ *   format: 'flowforge.workflow', format_version: 1, exported_at,
+ *   source: { workflow_key, version },
+ *   workflow: { key, name, description, simulation_mode },
+ *   workflow_json: { trigger: { type, config }, steps: [{ name, provider, action, inputs, connection, ... }] },
+ *   connections: { <placeholder>: { provider, name } }
+ * }
+ * workflow_json and required_connections follow the marketplace template manifest.
+ * Connection ids and credentials never leave the tenant: each step names a
+ * connection placeholder, which import maps to a connection in the target tenant.
+ * Provider calls nested in a step's inputs (parallel branches, for_each sub-steps
+ * and source) name their placeholder the same way, as `connection`.
+ */
+
+import yaml from 'js-yaml';
+import { Workflow, WorkflowStep, WorkflowVersion, Connection } from '@/api/entities';
+import TenantEntity from './TenantEntity';
+import { toStepName, validateStepReferences, describeReferenceIssue } from './StepAddressing';
+import { isValidCron } from './CronExpression';
+import { isSubWorkflowStep } from './SubWorkflow';
+import { validateTemplateActions } from './ConnectorRegistry';
+import { publishWorkflow, markDraftChanged, getDraftTrigger } from './WorkflowVersioning';
+import { complianceLogger } from './ComplianceLogger';
+
+export const FORMAT = 'flowforge.workflow';
+export const FORMAT_VERSION = 1;
+
+const TRIGGER_TYPES = ['webhook', 'schedule', 'manual'];
+
+// Optional step settings carried through export and import unchanged
+const STEP_SETTINGS = [
+  'requires_approval',
+  'approval_roles',
+  'risk_level',
+  'amount_path',
+  'retry_on_failure',
+  'retry_policy',
+  'compensation',
+  'pii_fields'
+];
+
+// ============================================================================
+// NESTED CALLS
+// ============================================================================
+
+function parseNested(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Rewrite the provider calls nested in a step's inputs: parallel branches,
+ * for_each sub-steps and the for_each list source
+ * @param {object} step - { tool | provider, action }
+ * @param {function} rewrite - (call) => call
+ * @returns {object} - Inputs with the rewritten calls
+ */
+function mapNestedCalls(step, inputs, rewrite) {
+  if ((step.tool || step.provider) !== 'logic' || !inputs || typeof inputs !== 'object') {
+    return inputs;
+  }
+
+  const mapped = { ...inputs };
+  const mapList = (field) => {
+    const calls = parseNested(inputs[field]);
+    if (Array.isArray(calls)) {
+      mapped[field] = calls.map(rewrite);
+    }
+  };
+
+  if (step.action === 'parallel') {
+    mapList('branches');
+  } else if (step.action === 'for_each') {
+    mapList('steps');
+    const source = parseNested(inputs.source);
+    if (source && typeof source === 'object') {
+      mapped.source = rewrite(source);
+    }
+  }
+  return mapped;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Build the export document for a workflow
+ * Exports the published version when there is one, otherwise the draft
+ * @param {string} workflowId
+ * @param {object} options - { version: specific published version, draft: export the draft instead }
+ */
+export async function exportWorkflow(workflowId, { version = null, draft = false } = {}) {
+  const TenantWorkflow = TenantEntity.wrap(Workflow);
+  const workflow = await TenantWorkflow.get(workflowId);
+  if (!workflow) {
+    throw new Error(`Workflow not found: ${workflowId}`);
+  }
+
+  let source;
+  if (!draft && (version || workflow.published_version_id)) {
+    source = version
+      ? (await WorkflowVersion.filter({ workflow_id: workflowId, version: Number(version) }))[0]
+      : await WorkflowVersion.get(workflow.published_version_id);
+    if (!source) {
+      throw new Error(`Version ${version} of ${workflow.display_name} not found`);
+    }
+  } else {
+    source = {
+      version: null,
+      ...getDraftTrigger(workflow),
+      steps_json: await WorkflowStep.filter({ workflow_id: workflowId }, 'step_order')
+    };
+  }
+
+  const connections = await TenantEntity.wrap(Connection).list();
+  const placeholders = {};
+  const placeholderFor = (step) => {
+    if (!step.connection_id) {
+      return null;
+    }
+
+    const existing = Object.keys(placeholders).find(key => placeholders[key].connection_id === step.connection_id);
+    if (existing) {
+      return existing;
+    }
+
+    const connection = connections.find(c => c.id === step.connection_id);
+    const provider = connection ? connection.provider : step.tool;
+    const taken = Object.keys(placeholders).filter(key => placeholders[key].provider === provider).length;
+    const key = taken === 0 ? provider : `${provider}_${taken + 1}`;
+    placeholders[key] = { provider, name: connection ? connection.name : null, connection_id: step.connection_id };
+    return key;
+  };
+
+  const steps = [...source.steps_json]
+    .sort((a, b) => a.step_order - b.step_order)
+    .map((step) => {
+      const exported = {
+        name: step.step_name,
+        provider: step.tool,
+        action: step.action,
+        inputs: mapNestedCalls(step, step.mapping_json || {}, ({ connection_id, ...call }) => {
+          const connection = placeholderFor({ connection_id, tool: call.tool || call.provider });
+          return connection ? { ...call, connection } : call;
+        })
+      };
+      const connection = placeholderFor(step);
+      if (connection) {
+        exported.connection = connection;
+      }
+      for (const field of STEP_SETTINGS) {
+        if (step[field] !== undefined && step[field] !== null) {
+          exported[field] = step[field];
+        }
+      }
+      return exported;
+    });
+
+  return {
+    format: FORMAT,
+    format_version: FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    source: {
+      workflow_key: workflow.workflow_key,
+      version: source.version
+    },
+    workflow: {
+      key: workflow.workflow_key,
+      name: workflow.display_name,
+      description: workflow.description || '',
+      simulation_mode: Boolean(workflow.simulation_mode)
+    },
+    required_connections: [...new Set(Object.values(placeholders).map(p => p.provider))],
+    connections: Object.fromEntries(
+      Object.entries(placeholders).map(([key, p]) => [key, { provider: p.provider, name: p.name }])
+    ),
+    workflow_json: {
+      trigger: { type: source.trigger_type, config: source.trigger_config || {} },
+      steps
+    }
+  };
+}
+
+/**
+ * Serialize an export document
+ * @param {'json'|'yaml'} format
+ */
+export function serializeWorkflowFile(doc, format = 'json') {
+  return format === 'yaml'
+    ? yaml.dump(doc, { noRefs: true, lineWidth: 120 })
+    : JSON.stringify(doc, null, 2);
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Parse a JSON or YAML workflow file
+ */
+export function parseWorkflowFile(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    throw new Error('Workflow file is empty');
+  }
+
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+
+  const doc = yaml.load(trimmed, { schema: yaml.JSON_SCHEMA });
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('Workflow file is not a JSON or YAML object');
+  }
+  return doc;
+}
+
+/**
+ * Check a parsed workflow file
+ * @returns {{errors: string[], warnings: string[]}} - Import is refused while errors is non-empty
+ */
+export function validateWorkflowFile(doc) {
+  const errors = [];
+  const warnings = [];
+
+  if (!doc || doc.format !== FORMAT) {
+    errors.push(`Not a workflow export (format must be "${FORMAT}")`);
+    return { errors, warnings };
+  }
+  if (doc.format_version !== FORMAT_VERSION) {
+    errors.push(`Unsupported format_version ${doc.format_version} (this version reads ${FORMAT_VERSION})`);
+    return { errors, warnings };
+  }
+
+  if (!doc.workflow || !doc.workflow.key || !doc.workflow.name) {
+    errors.push('workflow.key and workflow.name are required');
+  }
+
+  const workflowJson = doc.workflow_json || {};
+  const trigger = workflowJson.trigger || {};
+  if (!TRIGGER_TYPES.includes(trigger.type)) {
+    errors.push(`Unknown trigger type "${trigger.type}"`);
+  } else if (trigger.type === 'schedule' && !isValidCron(trigger.config && trigger.config.cron)) {
+    errors.push(`Invalid cron expression "${trigger.config && trigger.config.cron}"`);
+  } else if (trigger.type === 'webhook' && !(trigger.config && trigger.config.event)) {
+    errors.push('Webhook trigger needs config.event');
+  }
+
+  const steps = Array.isArray(workflowJson.steps) ? workflowJson.steps : [];
+  if (steps.length === 0) {
+    errors.push('workflow_json.steps must list at least one step');
+  }
+
+  const placeholders = doc.connections || {};
+  steps.forEach((step, index) => {
+    const label = `Step ${index} (${step.name || 'unnamed'})`;
+    if (!step.name || !step.provider || !step.action) {
+      errors.push(`${label}: name, provider and action are required`);
+    }
+    if (step.connection && !placeholders[step.connection]) {
+      errors.push(`${label}: connection "${step.connection}" is not declared under connections`);
+    }
+    mapNestedCalls(step, step.inputs, (call) => {
+      if (call.connection && !placeholders[call.connection]) {
+        errors.push(`${label}: ${call.name || 'nested call'} uses connection "${call.connection}", which is not declared under connections`);
+      }
+      return call;
+    });
+    if (isSubWorkflowStep({ tool: step.provider, action: step.action })) {
+      warnings.push(`${label}: calls workflow ${step.inputs && step.inputs.workflow_id}; check that id exists in this tenant after import`);
+    }
+  });
+
+  for (const issue of validateStepReferences(workflowJson)) {
+    errors.push(describeReferenceIssue(issue));
+  }
+
+  // Same registry check as template installs: unknown actions and missing required inputs
+  errors.push(...validateTemplateActions(workflowJson));
+
+  return { errors, warnings };
+}
+
+/**
+ * Default mapping of connection placeholders to the target tenant's connections
+ * Picks the only active connection of the provider, or one with the same name
+ * @returns {object} - { <placeholder>: connection_id | null }
+ */
+export function suggestConnectionMapping(doc, connections) {
+  const mapping = {};
+
+  for (const [key, placeholder] of Object.entries(doc.connections || {})) {
+    const candidates = connections.filter(c => c.provider === placeholder.provider && c.status === 'active');
+    const byName = candidates.find(c => placeholder.name && c.name === placeholder.name);
+    mapping[key] = byName ? byName.id : candidates.length === 1 ? candidates[0].id : null;
+  }
+
+  return mapping;
+}
+
+/**
+ * Create (or update the draft of) a workflow in the current tenant from a validated file
+ * A workflow with the same key is not duplicated: its draft is replaced, so
+ * promoting staging → production goes through the normal publish step
+ * @param {object} doc - Parsed workflow file
+ * @param {object} options - { connectionMapping: { placeholder: connection_id }, publish, userId }
+ * @returns {Promise<{workflow, created: boolean, version: object|null}>}
+ */
+export async function importWorkflow(doc, { connectionMapping = {}, publish = false, userId = null } = {}) {
+  const { errors } = validateWorkflowFile(doc);
+  if (errors.length > 0) {
+    throw new Error(`Invalid workflow file:\n${errors.join('\n')}`);
+  }
+
+  const unmapped = Object.keys(doc.connections || {}).filter(key => !connectionMapping[key]);
+  if (unmapped.length > 0) {
+    throw new Error(`Map these connections before importing: ${unmapped.join(', ')}`);
+  }
+
+  // A mapped connection must be of the provider the placeholder's steps call
+  const connections = await TenantEntity.wrap(Connection).list();
+  const mismatched = Object.entries(doc.connections || {})
+    .map(([key, placeholder]) => ({ key, placeholder, connection: connections.find(c => c.id === connectionMapping[key]) }))
+    .filter(({ placeholder, connection }) => !connection || connection.provider !== placeholder.provider);
+  if (mismatched.length > 0) {
+    throw new Error(`These connections do not match their provider: ${mismatched
+      .map(({ key, placeholder, connection }) => `${key} needs ${placeholder.provider}, got ${connection ? connection.provider : 'an unknown connection'}`)
+      .join(', ')}`);
+  }
+
+  const TenantWorkflow = TenantEntity.wrap(Workflow);
+  const TenantWorkflowStep = TenantEntity.wrap(WorkflowStep);
+  const { trigger, steps } = doc.workflow_json;
+
+  const [existing] = await TenantWorkflow.filter({ workflow_key: doc.workflow.key });
+  let workflow;
+  if (existing) {
+    workflow = existing;
+    await TenantWorkflow.update(existing.id, {
+      display_name: doc.workflow.name,
+      description: doc.workflow.description || '',
+      // Like a composer draft, the imported trigger goes live on publish
+      draft_trigger_type: trigger.type,
+      draft_trigger_config: trigger.config || {}
+    });
+    for (const step of await TenantWorkflowStep.filter({ workflow_id: existing.id })) {
+      await TenantWorkflowStep.delete(step.id);
+    }
+  } else {
+    // Imported workflows start disabled and in simulation, like template installs
+    workflow = await TenantWorkflow.create({
+      workflow_key: doc.workflow.key,
+      display_name: doc.workflow.name,
+      description: doc.workflow.description || '',
+      version: 0,
+      has_unpublished_changes: true,
+      enabled: false,
+      simulation_mode: true,
+      draft_trigger_type: trigger.type,
+      draft_trigger_config: trigger.config || {}
+    });
+  }
+
+  await TenantWorkflowStep.bulkCreate(steps.map((step, index) => {
+    const record = {
+      workflow_id: workflow.id,
+      step_order: index,
+      step_name: toStepName(step.name),
+      tool: step.provider,
+      action: step.action,
+      connection_id: step.connection ? connectionMapping[step.connection] : null,
+      mapping_json: mapNestedCalls(step, step.inputs || {}, ({ connection, ...call }) =>
+        connection ? { ...call, connection_id: connectionMapping[connection] } : call
+      )
+    };
+    for (const field of STEP_SETTINGS) {
+      if (step[field] !== undefined) {
+        record[field] = step[field];
+      }
+    }
+    return record;
+  }));
+
+  let version = null;
+  if (publish) {
+    version = await publishWorkflow(workflow.id, { userId, notes: `Imported from ${describeSource(doc)}` });
+  } else if (existing) {
+    await markDraftChanged(workflow.id);
+  }
+
+  await complianceLogger.logConfigChange(userId || 'user', 'workflow', null, {
+    workflow_id: workflow.id,
+    workflow_key: doc.workflow.key,
+    source: doc.source || null,
+    created: !existing,
+    published_version: version ? version.version : null,
+    connections_mapped: Object.keys(connectionMapping).length
+  }, 'workflow import');
+
+  return { workflow, created: !existing, version };
+}
+
+function describeSource(doc) {
+  const source = doc.source || {};
+  return source.version ? `${source.workflow_key} v${source.version}` : `${source.workflow_key || doc.workflow.key} draft`;
+}
+
+export default {
+  FORMAT,
+  FORMAT_VERSION,
+  exportWorkflow,
+  serializeWorkflowFile,
+  parseWorkflowFile,
+  validateWorkflowFile,
+  suggestConnectionMapping,
+  importWorkflow
+};
@@ -0,0 +1,307 @@
+/**
+ * WorkflowVersioning: Draft and published versions of a workflow
+ *
+ * WorkflowStep rows are the draft: the composer and Optimize edit them freely.
+ * Publishing copies the draft into an immutable WorkflowVersion
+ * { workflow_id, version, trigger_type, trigger_config, steps_json, published_at, published_by, notes }
+ * and points the workflow at it (workflow.version / published_version_id).
+ * Runs pin the version they started on (run.workflow_version_id) and always
+ * execute its snapshot, so editing or republishing never changes a run in flight.
+ * Rolling back republishes an older snapshot as a new version and resets the draft to it.
+ *
+ * The live trigger_type / trigger_config (read by webhook dispatch and the
+ * scheduler) only change on publish; draft trigger edits are kept in
+ * draft_trigger_type / draft_trigger_config until then.
+ */
+
+import { Workflow, WorkflowStep, WorkflowVersion } from '@/api/entities';
+import { assertStepReferences } from './StepAddressing';
+
+// Step fields carried into a snapshot and compared by diffVersions
+const STEP_FIELDS = [
+  'step_order',
+  'step_name',
+  'tool',
+  'action',
+  'connection_id',
+  'mapping_json',
+  'requires_approval',
+  'approval_roles',
+  'risk_level',
+  'amount_path',
+  'retry_on_failure',
+  'retry_policy',
+  'compensation',
+  'pii_fields'
+];
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Copy of a draft step as stored in a version
+ * The draft step id is kept so approvals can still point at the step
+ */
+export function snapshotStep(step) {
+  const snapshot = { id: step.id };
+  for (const field of STEP_FIELDS) {
+    if (step[field] !== undefined) {
+      snapshot[field] = step[field];
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Trigger the draft would publish: an unpublished trigger edit, else the live one
+ * @returns {{trigger_type, trigger_config}}
+ */
+export function getDraftTrigger(workflow) {
+  if (workflow.draft_trigger_type) {
+    return { trigger_type: workflow.draft_trigger_type, trigger_config: workflow.draft_trigger_config || {} };
+  }
+  return { trigger_type: workflow.trigger_type, trigger_config: workflow.trigger_config || {} };
+}
+
+async function loadDraftSteps(workflowId) {
+  return await WorkflowStep.filter({ workflow_id: workflowId }, 'step_order');
+}
+
+/**
+ * All versions of a workflow, newest first
+ */
+export async function listVersions(workflowId) {
+  const versions = await WorkflowVersion.filter({ workflow_id: workflowId });
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * One version of a workflow by number
+ */
+export async function getVersion(workflowId, version) {
+  const versions = await WorkflowVersion.filter({ workflow_id: workflowId, version: Number(version) });
+  if (versions.length === 0) {
+    throw new Error(`Version ${version} of workflow ${workflowId} not found`);
+  }
+  return versions[0];
+}
+
+async function createVersion(workflow, { trigger_type, trigger_config, steps, userId, notes, rolledBackFrom = null }) {
+  const existing = await WorkflowVersion.filter({ workflow_id: workflow.id });
+  const number = existing.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  const publishedAt = new Date().toISOString();
+
+  const version = await WorkflowVersion.create({
+    tenant_id: workflow.tenant_id,
+    workflow_id: workflow.id,
+    version: number,
+    trigger_type,
+    trigger_config: trigger_config || {},
+    steps_json: steps.map(snapshotStep),
+    published_at: publishedAt,
+    published_by: userId || null,
+    notes: notes || null,
+    rolled_back_from: rolledBackFrom
+  });
+
+  await Workflow.update(workflow.id, {
+    version: number,
+    published_version_id: version.id,
+    published_at: publishedAt,
+    has_unpublished_changes: false
+  });
+
+  return version;
+}
+
+// ============================================================================
+// PUBLISH / ROLLBACK
+// ============================================================================
+
+/**
+ * Publish a workflow's current draft as a new immutable version
+ * @returns {Promise<object>} - The WorkflowVersion record
+ */
+export async function publishWorkflow(workflowId, { userId, notes } = {}) {
+  const workflow = await Workflow.get(workflowId);
+  if (!workflow) {
+    throw new Error(`Workflow not found: ${workflowId}`);
+  }
+
+  const steps = await loadDraftSteps(workflowId);
+  if (steps.length === 0) {
+    throw new Error(`Workflow ${workflow.display_name} has no steps to publish`);
+  }
+
+  assertStepReferences({
+    steps: steps.map(step => ({ ...step, name: step.step_name }))
+  });
+
+  const trigger = getDraftTrigger(workflow);
+  const version = await createVersion(workflow, {
+    ...trigger,
+    steps,
+    userId,
+    notes
+  });
+
+  // The draft trigger goes live with the version
+  await Workflow.update(workflowId, {
+    ...trigger,
+    draft_trigger_type: null,
+    draft_trigger_config: null
+  });
+
+  return version;
+}
+
+/**
+ * Make an earlier version live again
+ * History is never rewritten: the old snapshot is published as a new version,
+ * and the draft steps and trigger are reset to it
+ */
+export async function rollbackToVersion(workflowId, versionNumber, { userId } = {}) {
+  const workflow = await Workflow.get(workflowId);
+  if (!workflow) {
+    throw new Error(`Workflow not found: ${workflowId}`);
+  }
+
+  const target = await getVersion(workflowId, versionNumber);
+
+  for (const step of await loadDraftSteps(workflowId)) {
+    await WorkflowStep.delete(step.id);
+  }
+  const restored = await WorkflowStep.bulkCreate(target.steps_json.map((step) => {
+    const record = { ...step, workflow_id: workflowId };
+    delete record.id;
+    return record;
+  }));
+
+  await Workflow.update(workflowId, {
+    trigger_type: target.trigger_type,
+    trigger_config: target.trigger_config,
+    draft_trigger_type: null,
+    draft_trigger_config: null
+  });
+
+  return await createVersion(workflow, {
+    trigger_type: target.trigger_type,
+    trigger_config: target.trigger_config,
+    steps: restored,
+    userId,
+    notes: `Rollback to v${target.version}`,
+    rolledBackFrom: target.version
+  });
+}
+
+/**
+ * Flag a workflow whose draft steps no longer match the published version
+ */
+export async function markDraftChanged(workflowId) {
+  await Workflow.update(workflowId, { has_unpublished_changes: true });
+}
+
+// ============================================================================
+// RUN PINNING
+// ============================================================================
+
+/**
+ * Version a new run of a workflow should pin
+ * @param {object} workflow - Workflow record
+ * @param {number|string} [versionNumber] - Specific version, defaults to the published one
+ * @returns {Promise<object>} - WorkflowVersion record
+ */
+export async function resolveRunVersion(workflow, versionNumber = null) {
+  if (versionNumber !== null && versionNumber !== undefined && versionNumber !== '') {
+    return await getVersion(workflow.id, versionNumber);
+  }
+
+  if (workflow.published_version_id) {
+    return await WorkflowVersion.get(workflow.published_version_id);
+  }
+
+  // Workflows created before versioning (or seeded without a version) were live as soon
+  // as they were saved; their current steps become the first snapshot as-is.
+  // Composer drafts and draft imports (an explicit version 0) are not.
+  if (workflow.version === null || workflow.version === undefined || Number(workflow.version) > 0) {
+    return await createVersion(workflow, {
+      trigger_type: workflow.trigger_type,
+      trigger_config: workflow.trigger_config,
+      steps: await loadDraftSteps(workflow.id),
+      notes: 'Snapshot of steps live before versioning'
+    });
+  }
+
+  throw new Error(`Workflow ${workflow.display_name} has no published version`);
+}
+
+/**
+ * Steps a run executes: its pinned snapshot, or the live steps for runs started before versioning
+ */
+export async function loadRunSteps(run) {
+  if (!run.workflow_version_id) {
+    return await loadDraftSteps(run.workflow_id);
+  }
+
+  const version = await WorkflowVersion.get(run.workflow_version_id);
+  return [...version.steps_json].sort((a, b) => a.step_order - b.step_order);
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Step-by-step diff between two versions (or any { trigger_type, trigger_config, steps_json })
+ * Steps are matched by step_name, so a reorder shows as a step_order change
+ * @returns {{trigger: Array<{field, before, after}>, steps: Array<{step_name, change, fields}>}}
+ *   change is 'added' | 'removed' | 'changed' | 'unchanged'; fields lists {field, before, after}
+ */
+export function diffVersions(from, to) {
+  const trigger = ['trigger_type', 'trigger_config']
+    .filter(field => !sameValue(from[field], to[field]))
+    .map(field => ({ field, before: from[field], after: to[field] }));
+
+  const fromSteps = from.steps_json || [];
+  const toSteps = to.steps_json || [];
+  const steps = [];
+
+  for (const after of toSteps) {
+    const before = fromSteps.find(step => step.step_name === after.step_name);
+    if (!before) {
+      steps.push({ step_name: after.step_name, change: 'added', fields: [], after });
+      continue;
+    }
+
+    const fields = STEP_FIELDS
+      .filter(field => !sameValue(before[field], after[field]))
+      .map(field => ({ field, before: before[field], after: after[field] }));
+    steps.push({ step_name: after.step_name, change: fields.length > 0 ? 'changed' : 'unchanged', fields });
+  }
+
+  for (const before of fromSteps) {
+    if (!toSteps.some(step => step.step_name === before.step_name)) {
+      steps.push({ step_name: before.step_name, change: 'removed', fields: [], before });
+    }
+  }
+
+  return { trigger, steps };
+}
+
+export default {
+  snapshotStep,
+  getDraftTrigger,
+  listVersions,
+  getVersion,
+  publishWorkflow,
+  rollbackToVersion,
+  markDraftChanged,
+  resolveRunVersion,
+  loadRunSteps,
+  diffVersions
+};
@@ -0,0 +1,284 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Textarea } from '@/components/ui/textarea';
+import { Inbox, RotateCcw, Trash2, ChevronDown, ChevronRight, Webhook, Workflow as WorkflowIcon } from 'lucide-react';
+import { Workflow, User } from '@/api/entities';
+import TenantEntity from '@/components/TenantEntity';
+import { createPageUrl } from '@/utils';
+import {
+  listDeadLetters,
+  groupDeadLetters,
+  discardDeadLetters,
+  purgeExpiredDeadLetters,
+} from '@/components/DeadLetterQueue';
+import { redriveDeadLetters } from '@/components/DeadLetterRedrive';
+
+const GROUP_FIELDS = {
+  category: 'Error category',
+  workflow_id: 'Workflow',
+  event_type: 'Event type',
+  reason: 'Reason',
+};
+
+const STATUS_STYLES = {
+  open: 'bg-red-100 text-red-800',
+  redriven: 'bg-green-100 text-green-800',
+  discarded: 'bg-gray-100 text-gray-800',
+};
+
+export default function DeadLetterPanel({ onChanged }) {
+  const [entries, setEntries] = useState([]);
+  const [workflowNames, setWorkflowNames] = useState({});
+  const [status, setStatus] = useState('open');
+  const [kind, setKind] = useState('all');
+  const [groupBy, setGroupBy] = useState('category');
+  const [selected, setSelected] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [patch, setPatch] = useState('');
+  const [working, setWorking] = useState(false);
+  const [results, setResults] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    const filter = { status };
+    if (kind !== 'all') {
+      filter.kind = kind;
+    }
+    setEntries(await listDeadLetters(filter));
+    setSelected([]);
+
+    const workflows = await TenantEntity.wrap(Workflow).list();
+    setWorkflowNames(Object.fromEntries(workflows.map(w => [w.id, w.display_name])));
+  }, [status, kind]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const toggle = (id, checked) => {
+    setSelected(checked ? [...selected, id] : selected.filter(s => s !== id));
+  };
+
+  const selectGroup = (ids) => {
+    setSelected([...new Set([...selected, ...ids])]);
+  };
+
+  const handleRedrive = async () => {
+    let parsedPatch = null;
+    if (patch.trim()) {
+      try {
+        parsedPatch = JSON.parse(patch);
+      } catch {
+        alert('Payload patch must be valid JSON (a merge patch: objects merge, null removes a key)');
+        return;
+      }
+    }
+
+    if (!confirm(`Re-drive ${selected.length} dead letter(s)${parsedPatch ? ' with the payload patch' : ''}?`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const user = await User.me();
+      const outcome = await redriveDeadLetters(selected, { patch: parsedPatch, userId: user.id });
+      setResults(outcome);
+      setPatch('');
+      await loadEntries();
+      onChanged && onChanged();
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    const note = prompt(`Why discard ${selected.length} dead letter(s)?`);
+    if (note === null) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const user = await User.me();
+      await discardDeadLetters(selected, { userId: user.id, note });
+      await loadEntries();
+      onChanged && onChanged();
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePurge = async () => {
+    const { purged } = await purgeExpiredDeadLetters();
+    alert(`Purged ${purged} expired dead letter(s)`);
+    loadEntries();
+  };
+
+  const groupLabel = (key) => (groupBy === 'workflow_id' ? workflowNames[key] || key : key);
+  const groups = groupDeadLetters(entries, groupBy);
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 bg-white">
+          <option value="open">Open</option>
+          <option value="redriven">Re-driven</option>
+          <option value="discarded">Discarded</option>
+        </select>
+        <select value={kind} onChange={(e) => setKind(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 bg-white">
+          <option value="all">Runs and webhook events</option>
+          <option value="run">Runs</option>
+          <option value="webhook_event">Webhook events</option>
+        </select>
+        <span className="text-gray-500">Group by</span>
+        <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 bg-white">
+          {Object.entries(GROUP_FIELDS).map(([field, label]) => (
+            <option key={field} value={field}>{label}</option>
+          ))}
+        </select>
+        <Button variant="ghost" size="sm" onClick={handlePurge} className="ml-auto">
+          Purge expired
+        </Button>
+      </div>
+
+      {entries.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center">
+            <Inbox className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-600">No {status} dead letters</p>
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          {/* Groups */}
+          <div className="flex flex-wrap gap-2">
+            {groups.map(group => (
+              <button
+                key={group.key}
+                onClick={() => selectGroup(group.ids)}
+                className="px-3 py-1 rounded-full bg-white border border-gray-200 text-xs hover:border-indigo-300"
+                title="Select all in this group"
+              >
+                {groupLabel(group.key)} <span className="font-semibold">{group.count}</span>
+              </button>
+            ))}
+          </div>
+
+          {/* Bulk actions */}
+          {status === 'open' && selected.length > 0 && (
+            <Card className="border-indigo-200">
+              <CardContent className="pt-4 space-y-3">
+                <p className="text-sm font-medium">{selected.length} selected</p>
+                <Textarea
+                  value={patch}
+                  onChange={(e) => setPatch(e.target.value)}
+                  rows={4}
+                  placeholder={'Optional payload patch, e.g. {"order": {"currency": "EUR"}}'}
+                  className="font-mono text-xs"
+                />
+                <div className="flex gap-2">
+                  <Button onClick={handleRedrive} disabled={working} className="bg-indigo-600 hover:bg-indigo-700">
+                    <RotateCcw className="w-4 h-4 mr-2" />
+                    Re-drive
+                  </Button>
+                  <Button variant="outline" onClick={handleDiscard} disabled={working}>
+                    <Trash2 className="w-4 h-4 mr-2" />
+                    Discard
+                  </Button>
+                  <Button variant="ghost" onClick={() => setSelected([])}>Clear selection</Button>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {results && (
+            <div className="p-3 bg-gray-50 border rounded-lg text-sm space-y-1">
+              <p className="font-medium">
+                {results.filter(r => r.status === 'redriven').length} re-driven, {results.filter(r => r.status === 'error').length} failed
+              </p>
+              {results.filter(r => r.status === 'error').map(r => (
+                <p key={r.id} className="text-red-700 text-xs">#{r.id.slice(0, 8)}: {r.error}</p>
+              ))}
+            </div>
+          )}
+
+          {/* Entries */}
+          <div className="space-y-2">
+            {entries.map(entry => (
+              <Card key={entry.id}>
+                <CardContent className="py-3">
+                  <div className="flex items-start gap-3">
+                    {status === 'open' && (
+                      <Checkbox
+                        checked={selected.includes(entry.id)}
+                        onCheckedChange={(checked) => toggle(entry.id, checked)}
+                        className="mt-1"
+                      />
+                    )}
+                    <button onClick={() => setExpanded(expanded === entry.id ? null : entry.id)} className="mt-0.5">
+                      {expanded === entry.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                    </button>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        {entry.kind === 'run' ? (
+                          <WorkflowIcon className="w-4 h-4 text-gray-500" />
+                        ) : (
+                          <Webhook className="w-4 h-4 text-gray-500" />
+                        )}
+                        <span className="font-medium text-sm">
+                          {entry.kind === 'run'
+                            ? `${workflowNames[entry.workflow_id] || 'Workflow'}${entry.step_name ? ` → ${entry.step_name}` : ''}`
+                            : `${entry.provider} ${entry.event_type}`}
+                        </span>
+                        <Badge className={STATUS_STYLES[entry.status] || ''}>{entry.status}</Badge>
+                        <Badge variant="outline">{entry.category}</Badge>
+                        {entry.occurrences > 1 && <Badge variant="outline">×{entry.occurrences}</Badge>}
+                      </div>
+                      <p className="text-sm text-red-700 mt-1 truncate">{entry.reason}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {new Date(entry.dead_lettered_at).toLocaleString()}
+                        {entry.attempts > 1 && ` • ${entry.attempts} attempts`}
+                        {entry.expires_at && ` • expires ${new Date(entry.expires_at).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                  </div>
+
+                  {expanded === entry.id && (
+                    <div className="mt-3 ml-10 space-y-2 text-xs">
+                      {entry.kind === 'run' && (
+                        <Link to={createPageUrl(`RunConsole?id=${entry.ref_id}`)} className="text-indigo-600 hover:underline">
+                          Open failed run #{entry.ref_id.slice(0, 8)}
+                        </Link>
+                      )}
+                      {entry.redrive_ref_id && entry.kind === 'run' && entry.redrive_ref_id !== entry.ref_id && (
+                        <Link to={createPageUrl(`RunConsole?id=${entry.redrive_ref_id}`)} className="block text-indigo-600 hover:underline">
+                          Re-driven as run #{entry.redrive_ref_id.slice(0, 8)}
+                        </Link>
+                      )}
+                      {entry.resolution_note && <p className="text-gray-600">Note: {entry.resolution_note}</p>}
+                      <pre className="bg-gray-50 border rounded p-2 overflow-x-auto">{JSON.stringify(entry.payload, null, 2)}</pre>
+                      {entry.payload_patch && (
+                        <pre className="bg-indigo-50 border border-indigo-100 rounded p-2 overflow-x-auto">
+                          patch: {JSON.stringify(entry.payload_patch, null, 2)}
+                        </pre>
+                      )}
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+DeadLetterPanel.propTypes = {
+  onChanged: PropTypes.func,
+};
@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -18,6 +19,9 @@ import {
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Workflow, WorkflowStep, Connection, ComplianceEvent, MetricEvent } from '@/api/entities';
+import { toStepName, assertStepReferences } from '@/components/StepAddressing';
+import { publishWorkflow } from '@/components/WorkflowVersioning';
+import { validateTemplateActions, requiresConnection } from '@/components/ConnectorRegistry';
 
 export default function InstallWizard({ template, onClose, onComplete }) {
   const [step, setStep] = useState(0);
@@ -32,6 +36,14 @@ export default function InstallWizard({ template, onClose, onComplete }) {
   const [error, setError] = useState(null);
   const [testResult, setTestResult] = useState(null);
 
+  // Actions the connector registry does not know, and providers used without a required connection
+  const templateIssues = [
+    ...validateTemplateActions(template.workflow_json),
+    ...[...new Set(template.workflow_json.steps.map(s => s.provider))]
+      .filter(provider => requiresConnection(provider) && !template.required_connections.includes(provider))
+      .map(provider => `${provider} is used by a step but not listed in required connections`)
+  ];
+
   const installSteps = [
     'Connect Services',
     'Configure Settings',
@@ -75,6 +87,12 @@ export default function InstallWizard({ template, onClose, onComplete }) {
     setError(null);
 
     try {
+      // Refuse templates whose {{ }} references cannot resolve at run time
+      assertStepReferences(template.workflow_json);
+      if (templateIssues.length > 0) {
+        throw new Error(`Template is not supported by the installed connectors:\n${templateIssues.join('\n')}`);
+      }
+
       // 1. Create workflow from template
       const [workflow] = await Workflow.bulkCreate([{
         workflow_key: template.template_id,
@@ -91,7 +109,7 @@ export default function InstallWizard({ template, onClose, onComplete }) {
       const steps = template.workflow_json.steps.map((stepTemplate, index) => ({
         workflow_id: workflow.id,
         step_order: index,
-        step_name: stepTemplate.name.toLowerCase().replace(/\s+/g, '_'),
+        step_name: toStepName(stepTemplate.name),
         tool: stepTemplate.provider,
         action: stepTemplate.action,
         connection_id: selectedConnections[stepTemplate.provider],
@@ -99,10 +117,12 @@ export default function InstallWizard({ template, onClose, onComplete }) {
         requires_approval: stepTemplate.requires_approval || false,
         approval_roles: stepTemplate.approval_roles || [],
         risk_level: stepTemplate.risk_level || 'normal',
+        compensation: stepTemplate.compensation,
         pii_fields: template.gdpr.pii_fields_collected || [],
       }));
 
       await WorkflowStep.bulkCreate(steps);
+      await publishWorkflow(workflow.id, { notes: `Installed from ${workflow.workflow_key}` });
 
       // 3. Log compliance event
       await ComplianceEvent.create({
@@ -141,8 +161,9 @@ export default function InstallWizard({ template, onClose, onComplete }) {
 
   const canProceed = () => {
     if (step === 0) {
-      // Check all required connections are selected
-      return template.required_connections.every(provider => selectedConnections[provider]);
+      // Check all required connections are selected and every action is supported
+      return templateIssues.length === 0 &&
+        template.required_connections.every(provider => selectedConnections[provider]);
     }
     if (step === 3) {
       // Check test run completed
@@ -221,6 +242,18 @@ export default function InstallWizard({ template, onClose, onComplete }) {
                     </p>
                   </div>
 
+                  {templateIssues.length > 0 && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800 space-y-1">
+                      <p className="font-medium">
+                        <AlertCircle className="w-4 h-4 inline mr-2" />
+                        This template cannot be installed:
+                      </p>
+                      {templateIssues.map(issue => (
+                        <p key={issue} className="font-mono text-xs">{issue}</p>
+                      ))}
+                    </div>
+                  )}
+
                   {template.required_connections.map(provider => {
                     const availableConns = connections.filter(c => c.provider === provider);
                     
@@ -510,4 +543,35 @@ export default function InstallWizard({ template, onClose, onComplete }) {
       </motion.div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+InstallWizard.propTypes = {
+  template: PropTypes.shape({
+    template_id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    version: PropTypes.string,
+    category: PropTypes.string,
+    icon: PropTypes.string,
+    workflow_json: PropTypes.shape({
+      trigger: PropTypes.shape({
+        type: PropTypes.string.isRequired,
+        config: PropTypes.object,
+      }).isRequired,
+      steps: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string,
+        provider: PropTypes.string.isRequired,
+        action: PropTypes.string.isRequired,
+        inputs: PropTypes.object,
+      })).isRequired,
+    }).isRequired,
+    required_connections: PropTypes.arrayOf(PropTypes.string).isRequired,
+    permissions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    gdpr: PropTypes.shape({
+      consent_needed: PropTypes.bool,
+      pii_fields_collected: PropTypes.arrayOf(PropTypes.string),
+    }).isRequired,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onComplete: PropTypes.func.isRequired,
+};
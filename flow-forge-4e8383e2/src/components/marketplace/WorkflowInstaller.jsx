@@ -5,6 +5,7 @@ import { Badge } from '@/components/ui/badge';
 import { CheckCircle, Circle, X, AlertCircle } from 'lucide-react';
 import { Workflow, WorkflowStep, Connection } from '@/api/entities';
 import { motion, AnimatePresence } from 'framer-motion';
+import { validateTemplateActions } from '@/components/ConnectorRegistry';
 
 export default function WorkflowInstaller({ workflow, onClose, onComplete }) {
   const [step, setStep] = useState(0);
@@ -20,6 +21,18 @@ export default function WorkflowInstaller({ workflow, onClose, onComplete }) {
     'Install'
   ];
 
+  // Library entries list their actions in prose; each becomes a step on one of the required connectors
+  const plannedSteps = workflow.actions.map((action, index) => ({
+    name: action.toLowerCase().replace(/\s+/g, '_'),
+    provider: workflow.connections[index % workflow.connections.length],
+    action: 'execute',
+    inputs: {}
+  }));
+
+  // Steps the connector registry does not know; they install and run unvalidated
+  // until they are set to a registered action in the composer
+  const actionWarnings = validateTemplateActions({ steps: plannedSteps });
+
   React.useEffect(() => {
     loadConnections();
   }, []);
@@ -61,14 +74,14 @@ export default function WorkflowInstaller({ workflow, onClose, onComplete }) {
       }]);
 
       // Create workflow steps (simplified - real implementation would be more detailed)
-      const steps = workflow.actions.map((action, index) => ({
+      const steps = plannedSteps.map((planned, index) => ({
         workflow_id: newWorkflow.id,
         step_order: index,
-        step_name: action.toLowerCase().replace(/\s+/g, '_'),
-        tool: workflow.connections[index % workflow.connections.length],
-        action: 'execute',
-        connection_id: Object.values(selectedConnections)[index % Object.values(selectedConnections).length],
-        mapping_json: {},
+        step_name: planned.name,
+        tool: planned.provider,
+        action: planned.action,
+        connection_id: selectedConnections[planned.provider],
+        mapping_json: planned.inputs,
         risk_level: 'normal',
       }));
 
@@ -175,6 +188,18 @@ export default function WorkflowInstaller({ workflow, onClose, onComplete }) {
                       </div>
                     </div>
                   </div>
+
+                  {actionWarnings.length > 0 && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800 space-y-1">
+                      <p className="font-medium">
+                        <AlertCircle className="w-4 h-4 inline mr-2" />
+                        Review these steps in the composer after installing:
+                      </p>
+                      {actionWarnings.map(issue => (
+                        <p key={issue} className="font-mono text-xs">{issue}</p>
+                      ))}
+                    </div>
+                  )}
                 </motion.div>
               )}
 
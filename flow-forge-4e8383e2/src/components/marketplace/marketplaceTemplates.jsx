@@ -122,6 +122,17 @@ export const MARKETPLACE_TEMPLATES = [
         config: { event: 'refund.requested' }
       },
       steps: [
+        {
+          name: 'Check Refund Amount',
+          description: 'Skip manager approval for small refunds',
+          provider: 'logic',
+          action: 'condition_check',
+          inputs: {
+            condition: { left: '{{trigger.amount}}', operator: 'gt', right: 100 },
+            on_false: 'process_stripe_refund'
+          },
+          requires_approval: false
+        },
         {
           name: 'Create Approval Request',
           description: 'Request manager approval via Slack',
@@ -237,12 +248,25 @@ export const MARKETPLACE_TEMPLATES = [
         },
         {
           name: 'Send Reminders',
-          description: 'Email personalized reminders with payment links',
-          provider: 'email',
-          action: 'email.send_template',
+          description: 'Email a personalized reminder for every overdue invoice',
+          provider: 'logic',
+          action: 'for_each',
           inputs: {
-            recipients: '{{step_1.customer_emails}}',
-            template: 'payment_reminder'
+            items: '{{step_1.overdue_invoices}}',
+            concurrency: 5,
+            steps: [
+              {
+                name: 'send_reminder',
+                tool: 'email',
+                action: 'email.send_template',
+                mapping_json: {
+                  to: '{{item.customer_email}}',
+                  template: 'payment_reminder',
+                  invoice_number: '{{item.invoice_number}}',
+                  payment_link: '{{item.payment_link}}'
+                }
+              }
+            ]
           },
           requires_approval: false
         }
@@ -322,7 +346,8 @@ export const MARKETPLACE_TEMPLATES = [
           action: 'invoices.update',
           inputs: {
             invoice_id: '{{trigger.invoice_id}}',
-            tax_amount: '{{step_1.vat_amount}}'
+            tax_amount: '{{(trigger.line_items | sum("price")) * step_1.vat_rate | round(2)}}',
+            reference: 'VAT {{step_1.vat_rate * 100}}% ({{step_0.country | upper}})'
           },
           requires_approval: false
         }
@@ -457,7 +482,10 @@ export const MARKETPLACE_TEMPLATES = [
           description: 'Determine which system triggered the update',
           provider: 'logic',
           action: 'condition_check',
-          inputs: { source: '{{trigger.source}}' },
+          inputs: {
+            source: '{{trigger.source}}',
+            condition: { left: '{{trigger.source}}', operator: 'eq', right: 'shopify' }
+          },
           requires_approval: false
         },
         {
@@ -525,8 +553,8 @@ export const MARKETPLACE_TEMPLATES = [
           provider: 'logic',
           action: 'condition_check',
           inputs: {
-            amount: '{{trigger.amount}}',
-            threshold: 10000
+            condition: { left: '{{trigger.amount}}', operator: 'gt', right: 10000 },
+            on_false: 'notify_requester'
           },
           requires_approval: false
         },
@@ -615,12 +643,23 @@ export const MARKETPLACE_TEMPLATES = [
         },
         {
           name: 'Send Personalized Reminders',
-          description: 'Email reminders with escalating urgency',
-          provider: 'email',
-          action: 'email.send_template',
+          description: 'Email each customer a reminder matching their attempt stage',
+          provider: 'logic',
+          action: 'for_each',
           inputs: {
-            recipients: '{{step_1.customers}}',
-            template: 'dunning_{{step_1.attempt_stage}}'
+            items: '{{step_1.customers}}',
+            concurrency: 5,
+            steps: [
+              {
+                name: 'send_reminder',
+                tool: 'email',
+                action: 'email.send_template',
+                mapping_json: {
+                  to: '{{item.email}}',
+                  template: '{{item.dunning_template}}'
+                }
+              }
+            ]
           },
           requires_approval: false
         },
@@ -7,6 +7,8 @@ import { useState, useEffect, useRef } from 'react';
 import TenantEntity from './TenantEntity';
 import { Run, TenantConfig } from '@/api/entities';
 import { getPollingCoordinator } from './PollingCoordinator'; // Added import
+import { runSchedulerTick } from './CronScheduler';
+import { findDueRuns } from './DueRuns';
 
 export function useWorkflowPoller(intervalMs = 15000, enabled = true) { // Updated default intervalMs
   const [pendingRuns, setPendingRuns] = useState([]);
@@ -53,14 +55,17 @@ export function useWorkflowPoller(intervalMs = 15000, enabled = true) { // Updat
       setIsPolling(true);
       setError(null);
 
-      const TenantRun = TenantEntity.wrap(Run);
+      // Enqueue due schedule fires first so they are picked up in this pass
+      try {
+        await runSchedulerTick();
+      } catch (err) {
+        console.error('Scheduler tick failed:', err);
+      }
 
-      // Fetch runs that need processing
-      const runs = await TenantRun.filter({
-        status: 'pending'
-      }, '-created_date', 100);
+      const TenantRun = TenantEntity.wrap(Run);
 
-      setPendingRuns(runs);
+      // Pending runs, parked retries, sleepers, timed-out event waits and queued runs
+      setPendingRuns(await findDueRuns(TenantRun));
 
     } catch (err) {
       console.error('Polling error:', err);
@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -18,6 +19,25 @@ import {
   CollapsibleContent,
   CollapsibleTrigger,
 } from '@/components/ui/collapsible';
+import { resolveValue } from '@/components/MappingResolver';
+import { hasExpression } from '@/components/ExpressionEngine';
+import { getAction, getConnector, requiresConnection } from '@/components/ConnectorRegistry';
+
+/**
+ * Preview of an input resolved against the composer's sample context
+ */
+function InputPreview({ value, previewContext }) {
+  try {
+    const resolved = resolveValue(value, previewContext);
+    return (
+      <p className="text-xs text-gray-500 mt-1 font-mono truncate">
+        → {resolved === undefined ? 'undefined' : JSON.stringify(resolved)}
+      </p>
+    );
+  } catch (error) {
+    return <p className="text-xs text-red-600 mt-1 font-mono">{error.message}</p>;
+  }
+}
 
 export default function ActionBlock({
   step,
@@ -31,12 +51,19 @@ export default function ActionBlock({
   onSelectConnection,
   isFirst,
   isLast,
+  previewContext = {},
 }) {
   const [isOpen, setIsOpen] = useState(false);
 
   const hasConnection = step.connectionId !== null;
   const selectedConnection = connections.find((c) => c.id === step.connectionId);
 
+  // Input types and auth come from the connector registry when the action is registered
+  const definition = getAction(step.actionData.provider, step.action);
+  const inputSchemas = (definition && definition.input_schema.properties) || {};
+  const required = (definition && definition.input_schema.required) || [];
+  const connector = getConnector(step.actionData.provider);
+
   return (
     <Card className="border-2 border-indigo-200">
       <CardContent className="pt-4">
@@ -75,7 +102,7 @@ export default function ActionBlock({
         </div>
 
         {/* Connection Status */}
-        {step.actionData.provider !== 'logic' && (
+        {requiresConnection(step.actionData.provider) && (
           <div className="mb-3">
             {hasConnection ? (
               <div className="flex items-center justify-between p-2 bg-green-50 border border-green-200 rounded-lg">
@@ -95,6 +122,7 @@ export default function ActionBlock({
                   <AlertCircle className="w-4 h-4 text-yellow-600" />
                   <span className="text-sm font-medium text-yellow-900">
                     No connection selected
+                    {connector && ` (${connector.auth.type.replace('_', ' ')})`}
                   </span>
                 </div>
                 <Button
@@ -128,6 +156,10 @@ export default function ActionBlock({
                     <div key={input}>
                       <label className="block text-xs font-medium text-gray-600 mb-1">
                         {input}
+                        {required.includes(input) && <span className="text-red-600"> *</span>}
+                        {inputSchemas[input] && inputSchemas[input].type && (
+                          <span className="text-gray-400 font-normal"> ({[].concat(inputSchemas[input].type).join(' | ')})</span>
+                        )}
                       </label>
                       <Input
                         placeholder={`Enter ${input} or use {{variable}}`}
@@ -139,6 +171,9 @@ export default function ActionBlock({
                         }
                         className="text-sm font-mono"
                       />
+                      {hasExpression(step.config[input]) && (
+                        <InputPreview value={step.config[input]} previewContext={previewContext} />
+                      )}
                     </div>
                   ))}
                 </div>
@@ -165,4 +200,31 @@ export default function ActionBlock({
       </CardContent>
     </Card>
   );
-}
\ No newline at end of file
+}
+
+ActionBlock.propTypes = {
+  step: PropTypes.shape({
+    action: PropTypes.string.isRequired,
+    connectionId: PropTypes.string,
+    actionData: PropTypes.shape({
+      provider: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      description: PropTypes.string,
+      icon: PropTypes.string,
+      inputs: PropTypes.arrayOf(PropTypes.string).isRequired,
+      outputs: PropTypes.arrayOf(PropTypes.string).isRequired,
+    }).isRequired,
+    config: PropTypes.object.isRequired,
+  }).isRequired,
+  index: PropTypes.number.isRequired,
+  connections: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onDuplicate: PropTypes.func.isRequired,
+  onMoveUp: PropTypes.func.isRequired,
+  onMoveDown: PropTypes.func.isRequired,
+  onSelectConnection: PropTypes.func.isRequired,
+  isFirst: PropTypes.bool,
+  isLast: PropTypes.bool,
+  previewContext: PropTypes.object,
+};
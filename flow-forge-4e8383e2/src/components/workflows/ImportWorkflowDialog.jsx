@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
+import { X, Upload, AlertCircle, AlertTriangle } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { Workflow, Connection } from '@/api/entities';
+import TenantEntity from '@/components/TenantEntity';
+import {
+  parseWorkflowFile,
+  validateWorkflowFile,
+  suggestConnectionMapping,
+  importWorkflow,
+} from '@/components/WorkflowTransfer';
+
+export default function ImportWorkflowDialog({ onClose, onImported }) {
+  const [text, setText] = useState('');
+  const [doc, setDoc] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [existing, setExisting] = useState(null);
+  const [connections, setConnections] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [publish, setPublish] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    TenantEntity.wrap(Connection).list().then(setConnections);
+  }, []);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setText(await file.text());
+      setDoc(null);
+    }
+  };
+
+  const handleValidate = async () => {
+    let parsed;
+    try {
+      parsed = parseWorkflowFile(text);
+    } catch (error) {
+      setDoc(null);
+      setValidation({ errors: [`Could not parse file: ${error.message}`], warnings: [] });
+      return;
+    }
+
+    const result = validateWorkflowFile(parsed);
+    setDoc(parsed);
+    setValidation(result);
+    setMapping(suggestConnectionMapping(parsed, connections));
+
+    const matches = parsed.workflow && parsed.workflow.key
+      ? await TenantEntity.wrap(Workflow).filter({ workflow_key: parsed.workflow.key })
+      : [];
+    setExisting(matches[0] || null);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const result = await importWorkflow(doc, { connectionMapping: mapping, publish });
+      alert(result.version
+        ? `Imported ${result.workflow.display_name} and published v${result.version.version}`
+        : `Imported ${result.workflow.display_name} as a draft`);
+      onImported(result.workflow);
+    } catch (error) {
+      alert(`Import failed: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const placeholders = doc ? Object.entries(doc.connections || {}) : [];
+  const canImport = doc && validation && validation.errors.length === 0
+    && placeholders.every(([key]) => mapping[key]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-6 z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.9 }}
+        className="w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+      >
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle>Import Workflow</CardTitle>
+              <Button variant="ghost" size="icon" onClick={onClose}>
+                <X className="w-5 h-5" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div>
+              <input type="file" accept=".json,.yaml,.yml" onChange={handleFile} className="text-sm" />
+              <Textarea
+                value={text}
+                onChange={(e) => {
+                  setText(e.target.value);
+                  setDoc(null);
+                }}
+                rows={8}
+                placeholder="...or paste an exported JSON / YAML workflow"
+                className="mt-2 text-xs font-mono"
+              />
+              <Button variant="outline" className="mt-2" onClick={handleValidate} disabled={!text.trim()}>
+                Validate
+              </Button>
+            </div>
+
+            {validation && validation.errors.length > 0 && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800 space-y-1">
+                {validation.errors.map(error => (
+                  <p key={error} className="flex items-start gap-2">
+                    <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    {error}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {validation && validation.warnings.length > 0 && (
+              <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 space-y-1">
+                {validation.warnings.map(warning => (
+                  <p key={warning} className="flex items-start gap-2">
+                    <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    {warning}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {doc && validation && validation.errors.length === 0 && (
+              <>
+                <div className="p-3 bg-gray-50 rounded-lg text-sm">
+                  <p className="font-semibold">{doc.workflow.name}</p>
+                  <p className="text-gray-600">
+                    {doc.workflow_json.trigger.type} trigger • {doc.workflow_json.steps.length} steps
+                    {doc.source && doc.source.version && ` • exported from v${doc.source.version}`}
+                  </p>
+                  {existing ? (
+                    <Badge className="bg-yellow-100 text-yellow-800 mt-2">
+                      Replaces the draft of existing workflow {existing.display_name}
+                    </Badge>
+                  ) : (
+                    <Badge className="bg-green-100 text-green-800 mt-2">Creates a new workflow</Badge>
+                  )}
+                </div>
+
+                {placeholders.length > 0 && (
+                  <div className="space-y-2">
+                    <p className="text-sm font-medium">Connections</p>
+                    {placeholders.map(([key, placeholder]) => (
+                      <div key={key} className="flex items-center justify-between gap-3 text-sm">
+                        <span>
+                          <span className="font-mono">{key}</span>
+                          <span className="text-gray-500 capitalize"> ({placeholder.provider}{placeholder.name && `: ${placeholder.name}`})</span>
+                        </span>
+                        <select
+                          value={mapping[key] || ''}
+                          onChange={(e) => setMapping({ ...mapping, [key]: e.target.value || null })}
+                          className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                        >
+                          <option value="">Select connection…</option>
+                          {connections
+                            .filter(c => c.provider === placeholder.provider)
+                            .map(c => (
+                              <option key={c.id} value={c.id}>{c.name} ({c.status})</option>
+                            ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div>
+                    <p className="text-sm font-medium">Publish after import</p>
+                    <p className="text-xs text-gray-600">Otherwise the steps are saved as a draft</p>
+                  </div>
+                  <Switch checked={publish} onCheckedChange={setPublish} />
+                </div>
+              </>
+            )}
+
+            <Button
+              onClick={handleImport}
+              disabled={!canImport || importing}
+              className="w-full bg-indigo-600 hover:bg-indigo-700"
+            >
+              <Upload className="w-4 h-4 mr-2" />
+              {importing ? 'Importing...' : 'Import'}
+            </Button>
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+}
+
+ImportWorkflowDialog.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired,
+};
@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { Approval, Run } from '@/api/entities';
+import { Approval, Run, User } from '@/api/entities';
+import { getFailedStepParams, resumeRun, abandonRun } from '@/components/WorkflowRunner';
+import { listDeadLetters } from '@/components/DeadLetterQueue';
+import DeadLetterPanel from '@/components/actioncenter/DeadLetterPanel';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -20,11 +23,15 @@ import { motion } from 'framer-motion';
 export default function ActionCenter() {
   const [approvals, setApprovals] = useState([]);
   const [failedRuns, setFailedRuns] = useState([]);
+  const [deadLetterCount, setDeadLetterCount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('pending');
   const [selectedItem, setSelectedItem] = useState(null);
   const [comment, setComment] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [resumeTarget, setResumeTarget] = useState(null);
+  const [resumeParams, setResumeParams] = useState('');
+  const [resuming, setResuming] = useState(false);
 
   useEffect(() => {
     loadActionItems();
@@ -38,8 +45,12 @@ export default function ActionCenter() {
       setApprovals(apps);
 
       // Load failed runs that need attention
+      // Abandoned runs were rolled back and need nothing more
       const runs = await Run.filter({ status: 'failed' }, '-started_at', 20);
-      setFailedRuns(runs);
+      setFailedRuns(runs.filter(run => !run.abandoned_at));
+
+      const deadLetters = await listDeadLetters({ status: 'open' }, 1000);
+      setDeadLetterCount(deadLetters.length);
     } catch (error) {
       console.error('Failed to load action items:', error);
     } finally {
@@ -85,8 +96,64 @@ export default function ActionCenter() {
   };
 
   const handleRetryRun = async (run) => {
-    alert('Retry functionality coming soon!');
-    // TODO: Call backend retry endpoint
+    try {
+      const user = await User.me();
+      const failed = await getFailedStepParams(run.id, user.tenant_id);
+      setResumeTarget({ run, step: failed.step });
+      setResumeParams(JSON.stringify(failed.params, null, 2));
+    } catch (error) {
+      alert(`Failed to load failing step: ${error.message}`);
+    }
+  };
+
+  const handleResumeRun = async () => {
+    let paramOverrides;
+    try {
+      paramOverrides = JSON.parse(resumeParams);
+    } catch {
+      alert('Step params must be valid JSON');
+      return;
+    }
+
+    setResuming(true);
+    try {
+      const user = await User.me();
+      const original = await getFailedStepParams(resumeTarget.run.id, user.tenant_id);
+      const edited = JSON.stringify(original.params) !== JSON.stringify(paramOverrides);
+
+      await resumeRun({
+        runId: resumeTarget.run.id,
+        tenantId: user.tenant_id,
+        userId: user.id,
+        paramOverrides: edited ? paramOverrides : undefined,
+      });
+
+      setResumeTarget(null);
+      setResumeParams('');
+      loadActionItems();
+    } catch (error) {
+      alert(`Failed to resume run: ${error.message}`);
+    } finally {
+      setResuming(false);
+    }
+  };
+
+  const handleAbandonRun = async (run) => {
+    const reason = prompt('Abandon this run? Steps it completed are rolled back and it can no longer be resumed. Reason (optional):');
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      const user = await User.me();
+      const result = await abandonRun({ runId: run.id, tenantId: user.tenant_id, userId: user.id, reason });
+      if (result.compensation.status === 'partial') {
+        alert('Run abandoned, but some compensations failed; see the run console');
+      }
+      loadActionItems();
+    } catch (error) {
+      alert(`Failed to abandon run: ${error.message}`);
+    }
   };
 
   const filteredApprovals = approvals.filter((approval) =>
@@ -167,13 +234,14 @@ export default function ActionCenter() {
         </div>
 
         <Tabs value={filter} onValueChange={setFilter}>
-          <TabsList className="grid w-full grid-cols-4">
+          <TabsList className="grid w-full grid-cols-5">
             <TabsTrigger value="pending">
               Pending ({pendingCount})
             </TabsTrigger>
             <TabsTrigger value="approved">Approved</TabsTrigger>
             <TabsTrigger value="rejected">Rejected</TabsTrigger>
             <TabsTrigger value="failed">Failed Runs ({failedCount})</TabsTrigger>
+            <TabsTrigger value="dead_letters">Dead Letters ({deadLetterCount})</TabsTrigger>
           </TabsList>
 
           <TabsContent value="pending" className="mt-6">
@@ -377,19 +445,74 @@ export default function ActionCenter() {
                                 <p className="text-sm text-red-800">{run.error_message}</p>
                               </div>
                             )}
+                            {run.attempt > 1 && (
+                              <p className="text-xs text-gray-500 mt-2">Attempt {run.attempt}</p>
+                            )}
                           </div>
                         </div>
 
-                        <Button onClick={() => handleRetryRun(run)} variant="outline">
-                          Retry
-                        </Button>
+                        {resumeTarget?.run.id !== run.id && (
+                          <div className="flex gap-2">
+                            <Button onClick={() => handleRetryRun(run)} variant="outline">
+                              Retry
+                            </Button>
+                            <Button onClick={() => handleAbandonRun(run)} variant="ghost" className="text-red-600">
+                              Abandon
+                            </Button>
+                          </div>
+                        )}
                       </div>
+
+                      {resumeTarget?.run.id === run.id && (
+                        <div className="mt-4 space-y-3">
+                          <div>
+                            <label className="block text-sm font-medium mb-2">
+                              Resume from step {resumeTarget.step.step_order + 1}:{' '}
+                              <span className="font-mono">
+                                {resumeTarget.step.tool}.{resumeTarget.step.action}
+                              </span>
+                            </label>
+                            <Textarea
+                              value={resumeParams}
+                              onChange={(e) => setResumeParams(e.target.value)}
+                              rows={8}
+                              className="font-mono text-xs"
+                            />
+                            <p className="text-xs text-gray-500 mt-1">
+                              Edit the resolved params if needed. Earlier steps are not re-run.
+                            </p>
+                          </div>
+
+                          <div className="flex gap-2">
+                            <Button
+                              onClick={handleResumeRun}
+                              disabled={resuming}
+                              className="flex-1 bg-indigo-600 hover:bg-indigo-700"
+                            >
+                              {resuming ? 'Resuming...' : 'Resume Run'}
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              onClick={() => {
+                                setResumeTarget(null);
+                                setResumeParams('');
+                              }}
+                            >
+                              Cancel
+                            </Button>
+                          </div>
+                        </div>
+                      )}
                     </CardContent>
                   </Card>
                 ))}
               </div>
             )}
           </TabsContent>
+
+          <TabsContent value="dead_letters" className="mt-6">
+            <DeadLetterPanel onChanged={loadActionItems} />
+          </TabsContent>
         </Tabs>
       </div>
     </div>
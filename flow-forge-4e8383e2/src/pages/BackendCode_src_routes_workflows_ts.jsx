@@ -10,8 +10,8 @@ export default function BackendCode_src_routes_workflows_ts() {
 import { FastifyInstance } from 'fastify';
 import { z } from 'zod';
 import { db } from '../db.js';
-import { runs, runLogs } from '../schema.js';
-import { eq, and } from 'drizzle-orm';
+import { runs, runLogs, complianceEvents } from '../schema.js';
+import { eq, and, notInArray } from 'drizzle-orm';
 import { authMiddleware } from '../middleware/auth.js';
 import { acquireLock, releaseLock } from '../lib/locks.js';
 import { checkIdempotency, setIdempotencyResult } from '../lib/idempotency.js';
@@ -27,6 +27,11 @@ const cancelRunSchema = z.object({
   reason: z.string().optional(),
 });
 
+const retryRunSchema = z.object({
+  retry_mode: z.enum(['from_failure', 'from_beginning']).default('from_failure'),
+  param_overrides: z.record(z.any()).optional(),
+});
+
 export async function workflowRoutes(fastify: FastifyInstance) {
   
   // ==========================================================================
@@ -168,23 +173,49 @@ export async function workflowRoutes(fastify: FastifyInstance) {
     }
 
     try {
-      // Update run status
+      const [run] = await db
+        .select()
+        .from(runs)
+        .where(and(
+          eq(runs.id, runId),
+          eq(runs.tenantId, tenantId)
+        ))
+        .limit(1);
+
+      if (!run) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Run not found',
+        });
+      }
+
+      // Update run status; the worker drops the result of any step still in flight
+      const cancelledAt = new Date();
       const [updatedRun] = await db
         .update(runs)
         .set({
           status: 'cancelled',
-          finishedAt: new Date(),
+          cancelledAt,
+          cancelledBy: userId,
+          cancelReason: body.reason || null,
+          finishedAt: cancelledAt,
+          wakeAt: null,
+          sleepState: null,
+          waitState: null,
+          childWait: null,
+          queueReason: null,
         })
         .where(and(
           eq(runs.id, runId),
-          eq(runs.tenantId, tenantId)
+          eq(runs.tenantId, tenantId),
+          notInArray(runs.status, ['completed', 'failed', 'cancelled'])
         ))
         .returning();
 
       if (!updatedRun) {
-        return reply.status(404).send({
-          error: 'Not Found',
-          message: 'Run not found',
+        return reply.status(409).send({
+          error: 'Conflict',
+          message: 'Run already ' + run.status,
         });
       }
 
@@ -200,6 +231,25 @@ export async function workflowRoutes(fastify: FastifyInstance) {
         },
       });
 
+      await db.insert(complianceEvents).values({
+        tenantId,
+        category: 'run_control',
+        eventType: 'run_cancelled',
+        refType: 'run',
+        refId: runId,
+        actor: userId,
+        actorType: 'user',
+        payload: {
+          run_id: runId,
+          reason: body.reason,
+          previous_status: run.status,
+          cancelled_at: cancelledAt.toISOString(),
+        },
+        piiRedacted: false,
+        digestSha256: '', // Will be computed by compliance module
+        prevDigestSha256: null,
+      });
+
       request.log.info({
         run_id: runId,
         cancelled_by: userId,
@@ -208,6 +258,8 @@ export async function workflowRoutes(fastify: FastifyInstance) {
       return reply.send({
         run_id: updatedRun.id,
         status: updatedRun.status,
+        cancelled_by: updatedRun.cancelledBy,
+        cancel_reason: updatedRun.cancelReason,
         finished_at: updatedRun.finishedAt,
       });
 
@@ -250,7 +302,77 @@ export async function workflowRoutes(fastify: FastifyInstance) {
       });
     }
 
-    // Create new run with same parameters
+    const body = retryRunSchema.parse(request.body ?? {});
+
+    // Resume in place: keep context, re-run only the failing step onward
+    if (body.retry_mode === 'from_failure') {
+      // A rolled-back run has nothing to resume onto
+      if (originalRun.compensationStatus || originalRun.abandonedAt) {
+        return reply.status(409).send({
+          error: 'Conflict',
+          message: 'Run was abandoned and rolled back by compensation; retry from_beginning instead',
+        });
+      }
+
+      const attempt = originalRun.attempt + 1;
+      const paramOverrides = body.param_overrides
+        ? { ...(originalRun.paramOverrides ?? {}), [originalRun.currentStepOrder]: body.param_overrides }
+        : originalRun.paramOverrides;
+
+      const [resumedRun] = await db
+        .update(runs)
+        .set({
+          status: 'pending',
+          attempt,
+          paramOverrides,
+          errorMessage: null,
+          finishedAt: null,
+          durationMs: null,
+        })
+        .where(and(
+          eq(runs.id, runId),
+          eq(runs.tenantId, tenantId),
+          eq(runs.status, 'failed')
+        ))
+        .returning();
+
+      if (!resumedRun) {
+        return reply.status(409).send({
+          error: 'Conflict',
+          message: 'Run is no longer in failed state',
+        });
+      }
+
+      await db.insert(runLogs).values({
+        tenantId,
+        runId,
+        logLevel: 'INFO',
+        message: \`Run resumed from step \${originalRun.currentStepOrder + 1} (attempt \${attempt})\`,
+        payloadJson: {
+          attempt,
+          resumed_by: userId,
+          step_order: originalRun.currentStepOrder,
+          previous_error: originalRun.errorMessage,
+          params_edited: Boolean(body.param_overrides),
+        },
+      });
+
+      request.log.info({
+        run_id: runId,
+        attempt,
+        resumed_by: userId,
+      }, 'Workflow run resumed');
+
+      return reply.status(202).send({
+        run_id: runId,
+        correlation_id: resumedRun.correlationId,
+        status: resumedRun.status,
+        attempt,
+        resumed_from_step: originalRun.currentStepOrder,
+      });
+    }
+
+    // Restart from the beginning as a new run
     const correlationId = generateSecureToken(16);
 
     const [newRun] = await db
@@ -56,6 +56,48 @@ export const credentials = pgTable('credentials', {
   connectionIdIdx: index('credentials_connection_id_idx').on(table.connectionId),
 }));
 
+// =============================================================================
+// WORKFLOW VERSIONS
+// Immutable published snapshots; runs pin one of these
+// =============================================================================
+
+export const workflowVersions = pgTable('workflow_versions', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  tenantId: uuid('tenant_id').notNull().references(() => tenants.id, { onDelete: 'cascade' }),
+  workflowId: uuid('workflow_id').notNull(),
+  version: integer('version').notNull(),
+  triggerType: varchar('trigger_type', { length: 50 }).notNull(),
+  triggerConfig: jsonb('trigger_config'),
+  stepsJson: jsonb('steps_json').notNull(),
+  publishedAt: timestamp('published_at').notNull().defaultNow(),
+  publishedBy: varchar('published_by', { length: 255 }),
+  notes: text('notes'),
+  rolledBackFrom: integer('rolled_back_from'),
+}, (table) => ({
+  workflowVersionIdx: index('workflow_versions_workflow_version_idx').on(table.workflowId, table.version),
+  tenantIdIdx: index('workflow_versions_tenant_id_idx').on(table.tenantId),
+}));
+
+// =============================================================================
+// SIMULATION FIXTURES
+// =============================================================================
+
+export const simulationFixtures = pgTable('simulation_fixtures', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  tenantId: uuid('tenant_id').notNull().references(() => tenants.id, { onDelete: 'cascade' }),
+  workflowId: uuid('workflow_id').notNull(),
+  fixtureSet: varchar('fixture_set', { length: 255 }).notNull(),
+  stepName: varchar('step_name', { length: 255 }).notNull(),
+  provider: varchar('provider', { length: 50 }).notNull(),
+  action: varchar('action', { length: 100 }).notNull(),
+  response: jsonb('response'),
+  source: varchar('source', { length: 20 }).notNull().default('recorded'),
+  sourceRunId: uuid('source_run_id'),
+  recordedAt: timestamp('recorded_at').notNull().defaultNow(),
+}, (table) => ({
+  fixtureSetStepIdx: index('simulation_fixtures_set_step_idx').on(table.tenantId, table.fixtureSet, table.workflowId, table.stepName),
+}));
+
 // =============================================================================
 // RUNS
 // =============================================================================
@@ -64,12 +106,41 @@ export const runs = pgTable('runs', {
   id: uuid('id').primaryKey().defaultRandom(),
   tenantId: uuid('tenant_id').notNull().references(() => tenants.id, { onDelete: 'cascade' }),
   workflowId: uuid('workflow_id').notNull(),
+  workflowVersionId: uuid('workflow_version_id').references(() => workflowVersions.id),
+  workflowVersion: integer('workflow_version'),
   idempotencyKey: varchar('idempotency_key', { length: 255 }),
   triggerType: varchar('trigger_type', { length: 50 }).notNull(),
   triggerPayload: jsonb('trigger_payload'),
   status: varchar('status', { length: 50 }).notNull().default('pending'),
   currentStepOrder: integer('current_step_order').notNull().default(0),
+  attempt: integer('attempt').notNull().default(1),
+  paramOverrides: jsonb('param_overrides'),
+  wakeAt: timestamp('wake_at'),
+  sleepState: jsonb('sleep_state'),
+  waitState: jsonb('wait_state'),
+  childWait: jsonb('child_wait'),
+  parentRunId: uuid('parent_run_id'),
+  parentStepOrder: integer('parent_step_order'),
+  parentMode: varchar('parent_mode', { length: 10 }),
+  callDepth: integer('call_depth').notNull().default(0),
   correlationId: varchar('correlation_id', { length: 255 }),
+  isSimulation: boolean('is_simulation').notNull().default(false),
+  fixtureSet: varchar('fixture_set', { length: 255 }),
+  priority: integer('priority').notNull().default(0),
+  connectionIds: jsonb('connection_ids'),
+  queuedAt: timestamp('queued_at'),
+  admittedAt: timestamp('admitted_at'),
+  waitMs: integer('wait_ms'),
+  queueReason: text('queue_reason'),
+  cancelledAt: timestamp('cancelled_at'),
+  cancelledBy: uuid('cancelled_by'),
+  cancelReason: text('cancel_reason'),
+  compensationStack: jsonb('compensation_stack'),
+  compensationStatus: varchar('compensation_status', { length: 20 }),
+  compensationResults: jsonb('compensation_results'),
+  abandonedAt: timestamp('abandoned_at'),
+  abandonedBy: uuid('abandoned_by'),
+  abandonReason: text('abandon_reason'),
   startedAt: timestamp('started_at').defaultNow(),
   finishedAt: timestamp('finished_at'),
   durationMs: integer('duration_ms'),
@@ -83,8 +154,43 @@ export const runs = pgTable('runs', {
   tenantIdIdx: index('runs_tenant_id_idx').on(table.tenantId),
   statusIdx: index('runs_status_idx').on(table.status),
   tenantStatusIdx: index('runs_tenant_status_idx').on(table.tenantId, table.status),
+  statusWakeIdx: index('runs_status_wake_idx').on(table.status, table.wakeAt),
+  parentRunIdx: index('runs_parent_run_idx').on(table.parentRunId),
   tenantCreatedIdx: index('runs_tenant_created_idx').on(table.tenantId, table.createdAt),
   idempotencyIdx: index('runs_idempotency_idx').on(table.tenantId, table.idempotencyKey),
+  queueIdx: index('runs_queue_idx').on(table.tenantId, table.status, table.priority, table.queuedAt),
+}));
+
+// =============================================================================
+// DEAD LETTERS
+// =============================================================================
+
+export const deadLetters = pgTable('dead_letters', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  tenantId: uuid('tenant_id').notNull().references(() => tenants.id, { onDelete: 'cascade' }),
+  kind: varchar('kind', { length: 20 }).notNull(),
+  refId: uuid('ref_id').notNull(),
+  workflowId: uuid('workflow_id'),
+  stepName: varchar('step_name', { length: 255 }),
+  provider: varchar('provider', { length: 50 }),
+  eventType: varchar('event_type', { length: 255 }),
+  category: varchar('category', { length: 50 }),
+  reason: text('reason').notNull(),
+  attempts: integer('attempts').notNull().default(1),
+  occurrences: integer('occurrences').notNull().default(1),
+  payload: jsonb('payload'),
+  payloadPatch: jsonb('payload_patch'),
+  status: varchar('status', { length: 20 }).notNull().default('open'),
+  deadLetteredAt: timestamp('dead_lettered_at').notNull().defaultNow(),
+  resolvedAt: timestamp('resolved_at'),
+  resolvedBy: varchar('resolved_by', { length: 255 }),
+  resolutionNote: text('resolution_note'),
+  redriveRefId: uuid('redrive_ref_id'),
+  expiresAt: timestamp('expires_at').notNull(),
+}, (table) => ({
+  tenantStatusIdx: index('dead_letters_tenant_status_idx').on(table.tenantId, table.status, table.deadLetteredAt),
+  refIdx: index('dead_letters_ref_idx').on(table.tenantId, table.kind, table.refId),
+  expiresIdx: index('dead_letters_expires_idx').on(table.expiresAt),
 }));
 
 // =============================================================================
@@ -12,6 +12,7 @@ import {
   DialogTrigger,
 } from '@/components/ui/dialog';
 import { Input } from '@/components/ui/input';
+import { REAUTH_REQUIRED, getOAuthConfig } from '../components/OAuthFlow';
 
 export default function Connections() {
   const [connections, setConnections] = useState([]);
@@ -73,7 +74,8 @@ export default function Connections() {
       active: { color: 'bg-green-100 text-green-800', icon: CheckCircle },
       inactive: { color: 'bg-gray-100 text-gray-800', icon: AlertCircle },
       error: { color: 'bg-red-100 text-red-800', icon: AlertCircle },
-      expired: { color: 'bg-yellow-100 text-yellow-800', icon: AlertCircle }
+      expired: { color: 'bg-yellow-100 text-yellow-800', icon: AlertCircle },
+      [REAUTH_REQUIRED]: { color: 'bg-orange-100 text-orange-800', icon: AlertCircle }
     };
     
     const variant = variants[status] || variants.inactive;
@@ -166,6 +168,17 @@ export default function Connections() {
                 )}
 
                 <div className="flex gap-2">
+                  {getOAuthConfig(conn.provider) && (
+                    <Button
+                      size="sm"
+                      variant={conn.status === REAUTH_REQUIRED ? 'default' : 'outline'}
+                      onClick={() => window.location.href = `/OAuthHelper?provider=${conn.provider}&reconnect=${conn.id}`}
+                      className="flex items-center gap-2"
+                    >
+                      <RefreshCw className="w-4 h-4" />
+                      Reconnect
+                    </Button>
+                  )}
                   <Button
                     size="sm"
                     variant="outline"
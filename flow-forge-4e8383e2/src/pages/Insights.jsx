@@ -13,8 +13,9 @@ import {
   Target,
   BarChart3,
   PieChart,
+  Gauge,
 } from 'lucide-react';
-import { Run, Workflow, MetricDaily } from '@/api/entities';
+import { Run, Workflow, MetricDaily, MetricEvent } from '@/api/entities';
 import { LineChart, Line, BarChart, Bar, PieChart as RePieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
 export default function Insights() {
@@ -32,6 +33,7 @@ export default function Insights() {
   const [chartData, setChartData] = useState([]);
   const [workflowBreakdown, setWorkflowBreakdown] = useState([]);
   const [statusBreakdown, setStatusBreakdown] = useState([]);
+  const [throttling, setThrottling] = useState({ waits: 0, waitSeconds: 0, rateLimited: 0, deferred: 0, byProvider: [] });
 
   useEffect(() => {
     loadInsights();
@@ -121,6 +123,30 @@ export default function Insights() {
       setStatusBreakdown(
         Object.entries(statusCounts).map(([name, value]) => ({ name, value }))
       );
+
+      // Provider throttling (recorded by ProviderThrottle)
+      const metricEvents = await MetricEvent.list('-timestamp', 1000);
+      const throttleEvents = metricEvents.filter(
+        (e) => ['throttle_wait', 'throttle_deferred', 'rate_limited'].includes(e.metric_name) &&
+          e.timestamp && new Date(e.timestamp) >= startDate
+      );
+      const waits = throttleEvents.filter((e) => e.metric_name === 'throttle_wait');
+      const providerStats = {};
+      throttleEvents.forEach((e) => {
+        const provider = e.dimensions?.provider || 'unknown';
+        if (!providerStats[provider]) {
+          providerStats[provider] = { name: provider, waitSeconds: 0, rateLimited: 0 };
+        }
+        if (e.metric_name === 'throttle_wait') providerStats[provider].waitSeconds += e.metric_value / 1000;
+        if (e.metric_name === 'rate_limited') providerStats[provider].rateLimited++;
+      });
+      setThrottling({
+        waits: waits.length,
+        waitSeconds: Math.round(waits.reduce((sum, e) => sum + e.metric_value, 0) / 1000),
+        rateLimited: throttleEvents.filter((e) => e.metric_name === 'rate_limited').length,
+        deferred: throttleEvents.filter((e) => e.metric_name === 'throttle_deferred').length,
+        byProvider: Object.values(providerStats).map((p) => ({ ...p, waitSeconds: Math.round(p.waitSeconds) })),
+      });
     } catch (error) {
       console.error('Failed to load insights:', error);
     } finally {
@@ -213,10 +239,11 @@ export default function Insights() {
 
         {/* Charts */}
         <Tabs defaultValue="trends" className="mb-8">
-          <TabsList className="grid w-full grid-cols-3">
+          <TabsList className="grid w-full grid-cols-4">
             <TabsTrigger value="trends">Trends</TabsTrigger>
             <TabsTrigger value="breakdown">Breakdown</TabsTrigger>
             <TabsTrigger value="performance">Performance</TabsTrigger>
+            <TabsTrigger value="throttling">Throttling</TabsTrigger>
           </TabsList>
 
           <TabsContent value="trends">
@@ -320,6 +347,69 @@ export default function Insights() {
               </Card>
             </div>
           </TabsContent>
+
+          <TabsContent value="throttling">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+              <Card>
+                <CardContent className="pt-6">
+                  <Gauge className="w-10 h-10 text-indigo-600 mb-4" />
+                  <p className="text-sm text-gray-600 mb-1">Throttled Calls</p>
+                  <p className="text-3xl font-bold text-gray-900">{throttling.waits}</p>
+                  <p className="text-xs text-gray-500 mt-2">Waited for rate-limit budget</p>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardContent className="pt-6">
+                  <Clock className="w-10 h-10 text-yellow-600 mb-4" />
+                  <p className="text-sm text-gray-600 mb-1">Time Spent Waiting</p>
+                  <p className="text-3xl font-bold text-gray-900">{throttling.waitSeconds}s</p>
+                  <p className="text-xs text-gray-500 mt-2">Last {timeRange}</p>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardContent className="pt-6">
+                  <AlertCircle className="w-10 h-10 text-red-600 mb-4" />
+                  <p className="text-sm text-gray-600 mb-1">429 Responses</p>
+                  <p className="text-3xl font-bold text-gray-900">{throttling.rateLimited}</p>
+                  <p className="text-xs text-gray-500 mt-2">Provider rejected the call</p>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardContent className="pt-6">
+                  <TrendingUp className="w-10 h-10 text-purple-600 mb-4" />
+                  <p className="text-sm text-gray-600 mb-1">Deferred Steps</p>
+                  <p className="text-3xl font-bold text-gray-900">{throttling.deferred}</p>
+                  <p className="text-xs text-gray-500 mt-2">Budget exhausted; retried later</p>
+                </CardContent>
+              </Card>
+            </div>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Throttling by Provider</CardTitle>
+              </CardHeader>
+              <CardContent>
+                {throttling.byProvider.length === 0 ? (
+                  <p className="text-sm text-gray-500">No throttling in this period.</p>
+                ) : (
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={throttling.byProvider}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis />
+                      <Tooltip />
+                      <Legend />
+                      <Bar dataKey="waitSeconds" fill="#F59E0B" name="Wait (s)" />
+                      <Bar dataKey="rateLimited" fill="#EF4444" name="429s" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
         </Tabs>
 
         {/* ROI Calculator */}
@@ -13,8 +13,10 @@ import {
   Shield,
   Zap,
 } from 'lucide-react';
-import { Workflow, WorkflowStep, Run, ComplianceEvent, MetricEvent } from '@/api/entities';
+import { Workflow, WorkflowStep, WorkflowVersion, Run, ComplianceEvent, MetricEvent } from '@/api/entities';
 import { MARKETPLACE_TEMPLATES } from '../components/marketplace/marketplaceTemplates';
+import { toStepName, validateStepReferences, describeReferenceIssue } from '@/components/StepAddressing';
+import { publishWorkflow } from '@/components/WorkflowVersioning';
 
 export default function MarketplaceSelfTest() {
   const [testing, setTesting] = useState(false);
@@ -42,6 +44,9 @@ export default function MarketplaceSelfTest() {
           tests: [],
         };
 
+        // Test 0: Step references resolve
+        testResult.tests.push(testStepReferences(template));
+
         // Test 1: Install template
         testResult.tests.push(await testInstall(template));
 
@@ -83,6 +88,18 @@ export default function MarketplaceSelfTest() {
     }
   };
 
+  const testStepReferences = (template) => {
+    const issues = validateStepReferences(template.workflow_json);
+
+    return {
+      name: 'Step References',
+      passed: issues.length === 0,
+      message: issues.length === 0
+        ? 'All {{ }} references resolve to the trigger or earlier steps'
+        : issues.map(describeReferenceIssue).join('; '),
+    };
+  };
+
   const testInstall = async (template) => {
     try {
       // Create workflow
@@ -101,7 +118,7 @@ export default function MarketplaceSelfTest() {
       const steps = template.workflow_json.steps.map((step, index) => ({
         workflow_id: workflow.id,
         step_order: index,
-        step_name: step.name.toLowerCase().replace(/\s+/g, '_'),
+        step_name: toStepName(step.name),
         tool: step.provider,
         action: step.action,
         mapping_json: step.inputs || {},
@@ -111,11 +128,12 @@ export default function MarketplaceSelfTest() {
       }));
 
       await WorkflowStep.bulkCreate(steps);
+      const published = await publishWorkflow(workflow.id, { notes: 'Marketplace self-test' });
 
       return {
         name: 'Template Installation',
         passed: true,
-        message: 'Workflow and steps created successfully',
+        message: `Workflow and steps created, published as v${published.version}`,
       };
     } catch (error) {
       return {
@@ -258,6 +276,12 @@ export default function MarketplaceSelfTest() {
           await WorkflowStep.delete(step.id);
         }
 
+        // Delete published versions
+        const versions = await WorkflowVersion.filter({ workflow_id: workflow.id });
+        for (const version of versions) {
+          await WorkflowVersion.delete(version.id);
+        }
+
         // Delete runs
         const runs = await Run.filter({ workflow_id: workflow.id });
         for (const run of runs) {
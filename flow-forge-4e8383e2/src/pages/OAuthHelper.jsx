@@ -1,37 +1,88 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import TenantEntity from '../components/TenantEntity';
 import { Connection, Credential } from '@/api/entities';
 import { encryptCredential } from '../components/EncryptionVault';
+import { AUTH_SCHEMES } from '../components/HttpAction';
+import { getOAuthConfig, startAuthorization, completeAuthorization } from '../components/OAuthFlow';
 import { Copy, ExternalLink, CheckCircle, Loader } from 'lucide-react';
 
 export default function OAuthHelper() {
   const [provider, setProvider] = useState('shopify');
-  const [code, setCode] = useState('');
-  const [state, setState] = useState('');
   const [token, setToken] = useState('');
+  const [clientId, setClientId] = useState('');
+  const [clientSecret, setClientSecret] = useState('');
+  const [reconnectId, setReconnectId] = useState(null);
+  const [authError, setAuthError] = useState(null);
+  const callbackHandled = useRef(false);
   const [connectionName, setConnectionName] = useState('');
+  const [httpConfig, setHttpConfig] = useState({ auth_scheme: 'bearer', base_url: '', header_name: '' });
   const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(false);
-  const [step, setStep] = useState(1); // 1: authorize, 2: paste code, 3: success
+  const [step, setStep] = useState(1); // 1: choose provider, 2: authorize or paste, 3: success
 
   useEffect(() => {
-    // Check URL params for OAuth callback
     const urlParams = new URLSearchParams(window.location.search);
-    const urlCode = urlParams.get('code');
-    const urlState = urlParams.get('state');
     const urlProvider = urlParams.get('provider');
-    
-    if (urlCode) {
-      setCode(urlCode);
-      setState(urlState || '');
-      if (urlProvider) setProvider(urlProvider);
+    const urlReconnect = urlParams.get('reconnect');
+
+    // Reconnect links from Connections go straight to authorization
+    if (urlProvider) setProvider(urlProvider);
+    if (urlReconnect) {
+      setReconnectId(urlReconnect);
       setStep(2);
     }
+
+    // OAuth callback: the provider redirected back with a code (or an error) and our state
+    const urlState = urlParams.get('state');
+    if (urlState && !callbackHandled.current) {
+      callbackHandled.current = true;
+      handleCallback({
+        code: urlParams.get('code'),
+        state: urlState,
+        error: urlParams.get('error'),
+        error_description: urlParams.get('error_description')
+      });
+    }
   }, []);
 
+  const handleCallback = async (callback) => {
+    setSaving(true);
+    try {
+      const connection = await completeAuthorization(callback);
+      setProvider(connection.provider);
+      setSaved(true);
+      setStep(3);
+    } catch (error) {
+      setAuthError(error.message);
+      setStep(2);
+    } finally {
+      setSaving(false);
+      // Codes and states are single use; drop them from the address bar
+      window.history.replaceState({}, '', window.location.pathname);
+    }
+  };
+
+  const handleAuthorize = async () => {
+    setSaving(true);
+    setAuthError(null);
+    try {
+      window.location.href = await startAuthorization({
+        provider,
+        clientId,
+        clientSecret,
+        redirectUri: `${window.location.origin}${window.location.pathname}`,
+        connectionName,
+        reconnectId
+      });
+    } catch (error) {
+      setAuthError(error.message);
+      setSaving(false);
+    }
+  };
+
   const providerConfigs = {
     shopify: {
       name: 'Shopify',
@@ -59,13 +110,11 @@ export default function OAuthHelper() {
     xero: {
       name: 'Xero',
       icon: '📊',
-      authUrl: 'https://login.xero.com/identity/connect/authorize?...',
-      tokenFields: ['access_token', 'refresh_token', 'tenant_id'],
       instructions: [
-        '1. Go to developer.xero.com → My Apps → Create app',
-        '2. Set redirect URI',
-        '3. Complete OAuth flow',
-        '4. Paste access token and tenant ID below'
+        '1. Go to developer.xero.com → My Apps → New app (Auth code with PKCE)',
+        '2. Add this page as a redirect URI',
+        '3. Enter the app\'s Client ID below and authorize',
+        '4. Tokens refresh automatically; you only reconnect if Xero revokes access'
       ]
     },
     gmail: {
@@ -82,17 +131,36 @@ export default function OAuthHelper() {
     slack: {
       name: 'Slack',
       icon: '💬',
-      authUrl: 'https://slack.com/oauth/v2/authorize?...',
-      tokenFields: ['bot_token', 'signing_secret'],
       instructions: [
         '1. api.slack.com/apps → Create New App',
-        '2. Add bot scopes: chat:write',
-        '3. Install to workspace',
-        '4. Copy Bot User OAuth Token'
+        '2. Add bot scopes: chat:write and this page as a redirect URL',
+        '3. Enable token rotation so access tokens refresh',
+        '4. Enter the Client ID and Client Secret below and authorize'
+      ]
+    },
+    http: {
+      name: 'HTTP API',
+      icon: '🌐',
+      // Credential fields per auth scheme, pasted as JSON
+      schemeFields: {
+        none: [],
+        bearer: ['token'],
+        basic: ['username', 'password'],
+        api_key: ['api_key'],
+        hmac: ['secret']
+      },
+      instructions: [
+        '1. Choose how the API expects credentials',
+        '2. Set the base URL; requests can only be sent to this origin',
+        '3. Paste the credential fields as JSON, e.g. {"token": "..."}'
       ]
     }
   };
 
+  const requiredFields = (key) => providerConfigs[key].schemeFields
+    ? providerConfigs[key].schemeFields[httpConfig.auth_scheme]
+    : providerConfigs[key].tokenFields;
+
   const handleSave = async () => {
     setSaving(true);
     try {
@@ -105,18 +173,23 @@ export default function OAuthHelper() {
         name: connectionName || `${providerConfigs[provider].name} Connection`,
         status: 'active',
         config: {
+          ...(provider === 'http' ? {
+            auth_scheme: httpConfig.auth_scheme,
+            base_url: httpConfig.base_url,
+            ...(httpConfig.header_name ? { header_name: httpConfig.header_name } : {})
+          } : {}),
           created_via: 'oauth_helper',
           created_at: new Date().toISOString()
         }
       });
       
-      // Encrypt and store credential
-      const encrypted = await encryptCredential(token);
+      // Encrypt and store credential ('none' still stores an empty credential for the runner)
+      const encrypted = await encryptCredential(token || '{}');
       
       await TenantCredential.create({
         connection_id: connection.id,
         encrypted_value: encrypted,
-        credential_type: provider === 'stripe' ? 'api_key' : 'oauth_token',
+        credential_type: provider === 'http' ? httpConfig.auth_scheme : provider === 'stripe' ? 'api_key' : 'oauth_token',
         rotation_at: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString()
       });
       
@@ -136,6 +209,7 @@ export default function OAuthHelper() {
   };
 
   const currentProvider = providerConfigs[provider];
+  const usesOAuth = Boolean(getOAuthConfig(provider));
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-purple-50 p-6">
@@ -207,6 +281,13 @@ export default function OAuthHelper() {
                   </ol>
                 </div>
 
+                {authError && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                    <p className="text-sm text-red-800">{authError}</p>
+                  </div>
+                )}
+
+                {!reconnectId && (
                 <div>
                   <label className="block text-sm font-medium mb-2">
                     Connection Name (Optional)
@@ -219,7 +300,97 @@ export default function OAuthHelper() {
                     className="w-full border border-gray-300 rounded-lg px-3 py-2"
                   />
                 </div>
+                )}
 
+                {provider === 'http' && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Auth Scheme</label>
+                      <select
+                        value={httpConfig.auth_scheme}
+                        onChange={(e) => setHttpConfig({ ...httpConfig, auth_scheme: e.target.value })}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                      >
+                        {AUTH_SCHEMES.map(scheme => (
+                          <option key={scheme} value={scheme}>{scheme}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Base URL</label>
+                      <input
+                        type="text"
+                        value={httpConfig.base_url}
+                        onChange={(e) => setHttpConfig({ ...httpConfig, base_url: e.target.value })}
+                        placeholder="https://api.example.com"
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                      />
+                    </div>
+                    {httpConfig.auth_scheme === 'api_key' && (
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Header Name</label>
+                        <input
+                          type="text"
+                          value={httpConfig.header_name}
+                          onChange={(e) => setHttpConfig({ ...httpConfig, header_name: e.target.value })}
+                          placeholder="X-API-Key"
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {usesOAuth ? (
+                  <>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Client ID</label>
+                        <input
+                          type="text"
+                          value={clientId}
+                          onChange={(e) => setClientId(e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono text-sm"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Client Secret (if the app has one)</label>
+                        <input
+                          type="password"
+                          value={clientSecret}
+                          onChange={(e) => setClientSecret(e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono text-sm"
+                        />
+                      </div>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      Redirect URI: <code className="bg-gray-100 px-1 py-0.5 rounded">{window.location.origin}{window.location.pathname}</code>
+                    </p>
+
+                    <div className="flex gap-2">
+                      <Button
+                        variant="outline"
+                        onClick={() => setStep(1)}
+                        disabled={saving || Boolean(reconnectId)}
+                      >
+                        ← Back
+                      </Button>
+                      <Button
+                        onClick={handleAuthorize}
+                        disabled={!clientId || saving}
+                        className="flex-1 flex items-center gap-2"
+                      >
+                        {saving ? (
+                          <Loader className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <ExternalLink className="w-4 h-4" />
+                        )}
+                        {reconnectId ? 'Reconnect' : 'Authorize'} with {currentProvider.name}
+                      </Button>
+                    </div>
+                  </>
+                ) : (
+                <>
                 <div>
                   <label className="block text-sm font-medium mb-2">
                     Paste Token/Credentials
@@ -232,7 +403,7 @@ export default function OAuthHelper() {
                     className="font-mono text-sm"
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Required fields: {currentProvider.tokenFields.join(', ')}
+                    Required fields: {requiredFields(provider).join(', ') || 'none'}
                   </p>
                 </div>
 
@@ -246,7 +417,7 @@ export default function OAuthHelper() {
                   </Button>
                   <Button
                     onClick={handleSave}
-                    disabled={!token || saving}
+                    disabled={(!token && requiredFields(provider).length > 0) || (provider === 'http' && !httpConfig.base_url) || saving}
                     className="flex-1"
                   >
                     {saving ? (
@@ -259,6 +430,8 @@ export default function OAuthHelper() {
                     )}
                   </Button>
                 </div>
+                </>
+                )}
               </>
             )}
 
@@ -298,13 +471,13 @@ export default function OAuthHelper() {
             </CardHeader>
             <CardContent className="text-xs space-y-2">
               <p>
-                <strong>Manual OAuth Flow:</strong> Since Base44 may not support OAuth callbacks directly,
-                this helper guides you through manual token setup.
+                <strong>OAuth2 providers:</strong> Authorization uses the authorization-code flow with PKCE.
+                The provider redirects back to this page, which checks the state and exchanges the code.
+                Refresh tokens are stored encrypted and access tokens refresh automatically; a connection
+                shows <code className="bg-gray-100 px-1 py-0.5 rounded">reauth_required</code> when a refresh is rejected.
               </p>
               <p>
-                <strong>Future Enhancement:</strong> Deploy an OAuth relay service at{' '}
-                <code className="bg-gray-100 px-1 py-0.5 rounded">oauth.datachor.com</code>{' '}
-                to handle the full OAuth flow automatically.
+                <strong>Other providers:</strong> Paste API keys or tokens as described above.
               </p>
             </CardContent>
           </Card>
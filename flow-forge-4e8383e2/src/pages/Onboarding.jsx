@@ -22,6 +22,8 @@ import {
 import { motion, AnimatePresence } from 'framer-motion';
 import { User, Workflow, WorkflowStep, Connection } from '@/api/entities';
 import { MARKETPLACE_TEMPLATES } from '../components/marketplace/marketplaceTemplates';
+import { toStepName, assertStepReferences } from '@/components/StepAddressing';
+import { publishWorkflow } from '@/components/WorkflowVersioning';
 import { useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
 
@@ -132,6 +134,8 @@ export default function Onboarding() {
     try {
       // Create workflows from selected templates
       for (const template of selectedTemplates) {
+        assertStepReferences(template.workflow_json);
+
         const workflow = await Workflow.create({
           workflow_key: template.template_id,
           display_name: template.name,
@@ -147,7 +151,7 @@ export default function Onboarding() {
         const stepRecords = template.workflow_json.steps.map((step, index) => ({
           workflow_id: workflow.id,
           step_order: index,
-          step_name: step.name.toLowerCase().replace(/\s+/g, '_'),
+          step_name: toStepName(step.name),
           tool: step.provider,
           action: step.action,
           connection_id: connections[step.provider],
@@ -157,6 +161,7 @@ export default function Onboarding() {
         }));
 
         await WorkflowStep.bulkCreate(stepRecords);
+        await publishWorkflow(workflow.id, { notes: `Installed from ${template.template_id}` });
       }
 
       // Track TTFR (Time To First Run)
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { GenomeSuggestion, GenomeObservation, Tenant, WorkflowStep } from '@/api/entities';
 import TenantEntity from '../components/TenantEntity';
+import { markDraftChanged } from '../components/WorkflowVersioning';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -174,6 +175,9 @@ export default function Optimize() {
         });
       }
 
+      // Suggestions edit the draft; they reach runs once the workflow is republished
+      await markDraftChanged(step.workflow_id);
+
       // Mark suggestion as applied
       const TenantSuggestion = TenantEntity.wrap(GenomeSuggestion);
       await TenantSuggestion.update(suggestion.id, {
@@ -182,7 +186,7 @@ export default function Optimize() {
       });
 
       loadData();
-      alert('Suggestion applied successfully!');
+      alert('Suggestion applied to the draft. Publish the workflow to use it in new runs.');
     } catch (error) {
       alert('Failed to apply suggestion: ' + error.message);
     }
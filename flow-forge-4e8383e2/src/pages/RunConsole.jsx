@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { useSearchParams, useNavigate, Link } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -14,14 +14,23 @@ import {
   Loader,
   ExternalLink,
   Shield,
-  FileText
+  FileText,
+  Undo2,
+  GitBranch,
+  Database,
+  FlaskConical,
+  Ban
 } from 'lucide-react';
 import TenantEntity from '../components/TenantEntity';
-import { Run, RunLog, Approval, ComplianceEvent, Artifact } from '@/api/entities';
+import { Run, RunLog, Approval, ComplianceEvent, Artifact, SimulationFixture, User } from '@/api/entities';
+import { createPageUrl } from '@/utils';
+import { runWorkflow, cancelRun } from '../components/WorkflowRunner';
+import { captureFixtures, fixtureSetForRun } from '../components/SimulationFixtures';
 
 export default function RunConsole() {
   const [searchParams] = useSearchParams();
   const runId = searchParams.get('id');
+  const navigate = useNavigate();
 
   const [loading, setLoading] = useState(true);
   const [run, setRun] = useState(null);
@@ -29,7 +38,9 @@ export default function RunConsole() {
   const [approvals, setApprovals] = useState([]);
   const [complianceEvents, setComplianceEvents] = useState([]);
   const [artifacts, setArtifacts] = useState([]);
+  const [childRuns, setChildRuns] = useState([]);
   const [note, setNote] = useState('');
+  const [fixtureCount, setFixtureCount] = useState(0);
 
   useEffect(() => {
     if (runId) {
@@ -50,12 +61,16 @@ export default function RunConsole() {
       const approvalsData = await TenantApproval.filter({ run_id: runId });
       const complianceData = await TenantComplianceEvent.filter({ ref_id: runId });
       const artifactsData = await TenantArtifact.filter({ run_id: runId });
+      const childRunsData = await TenantRun.filter({ parent_run_id: runId }, 'started_at');
+      const fixturesData = await TenantEntity.wrap(SimulationFixture).filter({ fixture_set: fixtureSetForRun(runId) });
 
       setRun(runData);
       setLogs(logsData);
       setApprovals(approvalsData);
       setComplianceEvents(complianceData);
       setArtifacts(artifactsData);
+      setChildRuns(childRunsData);
+      setFixtureCount(fixturesData.length);
 
     } catch (error) {
       console.error('Failed to load run data:', error);
@@ -84,6 +99,54 @@ export default function RunConsole() {
     }
   };
 
+  const handleCaptureFixtures = async () => {
+    try {
+      const { count } = await captureFixtures(run.id, run.tenant_id);
+      setFixtureCount(count);
+      alert(`Captured ${count} provider responses as fixtures`);
+    } catch (error) {
+      alert('Failed to capture fixtures: ' + error.message);
+    }
+  };
+
+  const handleReplay = async () => {
+    try {
+      const replay = await runWorkflow({
+        tenantId: run.tenant_id,
+        workflowId: run.workflow_id,
+        triggerPayload: run.trigger_payload,
+        idempotencyKey: `replay:${run.id}:${Date.now()}`,
+        userId: run.created_by,
+        triggerType: run.trigger_type,
+        version: run.workflow_version,
+        simulate: true,
+        fixtureSet: fixtureSetForRun(run.id)
+      });
+      navigate(createPageUrl(`RunConsole?id=${replay.runId}`));
+    } catch (error) {
+      alert('Failed to start replay: ' + error.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    const reason = prompt('Why cancel this run?');
+    if (reason === null) {
+      return;
+    }
+    const compensate = confirm('Run compensations for the steps that already completed?');
+
+    try {
+      const user = await User.me();
+      const result = await cancelRun({ runId: run.id, tenantId: run.tenant_id, userId: user.id, reason, compensate });
+      if (result.compensation && result.compensation.status === 'partial') {
+        alert('Run cancelled, but some compensations failed - see the run log');
+      }
+      loadRunData();
+    } catch (error) {
+      alert('Failed to cancel run: ' + error.message);
+    }
+  };
+
   const getStatusIcon = (status) => {
     const icons = {
       completed: <CheckCircle className="w-5 h-5 text-green-500" />,
@@ -101,6 +164,11 @@ export default function RunConsole() {
       failed: 'bg-red-100 text-red-800',
       running: 'bg-blue-100 text-blue-800',
       awaiting_approval: 'bg-yellow-100 text-yellow-800',
+      retry_scheduled: 'bg-orange-100 text-orange-800',
+      queued: 'bg-slate-100 text-slate-800',
+      sleeping: 'bg-indigo-100 text-indigo-800',
+      awaiting_event: 'bg-purple-100 text-purple-800',
+      awaiting_child: 'bg-purple-100 text-purple-800',
       cancelled: 'bg-gray-100 text-gray-800'
     };
     return <Badge className={variants[status] || ''}>{status}</Badge>;
@@ -115,6 +183,8 @@ export default function RunConsole() {
     return icons[level] || <FileText className="w-4 h-4 text-gray-400" />;
   };
 
+  const compensationLogs = logs.filter((log) => log.payload_json?.compensation);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-screen">
@@ -148,16 +218,72 @@ export default function RunConsole() {
               </h1>
               <p className="text-gray-600 mt-1">
                 Started: {new Date(run.started_at).toLocaleString()}
+                {run.workflow_version && ` • Workflow v${run.workflow_version}`}
               </p>
             </div>
             <div className="flex items-center gap-3">
               {run.is_simulation && (
                 <Badge className="bg-yellow-100 text-yellow-800">Simulation Mode</Badge>
               )}
+              {run.fixture_set && (
+                <Badge variant="outline" className="font-mono">fixtures: {run.fixture_set}</Badge>
+              )}
+              {!run.is_simulation && run.status === 'completed' && (
+                <>
+                  <Button variant="outline" size="sm" onClick={handleCaptureFixtures}>
+                    <Database className="w-4 h-4 mr-2" />
+                    {fixtureCount > 0 ? `Re-capture Fixtures (${fixtureCount})` : 'Capture Fixtures'}
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={handleReplay} disabled={fixtureCount === 0}>
+                    <FlaskConical className="w-4 h-4 mr-2" />
+                    Replay in Simulation
+                  </Button>
+                </>
+              )}
+              {!['completed', 'failed', 'cancelled'].includes(run.status) && (
+                <Button variant="outline" size="sm" onClick={handleCancel} className="text-red-600">
+                  <Ban className="w-4 h-4 mr-2" />
+                  Cancel Run
+                </Button>
+              )}
               {getStatusBadge(run.status)}
             </div>
           </div>
 
+          {run.status === 'cancelled' && run.cancelled_by && (
+            <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-900">
+              Cancelled by {run.cancelled_by} at {new Date(run.cancelled_at).toLocaleString()}
+              {run.cancel_reason && `: ${run.cancel_reason}`}
+            </div>
+          )}
+
+          {run.status === 'retry_scheduled' && run.retry_state && (
+            <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-900">
+              Retrying <span className="font-mono">{run.retry_state.step_name}</span> after {run.retry_state.category} error
+              (attempt {run.retry_state.attempt + 1}) at {new Date(run.next_attempt_at).toLocaleString()}
+            </div>
+          )}
+
+          {run.status === 'queued' && run.queue_reason && (
+            <div className="mb-4 p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-900">
+              Queued #{run.queue_position} since {new Date(run.queued_at).toLocaleString()}: {run.queue_reason}
+            </div>
+          )}
+
+          {run.status === 'sleeping' && run.sleep_state && (
+            <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm text-indigo-900">
+              Sleeping at <span className="font-mono">{run.sleep_state.step_name}</span> until {new Date(run.wake_at).toLocaleString()}
+            </div>
+          )}
+
+          {run.status === 'awaiting_event' && run.wait_state && (
+            <div className="mb-4 p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-900">
+              Waiting at <span className="font-mono">{run.wait_state.step_name}</span> for {run.wait_state.event_type || 'any'} event
+              {run.wait_state.match && <> matching <span className="font-mono">{typeof run.wait_state.match === 'string' ? run.wait_state.match : JSON.stringify(run.wait_state.match)}</span></>}
+              {run.wake_at ? `, times out ${new Date(run.wake_at).toLocaleString()}` : ''}
+            </div>
+          )}
+
           {/* Quick Stats */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             <Card>
@@ -279,6 +405,42 @@ export default function RunConsole() {
 
           {/* Right Sidebar (1/3 width) */}
           <div className="space-y-6">
+            {/* Linked Runs (sub-workflows) */}
+            {(run.parent_run_id || childRuns.length > 0) && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <GitBranch className="w-5 h-5" />
+                    Linked Runs
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <p className="text-xs text-gray-500 font-mono mb-3">{run.correlation_id}</p>
+                  <div className="space-y-2">
+                    {run.parent_run_id && (
+                      <Link
+                        to={createPageUrl(`RunConsole?id=${run.parent_run_id}`)}
+                        className="flex items-center justify-between p-2 bg-gray-50 rounded hover:bg-gray-100 transition-colors"
+                      >
+                        <span className="text-sm">Parent run #{run.parent_run_id.slice(0, 8)}</span>
+                        <Badge variant="outline">{run.parent_mode}</Badge>
+                      </Link>
+                    )}
+                    {childRuns.map((child) => (
+                      <Link
+                        key={child.id}
+                        to={createPageUrl(`RunConsole?id=${child.id}`)}
+                        className="flex items-center justify-between p-2 bg-gray-50 rounded hover:bg-gray-100 transition-colors"
+                      >
+                        <span className="text-sm">Child run #{child.id.slice(0, 8)}</span>
+                        {getStatusBadge(child.status)}
+                      </Link>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
             {/* Guardrails */}
             <Card>
               <CardHeader>
@@ -346,6 +508,42 @@ export default function RunConsole() {
               </Card>
             )}
 
+            {/* Compensations */}
+            {(run.compensation_status || compensationLogs.length > 0) && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Undo2 className="w-5 h-5" />
+                    Compensations
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {run.compensation_status && (
+                    <Badge className={
+                      run.compensation_status === 'completed'
+                        ? 'bg-green-100 text-green-800 mb-3'
+                        : 'bg-red-100 text-red-800 mb-3'
+                    }>
+                      Rollback {run.compensation_status}
+                    </Badge>
+                  )}
+                  <div className="space-y-2">
+                    {compensationLogs.map((log) => (
+                      <div key={log.id} className="flex items-start gap-2 text-sm">
+                        <div className="flex-shrink-0 mt-0.5">{getLogIcon(log.log_level)}</div>
+                        <div>
+                          <p>{log.message}</p>
+                          <p className="text-xs text-gray-500">
+                            {new Date(log.timestamp).toLocaleTimeString()}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
             {/* Artifacts */}
             {artifacts.length > 0 && (
               <Card>
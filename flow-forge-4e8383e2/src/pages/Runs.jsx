@@ -2,14 +2,22 @@ import React, { useState, useEffect } from 'react';
 import { Run, RunLog } from '@/api/entities';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { CheckCircle, XCircle, Clock, Activity, Loader } from 'lucide-react';
+import { CheckCircle, XCircle, Clock, Activity, Loader, ListOrdered } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
+import { QUEUED, compareQueueOrder, getQueueStats } from '@/components/RunQueue';
+
+const formatWait = (ms) => {
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  if (ms < 3600000) return `${Math.round(ms / 60000)}m`;
+  return `${(ms / 3600000).toFixed(1)}h`;
+};
 
 export default function Runs() {
   const [runs, setRuns] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
+  const [queue, setQueue] = useState(null);
 
   useEffect(() => {
     loadRuns();
@@ -19,7 +27,11 @@ export default function Runs() {
     try {
       const filterObj = filter === 'all' ? {} : { status: filter };
       const runsList = await Run.filter(filterObj, '-started_at', 50);
-      setRuns(runsList);
+      setRuns(filter === QUEUED ? runsList.sort(compareQueueOrder) : runsList);
+
+      const queuedRuns = await Run.filter({ status: QUEUED }, 'queued_at', 500);
+      const recentRuns = filter === 'all' ? runsList : await Run.filter({}, '-started_at', 50);
+      setQueue(getQueueStats(queuedRuns, recentRuns.filter(run => run.admitted_at)));
     } catch (error) {
       console.error('Failed to load runs:', error);
     } finally {
@@ -46,6 +58,11 @@ export default function Runs() {
       failed: 'bg-red-100 text-red-800',
       running: 'bg-blue-100 text-blue-800',
       awaiting_approval: 'bg-yellow-100 text-yellow-800',
+      retry_scheduled: 'bg-orange-100 text-orange-800',
+      queued: 'bg-slate-100 text-slate-800',
+      sleeping: 'bg-indigo-100 text-indigo-800',
+      awaiting_event: 'bg-purple-100 text-purple-800',
+      awaiting_child: 'bg-purple-100 text-purple-800',
       cancelled: 'bg-gray-100 text-gray-800'
     };
 
@@ -68,9 +85,38 @@ export default function Runs() {
           <p className="text-gray-600 mt-2">Monitor workflow execution history</p>
         </div>
 
+        {/* Queue */}
+        {queue && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <Card>
+              <CardContent className="pt-4">
+                <p className="text-sm text-gray-600 flex items-center gap-2">
+                  <ListOrdered className="w-4 h-4" />
+                  Queue Depth
+                </p>
+                <p className="text-2xl font-bold">{queue.depth}</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="pt-4">
+                <p className="text-sm text-gray-600">Oldest Queued</p>
+                <p className="text-2xl font-bold">{queue.depth > 0 ? formatWait(queue.oldestWaitMs) : '—'}</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="pt-4">
+                <p className="text-sm text-gray-600">Avg / Max Wait (recent runs)</p>
+                <p className="text-2xl font-bold">
+                  {formatWait(queue.avgWaitMs)} / {formatWait(queue.maxWaitMs)}
+                </p>
+              </CardContent>
+            </Card>
+          </div>
+        )}
+
         {/* Filters */}
         <div className="flex gap-2 mb-6">
-          {['all', 'running', 'completed', 'failed', 'awaiting_approval'].map((f) => (
+          {['all', 'running', 'queued', 'completed', 'failed', 'awaiting_approval', 'retry_scheduled', 'sleeping', 'awaiting_event', 'cancelled'].map((f) => (
             <button
               key={f}
               onClick={() => setFilter(f)}
@@ -108,10 +154,12 @@ export default function Runs() {
                           </p>
                           <p className="text-sm text-gray-600">
                             Started: {new Date(run.started_at).toLocaleString()}
+                            {run.workflow_version && ` • v${run.workflow_version}`}
                           </p>
                           {run.correlation_id && (
                             <p className="text-xs text-gray-500 font-mono mt-1">
                               {run.correlation_id}
+                              {run.parent_run_id && ` · child of #${run.parent_run_id.slice(0, 8)}`}
                             </p>
                           )}
                         </div>
@@ -144,6 +192,17 @@ export default function Runs() {
                       </div>
                     </div>
 
+                    {run.status === QUEUED && run.queue_reason && (
+                      <div className="mt-4 bg-slate-50 border border-slate-200 rounded-lg p-3 text-sm text-slate-800">
+                        #{run.queue_position} in queue for {formatWait(Date.now() - new Date(run.queued_at))}
+                        {run.priority ? ` • priority ${run.priority}` : ''} — {run.queue_reason}
+                      </div>
+                    )}
+
+                    {run.wait_ms >= 1000 && (
+                      <p className="mt-2 text-xs text-gray-500">Waited {formatWait(run.wait_ms)} in queue</p>
+                    )}
+
                     {run.error_message && (
                       <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3">
                         <p className="text-sm text-red-800">{run.error_message}</p>
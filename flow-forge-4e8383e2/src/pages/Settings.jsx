@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { User, EmailTemplate } from '@/api/entities';
+import { User, EmailTemplate, TenantConfig, Workflow, Connection } from '@/api/entities';
+import TenantEntity from '@/components/TenantEntity';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Save, Plus } from 'lucide-react';
+import { DEFAULT_RETENTION } from '@/components/DeadLetterQueue';
 
 export default function Settings() {
   const [user, setUser] = useState(null);
@@ -16,6 +18,10 @@ export default function Settings() {
     timezone: 'Europe/Amsterdam',
     notification_email: ''
   });
+  const [tenantLimit, setTenantLimit] = useState('');
+  const [workflows, setWorkflows] = useState([]);
+  const [connections, setConnections] = useState([]);
+  const [deadLetterRetention, setDeadLetterRetention] = useState(DEFAULT_RETENTION);
 
   useEffect(() => {
     loadData();
@@ -27,9 +33,79 @@ export default function Settings() {
     
     const temps = await EmailTemplate.list();
     setTemplates(temps);
+
+    // Schedules fire in the tenant timezone unless a workflow sets its own
+    const configs = await TenantEntity.wrap(TenantConfig).list();
+    if (configs.length > 0 && configs[0].timezone) {
+      setSettings(current => ({ ...current, timezone: configs[0].timezone }));
+    }
+    setTenantLimit(configs.length > 0 && configs[0].max_concurrent_runs ? String(configs[0].max_concurrent_runs) : '');
+    setDeadLetterRetention({ ...DEFAULT_RETENTION, ...((configs.length > 0 && configs[0].dead_letter_retention) || {}) });
+
+    setWorkflows(await TenantEntity.wrap(Workflow).list());
+    setConnections(await TenantEntity.wrap(Connection).list());
+  };
+
+  // Empty or 0 means unlimited
+  const parseLimit = (value) => Math.max(0, parseInt(value, 10) || 0);
+
+  const updateRow = (setRows, id, field, value) => {
+    setRows(rows => rows.map(row => (row.id === id ? { ...row, [field]: value, changed: true } : row)));
+  };
+
+  const saveDeadLetterRetention = async () => {
+    const retention = {
+      open_days: Math.max(1, parseInt(deadLetterRetention.open_days, 10) || DEFAULT_RETENTION.open_days),
+      resolved_days: Math.max(1, parseInt(deadLetterRetention.resolved_days, 10) || DEFAULT_RETENTION.resolved_days)
+    };
+
+    const TenantTenantConfig = TenantEntity.wrap(TenantConfig);
+    const configs = await TenantTenantConfig.list();
+    if (configs.length > 0) {
+      await TenantTenantConfig.update(configs[0].id, { dead_letter_retention: retention });
+    } else {
+      await TenantTenantConfig.create({ timezone: settings.timezone, dead_letter_retention: retention });
+    }
+
+    setDeadLetterRetention(retention);
+    alert('Dead letter retention saved. It applies to entries dead-lettered or resolved from now on.');
+  };
+
+  const saveConcurrency = async () => {
+    const TenantTenantConfig = TenantEntity.wrap(TenantConfig);
+    const configs = await TenantTenantConfig.list();
+    if (configs.length > 0) {
+      await TenantTenantConfig.update(configs[0].id, { max_concurrent_runs: parseLimit(tenantLimit) });
+    } else {
+      await TenantTenantConfig.create({ timezone: settings.timezone, max_concurrent_runs: parseLimit(tenantLimit) });
+    }
+
+    const TenantWorkflow = TenantEntity.wrap(Workflow);
+    for (const workflow of workflows.filter(w => w.changed)) {
+      await TenantWorkflow.update(workflow.id, {
+        max_concurrent_runs: parseLimit(workflow.max_concurrent_runs),
+        queue_priority: parseInt(workflow.queue_priority, 10) || 0
+      });
+    }
+
+    const TenantConnection = TenantEntity.wrap(Connection);
+    for (const connection of connections.filter(c => c.changed)) {
+      await TenantConnection.update(connection.id, { max_concurrent_runs: parseLimit(connection.max_concurrent_runs) });
+    }
+
+    await loadData();
+    alert('Concurrency limits saved');
   };
 
   const saveSettings = async () => {
+    const TenantTenantConfig = TenantEntity.wrap(TenantConfig);
+    const configs = await TenantTenantConfig.list();
+    if (configs.length > 0) {
+      await TenantTenantConfig.update(configs[0].id, { timezone: settings.timezone });
+    } else {
+      await TenantTenantConfig.create({ timezone: settings.timezone });
+    }
+
     alert('Settings saved successfully!');
   };
 
@@ -44,6 +120,7 @@ export default function Settings() {
         <Tabs defaultValue="general">
           <TabsList>
             <TabsTrigger value="general">General</TabsTrigger>
+            <TabsTrigger value="concurrency">Concurrency</TabsTrigger>
             <TabsTrigger value="templates">Email Templates</TabsTrigger>
             <TabsTrigger value="team">Team & Roles</TabsTrigger>
             <TabsTrigger value="security">Security</TabsTrigger>
@@ -122,6 +199,94 @@ export default function Settings() {
             </Card>
           </TabsContent>
 
+          <TabsContent value="concurrency" className="mt-6">
+            <Card>
+              <CardHeader>
+                <CardTitle>Concurrency Limits</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <p className="text-sm text-gray-600">
+                  Runs over a limit wait in a queue, highest priority first, then oldest first.
+                  Leave a limit empty for no cap.
+                </p>
+
+                <div>
+                  <label className="block text-sm font-medium mb-2">Max concurrent runs (whole account)</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={tenantLimit}
+                    onChange={(e) => setTenantLimit(e.target.value)}
+                    placeholder="Unlimited"
+                    className="max-w-xs"
+                  />
+                </div>
+
+                <div className="border-t pt-6">
+                  <h4 className="font-semibold mb-3">Workflows</h4>
+                  {workflows.length === 0 ? (
+                    <p className="text-sm text-gray-500">No workflows yet</p>
+                  ) : (
+                    <div className="space-y-2">
+                      <div className="grid grid-cols-3 gap-4 text-xs text-gray-500">
+                        <span>Workflow</span>
+                        <span>Max concurrent runs</span>
+                        <span>Queue priority</span>
+                      </div>
+                      {workflows.map((workflow) => (
+                        <div key={workflow.id} className="grid grid-cols-3 gap-4 items-center">
+                          <span className="text-sm">{workflow.display_name}</span>
+                          <Input
+                            type="number"
+                            min="0"
+                            value={workflow.max_concurrent_runs || ''}
+                            onChange={(e) => updateRow(setWorkflows, workflow.id, 'max_concurrent_runs', e.target.value)}
+                            placeholder="Unlimited"
+                          />
+                          <Input
+                            type="number"
+                            value={workflow.queue_priority || ''}
+                            onChange={(e) => updateRow(setWorkflows, workflow.id, 'queue_priority', e.target.value)}
+                            placeholder="0"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div className="border-t pt-6">
+                  <h4 className="font-semibold mb-3">Connections</h4>
+                  {connections.length === 0 ? (
+                    <p className="text-sm text-gray-500">No connections yet</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {connections.map((connection) => (
+                        <div key={connection.id} className="grid grid-cols-3 gap-4 items-center">
+                          <span className="text-sm">
+                            {connection.name} <span className="text-gray-500 capitalize">({connection.provider})</span>
+                          </span>
+                          <Input
+                            type="number"
+                            min="0"
+                            value={connection.max_concurrent_runs || ''}
+                            onChange={(e) => updateRow(setConnections, connection.id, 'max_concurrent_runs', e.target.value)}
+                            placeholder="Unlimited"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <Button onClick={saveConcurrency} className="flex items-center gap-2">
+                  <Save className="w-4 h-4" />
+                  Save Limits
+                </Button>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
           <TabsContent value="templates" className="mt-6">
             <Card>
               <CardHeader>
@@ -219,6 +384,34 @@ export default function Settings() {
                   </p>
                   <Button variant="outline">Export All Data</Button>
                 </div>
+
+                <div className="border-t pt-6">
+                  <h4 className="font-semibold mb-2">Dead Letter Retention</h4>
+                  <p className="text-sm text-gray-600 mb-3">
+                    How long permanently failed runs and undeliverable webhook events stay in the Action Center
+                  </p>
+                  <div className="grid grid-cols-2 gap-4 max-w-md mb-3">
+                    <div>
+                      <label className="block text-xs text-gray-500 mb-1">Open (days)</label>
+                      <Input
+                        type="number"
+                        min="1"
+                        value={deadLetterRetention.open_days}
+                        onChange={(e) => setDeadLetterRetention({ ...deadLetterRetention, open_days: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-500 mb-1">After re-drive / discard (days)</label>
+                      <Input
+                        type="number"
+                        min="1"
+                        value={deadLetterRetention.resolved_days}
+                        onChange={(e) => setDeadLetterRetention({ ...deadLetterRetention, resolved_days: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                  <Button variant="outline" onClick={saveDeadLetterRetention}>Save Retention</Button>
+                </div>
               </CardContent>
             </Card>
           </TabsContent>
@@ -13,11 +13,19 @@ import { motion, AnimatePresence } from 'framer-motion';
 import TriggerBlock from '../components/workflows/TriggerBlock';
 import ActionBlock from '../components/workflows/ActionBlock';
 import ConnectionPicker from '../components/workflows/ConnectionPicker';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
+import { assignStepNames, validateStepReferences, describeReferenceIssue } from '@/components/StepAddressing';
+import { findCallCycle } from '@/components/SubWorkflow';
+import { evaluateTriggerFilter, hasTriggerFilter } from '@/components/TriggerFilter';
+import { publishWorkflow, getDraftTrigger } from '@/components/WorkflowVersioning';
+import { listActions, getAction, toActionData, validateTemplateActions } from '@/components/ConnectorRegistry';
 
 export default function WorkflowComposer() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const workflowId = searchParams.get('id');
+  const [editingWorkflow, setEditingWorkflow] = useState(null);
   const [workflowName, setWorkflowName] = useState('');
   const [workflowDescription, setWorkflowDescription] = useState('');
   const [trigger, setTrigger] = useState(null);
@@ -26,90 +34,64 @@ export default function WorkflowComposer() {
   const [saving, setSaving] = useState(false);
   const [showConnectionPicker, setShowConnectionPicker] = useState(false);
   const [currentStepIndex, setCurrentStepIndex] = useState(null);
+  const [sampleTrigger, setSampleTrigger] = useState('{}');
 
   useEffect(() => {
     loadConnections();
   }, []);
 
+  useEffect(() => {
+    if (workflowId) {
+      loadDraft(workflowId);
+    }
+  }, [workflowId]);
+
   const loadConnections = async () => {
     const conns = await Connection.filter({ status: 'active' });
     setConnections(conns);
   };
 
-  const availableActions = [
-    {
-      id: 'shopify_fetch_order',
-      name: 'Fetch Order from Shopify',
-      provider: 'shopify',
-      icon: '🛍️',
-      description: 'Get order details',
-      inputs: ['order_id'],
-      outputs: ['order_data', 'customer', 'line_items']
-    },
-    {
-      id: 'xero_create_invoice',
-      name: 'Create Invoice in Xero',
-      provider: 'xero',
-      icon: '📊',
-      description: 'Generate accounting invoice',
-      inputs: ['customer', 'line_items', 'reference'],
-      outputs: ['invoice_id', 'invoice_number']
-    },
-    {
-      id: 'stripe_capture_payment',
-      name: 'Capture Payment in Stripe',
-      provider: 'stripe',
-      icon: '💳',
-      description: 'Process credit card payment',
-      inputs: ['payment_intent_id', 'amount'],
-      outputs: ['charge_id', 'receipt_url']
-    },
-    {
-      id: 'send_email',
-      name: 'Send Email',
-      provider: 'email',
-      icon: '📧',
-      description: 'Send notification email',
-      inputs: ['to', 'subject', 'body'],
-      outputs: ['message_id']
-    },
-    {
-      id: 'slack_notify',
-      name: 'Send Slack Message',
-      provider: 'slack',
-      icon: '💬',
-      description: 'Post to Slack channel',
-      inputs: ['channel', 'message'],
-      outputs: ['message_ts']
-    },
-    {
-      id: 'condition_check',
-      name: 'Conditional Branch',
-      provider: 'logic',
-      icon: '🔀',
-      description: 'Branch based on condition',
-      inputs: ['condition'],
-      outputs: ['matched']
-    },
-    {
-      id: 'data_transform',
-      name: 'Transform Data',
-      provider: 'logic',
-      icon: '🔄',
-      description: 'Map and transform data',
-      inputs: ['input_data'],
-      outputs: ['output_data']
-    },
-    {
-      id: 'delay',
-      name: 'Wait / Delay',
-      provider: 'logic',
-      icon: '⏰',
-      description: 'Pause workflow execution',
-      inputs: ['duration_seconds'],
-      outputs: []
-    }
-  ];
+  // Palette comes from the connector registry; logic actions are listed last
+  const availableActions = listActions();
+
+  // Open an existing workflow's draft (its WorkflowStep rows) for editing
+  const loadDraft = async (id) => {
+    const workflow = await Workflow.get(id);
+    const draftSteps = await WorkflowStep.filter({ workflow_id: id }, 'step_order');
+
+    setEditingWorkflow(workflow);
+    setWorkflowName(workflow.display_name);
+    setWorkflowDescription(workflow.description || '');
+    // An unpublished trigger edit, else the live trigger
+    const draftTrigger = getDraftTrigger(workflow);
+    setTrigger({
+      type: draftTrigger.trigger_type,
+      name: draftTrigger.trigger_type.charAt(0).toUpperCase() + draftTrigger.trigger_type.slice(1),
+      description: 'Current trigger',
+      config: draftTrigger.trigger_config
+    });
+    setSteps(draftSteps.map(step => {
+      // Steps saved under a legacy action id are upgraded to the registered one
+      const definition = getAction(step.tool, step.action);
+      return {
+        id: step.id,
+        action: definition ? definition.action : step.action,
+        actionData: definition ? toActionData(definition) : {
+          id: step.action,
+          name: step.step_name,
+          provider: step.tool,
+          icon: '⚙️',
+          description: `${step.tool}.${step.action}`,
+          inputs: Object.keys(step.mapping_json || {}),
+          required: [],
+          outputs: []
+        },
+        config: step.mapping_json || {},
+        connectionId: step.connection_id || null,
+        existing: step
+      };
+    }));
+  };
 
   const addStep = (action) => {
     const newStep = {
@@ -153,7 +135,7 @@ export default function WorkflowComposer() {
     setSteps(newSteps);
   };
 
-  const handleSave = async () => {
+  const handleSave = async ({ publish = false } = {}) => {
     if (!workflowName) {
       alert('Please enter a workflow name');
       return;
@@ -169,43 +151,122 @@ export default function WorkflowComposer() {
       return;
     }
 
+    const stepNames = assignStepNames(steps.map(step => step.actionData.name));
+    const referenceIssues = validateStepReferences({
+      steps: steps.map((step, index) => ({ name: stepNames[index], action: step.action, inputs: step.config }))
+    });
+    if (referenceIssues.length > 0) {
+      alert(`Fix unresolved references before saving:\n${referenceIssues.map(describeReferenceIssue).join('\n')}`);
+      return;
+    }
+
+    const actionIssues = validateTemplateActions({
+      steps: steps.map((step, index) => ({ name: stepNames[index], provider: step.actionData.provider, action: step.action, inputs: step.config }))
+    });
+    if (actionIssues.length > 0) {
+      alert(`Fix these steps before saving:\n${actionIssues.join('\n')}`);
+      return;
+    }
+
     setSaving(true);
     try {
-      // Create workflow
-      const workflow = await Workflow.create({
-        workflow_key: workflowName.toLowerCase().replace(/\s+/g, '_'),
-        display_name: workflowName,
-        description: workflowDescription,
-        version: 1,
-        enabled: false,
-        simulation_mode: true,
-        trigger_type: trigger.type,
-        trigger_config: trigger.config || {},
-      });
-
-      // Create workflow steps
+      const cycle = await findCallCycle(editingWorkflow ? editingWorkflow.id : null, steps.map(step => ({
+        provider: step.actionData.provider,
+        action: step.action,
+        inputs: step.config
+      })));
+      if (cycle) {
+        alert(`Sub-workflow calls form a cycle: ${cycle.map(id => id === '__new__' ? workflowName : id).join(' → ')}`);
+        return;
+      }
+
+      // Save the draft; runs keep using the published version until the next publish
+      let workflow;
+      if (editingWorkflow) {
+        workflow = editingWorkflow;
+        await Workflow.update(workflow.id, {
+          display_name: workflowName,
+          description: workflowDescription,
+          // The live trigger changes on publish; webhooks and the scheduler read it
+          draft_trigger_type: trigger.type,
+          draft_trigger_config: trigger.config || {},
+          has_unpublished_changes: true,
+        });
+
+        const previousSteps = await WorkflowStep.filter({ workflow_id: workflow.id });
+        for (const step of previousSteps) {
+          await WorkflowStep.delete(step.id);
+        }
+      } else {
+        // version 0 = never published
+        workflow = await Workflow.create({
+          workflow_key: workflowName.toLowerCase().replace(/\s+/g, '_'),
+          display_name: workflowName,
+          description: workflowDescription,
+          version: 0,
+          has_unpublished_changes: true,
+          enabled: false,
+          simulation_mode: true,
+          draft_trigger_type: trigger.type,
+          draft_trigger_config: trigger.config || {},
+        });
+      }
+
+      // Create workflow steps, keeping settings the composer does not edit
       const stepRecords = steps.map((step, index) => ({
+        ...(step.existing ? {
+          requires_approval: step.existing.requires_approval,
+          approval_roles: step.existing.approval_roles,
+          amount_path: step.existing.amount_path,
+          retry_on_failure: step.existing.retry_on_failure,
+          retry_policy: step.existing.retry_policy,
+          compensation: step.existing.compensation,
+          pii_fields: step.existing.pii_fields,
+        } : {}),
         workflow_id: workflow.id,
         step_order: index,
-        step_name: step.actionData.name.toLowerCase().replace(/\s+/g, '_'),
+        step_name: stepNames[index],
         tool: step.actionData.provider,
         action: step.action,
         connection_id: step.connectionId,
         mapping_json: step.config || {},
-        risk_level: 'normal',
+        risk_level: step.existing ? step.existing.risk_level : 'normal',
       }));
 
       await WorkflowStep.bulkCreate(stepRecords);
 
-      alert('Workflow created successfully!');
-      navigate(createPageUrl(`WorkflowDetail?id=${workflow.id}`));
+      if (publish) {
+        const version = await publishWorkflow(workflow.id);
+        alert(`Workflow published as version ${version.version}`);
+      } else {
+        alert('Draft saved. Publish it to use these changes in new runs.');
+      }
+      navigate(createPageUrl('Workflows'));
     } catch (error) {
-      alert(`Failed to create workflow: ${error.message}`);
+      alert(`Failed to save workflow: ${error.message}`);
     } finally {
       setSaving(false);
     }
   };
 
+  // Sample trigger payload used to preview {{ }} expressions in step inputs
+  const previewContext = (() => {
+    try {
+      return { trigger: JSON.parse(sampleTrigger || '{}') };
+    } catch {
+      return { trigger: {} };
+    }
+  })();
+
+  // Whether the sample payload would get past the trigger filter
+  const filterPreview = trigger && hasTriggerFilter(trigger.config)
+    ? evaluateTriggerFilter(trigger.config, previewContext.trigger)
+    : null;
+
+  const setTriggerFilter = (filter) => {
+    setTrigger({ ...trigger, config: { ...(trigger.config || {}), filter } });
+  };
+
   const handleTest = () => {
     alert('Test run functionality coming soon!');
   };
@@ -224,7 +285,11 @@ export default function WorkflowComposer() {
             <Zap className="w-8 h-8 text-indigo-600" />
             Workflow Composer
           </h1>
-          <p className="text-gray-600 mt-2">Build custom automation workflows visually</p>
+          <p className="text-gray-600 mt-2">
+            {editingWorkflow
+              ? `Editing the draft of ${editingWorkflow.display_name}${editingWorkflow.version > 0 ? ` (published: v${editingWorkflow.version})` : ' (never published)'}`
+              : 'Build custom automation workflows visually'}
+          </p>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -237,7 +302,7 @@ export default function WorkflowComposer() {
               <CardContent className="space-y-2 max-h-[calc(100vh-200px)] overflow-y-auto">
                 {availableActions.map((action) => (
                   <motion.button
-                    key={action.id}
+                    key={`${action.provider}.${action.id}`}
                     whileHover={{ scale: 1.02 }}
                     whileTap={{ scale: 0.98 }}
                     onClick={() => addStep(action)}
@@ -309,6 +374,35 @@ export default function WorkflowComposer() {
                         Change
                       </Button>
                     </div>
+                    <div className="mt-3">
+                      <label className="block text-xs font-medium text-gray-600 mb-1">
+                        Sample payload (for previewing {'{{trigger.*}}'} expressions)
+                      </label>
+                      <Textarea
+                        value={sampleTrigger}
+                        onChange={(e) => setSampleTrigger(e.target.value)}
+                        rows={3}
+                        className="text-xs font-mono"
+                      />
+                    </div>
+                    {(trigger.type === 'webhook' || trigger.type === 'schedule') && (
+                      <div className="mt-3">
+                        <label className="block text-xs font-medium text-gray-600 mb-1">
+                          Filter (only start a run when this holds)
+                        </label>
+                        <Input
+                          value={(trigger.config && trigger.config.filter) || ''}
+                          onChange={(e) => setTriggerFilter(e.target.value)}
+                          placeholder='total_price > 500 and currency == "EUR"'
+                          className="text-xs font-mono"
+                        />
+                        {filterPreview && (
+                          <p className={`text-xs mt-1 ${filterPreview.passed ? 'text-green-600' : 'text-amber-600'}`}>
+                            {filterPreview.passed ? 'Sample payload would start a run' : `Sample payload filtered out: ${filterPreview.reason}`}
+                          </p>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
               </CardContent>
@@ -341,6 +435,7 @@ export default function WorkflowComposer() {
                     onSelectConnection={() => selectConnectionForStep(index)}
                     isFirst={index === 0}
                     isLast={index === steps.length - 1}
+                    previewContext={previewContext}
                   />
                 </motion.div>
               ))}
@@ -361,12 +456,22 @@ export default function WorkflowComposer() {
             {/* Actions */}
             <div className="flex gap-3 sticky bottom-6 bg-white p-4 rounded-lg shadow-lg border">
               <Button
-                onClick={handleSave}
+                onClick={() => handleSave()}
+                variant="outline"
                 disabled={saving || !workflowName || !trigger || steps.length === 0}
-                className="flex-1 bg-indigo-600 hover:bg-indigo-700"
+                className="flex-1"
               >
                 <Save className="w-4 h-4 mr-2" />
-                {saving ? 'Saving...' : 'Save Workflow'}
+                {saving ? 'Saving...' : 'Save Draft'}
+              </Button>
+
+              <Button
+                onClick={() => handleSave({ publish: true })}
+                disabled={saving || !workflowName || !trigger || steps.length === 0}
+                className="flex-1 bg-indigo-600 hover:bg-indigo-700"
+              >
+                <CheckCircle className="w-4 h-4 mr-2" />
+                Save &amp; Publish
               </Button>
 
               <Button
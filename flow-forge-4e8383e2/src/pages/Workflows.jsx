@@ -1,16 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { Workflow, WorkflowStep } from '@/api/entities';
+import { Workflow, WorkflowStep, TenantConfig } from '@/api/entities';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Switch } from '@/components/ui/switch';
-import { Play, Settings, Eye, EyeOff, Loader } from 'lucide-react';
+import { Play, Settings, Eye, EyeOff, Loader, Clock, History, Upload, RotateCcw, Download, FileUp } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
+import TenantEntity from '../components/TenantEntity';
+import { getUpcomingFires, resolveScheduleTimezone } from '../components/CronScheduler';
+import { listVersions, publishWorkflow, rollbackToVersion, diffVersions, getDraftTrigger } from '../components/WorkflowVersioning';
+import { exportWorkflow, serializeWorkflowFile } from '../components/WorkflowTransfer';
+import ImportWorkflowDialog from '../components/workflows/ImportWorkflowDialog';
+
+const CHANGE_STYLES = {
+  added: 'bg-green-50 border-green-200',
+  removed: 'bg-red-50 border-red-200',
+  changed: 'bg-yellow-50 border-yellow-200',
+  unchanged: 'bg-white border-gray-200'
+};
 
 export default function Workflows() {
   const [workflows, setWorkflows] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [tenantTimezone, setTenantTimezone] = useState(null);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [diffRange, setDiffRange] = useState({ from: null, to: null });
+  const [showImport, setShowImport] = useState(false);
 
   useEffect(() => {
     loadWorkflows();
@@ -20,6 +37,9 @@ export default function Workflows() {
     try {
       const wfs = await Workflow.list();
       setWorkflows(wfs);
+
+      const configs = await TenantEntity.wrap(TenantConfig).list();
+      setTenantTimezone(configs.length > 0 ? configs[0].timezone : null);
     } catch (error) {
       console.error('Failed to load workflows:', error);
     } finally {
@@ -28,7 +48,8 @@ export default function Workflows() {
   };
 
   const toggleEnabled = async (workflowId, currentValue) => {
-    await Workflow.update(workflowId, { enabled: !currentValue });
+    // Re-enabling restarts the schedule from now instead of replaying fires missed while disabled
+    await Workflow.update(workflowId, currentValue ? { enabled: false } : { enabled: true, schedule_state: null });
     loadWorkflows();
   };
 
@@ -37,6 +58,197 @@ export default function Workflows() {
     loadWorkflows();
   };
 
+  const toggleHistory = async (workflowId) => {
+    if (historyFor === workflowId) {
+      setHistoryFor(null);
+      return;
+    }
+
+    const list = await listVersions(workflowId);
+    setVersions(list);
+    setHistoryFor(workflowId);
+    setDiffRange({
+      from: list.length > 1 ? list[1].version : null,
+      to: list.length > 0 ? list[0].version : null
+    });
+  };
+
+  const handlePublish = async (workflow) => {
+    const notes = prompt(`Release notes for ${workflow.display_name} (optional):`);
+    if (notes === null) {
+      return;
+    }
+
+    try {
+      const version = await publishWorkflow(workflow.id, { notes });
+      alert(`Published version ${version.version}`);
+      setHistoryFor(null);
+      loadWorkflows();
+    } catch (error) {
+      alert(`Failed to publish: ${error.message}`);
+    }
+  };
+
+  const handleRollback = async (workflow, version) => {
+    if (!confirm(`Roll ${workflow.display_name} back to v${version}? This publishes it as a new version and replaces the draft. Runs in flight keep their version.`)) {
+      return;
+    }
+
+    try {
+      const published = await rollbackToVersion(workflow.id, version);
+      alert(`v${version} is live again as version ${published.version}`);
+      setHistoryFor(null);
+      loadWorkflows();
+    } catch (error) {
+      alert(`Rollback failed: ${error.message}`);
+    }
+  };
+
+  const handleExport = async (workflow, format) => {
+    try {
+      const doc = await exportWorkflow(workflow.id);
+      const blob = new Blob([serializeWorkflowFile(doc, format)], {
+        type: format === 'yaml' ? 'application/x-yaml' : 'application/json'
+      });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${workflow.workflow_key}${doc.source.version ? `-v${doc.source.version}` : '-draft'}.${format === 'yaml' ? 'yaml' : 'json'}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Failed to export workflow: ${error.message}`);
+    }
+  };
+
+  const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+  const renderDiff = () => {
+    const from = versions.find(v => v.version === Number(diffRange.from));
+    const to = versions.find(v => v.version === Number(diffRange.to));
+    if (!from || !to) {
+      return null;
+    }
+
+    const diff = diffVersions(from, to);
+    return (
+      <div className="space-y-2 mt-3">
+        {diff.trigger.map(change => (
+          <div key={change.field} className={`p-2 rounded border text-xs ${CHANGE_STYLES.changed}`}>
+            <span className="font-medium">trigger • {change.field}:</span>{' '}
+            <span className="font-mono">{formatValue(change.before)} → {formatValue(change.after)}</span>
+          </div>
+        ))}
+        {diff.steps.map(step => (
+          <div key={`${step.change}:${step.step_name}`} className={`p-2 rounded border text-xs ${CHANGE_STYLES[step.change]}`}>
+            <p className="font-medium">
+              {step.step_name} <span className="text-gray-500">({step.change})</span>
+            </p>
+            {step.fields.map(field => (
+              <p key={field.field} className="font-mono text-gray-700 mt-1">
+                {field.field}: {formatValue(field.before)} → {formatValue(field.after)}
+              </p>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderVersions = (workflow) => (
+    <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+      {versions.length === 0 ? (
+        <p className="text-xs text-gray-500">Not published yet</p>
+      ) : (
+        <ul className="space-y-2">
+          {versions.map(version => (
+            <li key={version.id} className="flex items-center justify-between text-sm">
+              <div>
+                <span className="font-medium">v{version.version}</span>
+                {version.id === workflow.published_version_id && (
+                  <Badge className="bg-green-100 text-green-800 ml-2">Live</Badge>
+                )}
+                <span className="text-xs text-gray-500 ml-2">
+                  {new Date(version.published_at).toLocaleString()}
+                  {version.published_by && ` • ${version.published_by}`}
+                  {version.notes && ` • ${version.notes}`}
+                </span>
+              </div>
+              {version.id !== workflow.published_version_id && (
+                <Button variant="ghost" size="sm" onClick={() => handleRollback(workflow, version.version)}>
+                  <RotateCcw className="w-4 h-4 mr-1" />
+                  Roll back
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {versions.length > 1 && (
+        <div className="border-t pt-3">
+          <div className="flex items-center gap-2 text-sm">
+            <span>Compare</span>
+            <select
+              value={diffRange.from || ''}
+              onChange={(e) => setDiffRange({ ...diffRange, from: e.target.value })}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              {versions.map(version => (
+                <option key={version.id} value={version.version}>v{version.version}</option>
+              ))}
+            </select>
+            <span>→</span>
+            <select
+              value={diffRange.to || ''}
+              onChange={(e) => setDiffRange({ ...diffRange, to: e.target.value })}
+              className="border border-gray-300 rounded-lg px-2 py-1 bg-white"
+            >
+              {versions.map(version => (
+                <option key={version.id} value={version.version}>v{version.version}</option>
+              ))}
+            </select>
+          </div>
+          {renderDiff()}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderSchedule = (workflow) => {
+    const timezone = resolveScheduleTimezone(workflow, tenantTimezone);
+    const upcoming = getUpcomingFires(workflow, tenantTimezone);
+
+    return (
+      <div className="p-4 bg-gray-50 rounded-lg">
+        <p className="text-sm font-medium flex items-center gap-2">
+          <Clock className="w-4 h-4" />
+          <span className="font-mono">{workflow.trigger_config?.cron}</span>
+          <span className="text-xs text-gray-500">
+            {timezone} • missed fires: {workflow.trigger_config?.missed_fires || 'skip'}
+          </span>
+        </p>
+        {upcoming.length === 0 ? (
+          <p className="text-xs text-red-600 mt-2">Invalid schedule: no upcoming fire times</p>
+        ) : (
+          <ul className="text-xs text-gray-600 mt-2 space-y-1">
+            {upcoming.map((fire) => (
+              <li key={fire.toISOString()}>
+                {fire.toLocaleString(undefined, { timeZone: timezone })}
+              </li>
+            ))}
+          </ul>
+        )}
+        {!workflow.enabled && (
+          <p className="text-xs text-gray-500 mt-2">Schedule fires only while the workflow is enabled</p>
+        )}
+        {workflow.schedule_state?.last_error && (
+          <p className="text-xs text-red-600 mt-2">Last scheduler error: {workflow.schedule_state.last_error}</p>
+        )}
+      </div>
+    );
+  };
+
   const getWorkflowIcon = (key) => {
     const icons = {
       'o2c': '💰',
@@ -57,9 +269,15 @@ export default function Workflows() {
   return (
     <div className="min-h-screen bg-gray-50 p-6">
       <div className="max-w-6xl mx-auto">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900">Workflows</h1>
-          <p className="text-gray-600 mt-2">Manage and monitor your automation workflows</p>
+        <div className="mb-8 flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Workflows</h1>
+            <p className="text-gray-600 mt-2">Manage and monitor your automation workflows</p>
+          </div>
+          <Button variant="outline" className="flex items-center gap-2" onClick={() => setShowImport(true)}>
+            <FileUp className="w-4 h-4" />
+            Import
+          </Button>
         </div>
 
         {workflows.length === 0 ? (
@@ -123,21 +341,60 @@ export default function Workflows() {
                   </div>
 
                   <div className="flex gap-2 pt-4">
-                    <Link to={createPageUrl(`WorkflowDetail?id=${workflow.id}`)}>
+                    <Link to={createPageUrl(`WorkflowComposer?id=${workflow.id}`)}>
                       <Button variant="outline" className="flex items-center gap-2">
                         <Settings className="w-4 h-4" />
-                        Configure Steps
+                        Edit Draft
                       </Button>
                     </Link>
+                    {(workflow.has_unpublished_changes || !(workflow.version > 0)) && (
+                      <Button
+                        variant="outline"
+                        className="flex items-center gap-2"
+                        onClick={() => handlePublish(workflow)}
+                      >
+                        <Upload className="w-4 h-4" />
+                        Publish
+                      </Button>
+                    )}
+                    <Button
+                      variant="outline"
+                      className="flex items-center gap-2"
+                      onClick={() => toggleHistory(workflow.id)}
+                    >
+                      <History className="w-4 h-4" />
+                      Versions
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      className="flex items-center gap-2"
+                      onClick={() => handleExport(workflow, 'json')}
+                    >
+                      <Download className="w-4 h-4" />
+                      JSON
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      className="flex items-center gap-2"
+                      onClick={() => handleExport(workflow, 'yaml')}
+                    >
+                      <Download className="w-4 h-4" />
+                      YAML
+                    </Button>
                     <Button variant="outline" className="flex items-center gap-2">
                       <Play className="w-4 h-4" />
                       Test Run
                     </Button>
                   </div>
 
+                  {historyFor === workflow.id && renderVersions(workflow)}
+
+                  {workflow.trigger_type === 'schedule' && renderSchedule(workflow)}
+
                   <div className="border-t pt-4">
                     <p className="text-xs text-gray-500">
-                      Trigger: {workflow.trigger_type} • Version: {workflow.version}
+                      Trigger: {workflow.trigger_type || getDraftTrigger(workflow).trigger_type} • Version: {workflow.version > 0 ? `v${workflow.version}` : 'unpublished'}
+                      {workflow.has_unpublished_changes && workflow.version > 0 && ' • draft has unpublished changes'}
                     </p>
                   </div>
                 </CardContent>
@@ -145,7 +402,17 @@ export default function Workflows() {
             ))}
           </div>
         )}
+
+        {showImport && (
+          <ImportWorkflowDialog
+            onClose={() => setShowImport(false)}
+            onImported={() => {
+              setShowImport(false);
+              loadWorkflows();
+            }}
+          />
+        )}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}